@@ -0,0 +1,215 @@
+// /api/_lib/auth.js — API keys, allowed origins, rate limits and monthly quotas for model-backed routes
+//
+// Keys come from two places:
+//   API_KEYS  JSON array in the environment (survives cold starts on an ephemeral disk):
+//             [{ "id": "web", "key": "<secret>", "origins": ["https://app.example.com"],
+//                "rateLimit": { "requests": 20, "windowSeconds": 60 }, "quota": { "monthlyRequests": 2000, "monthlyTokens": 20000000 } }]
+//   issued    POST /api/admin/keys; only the SHA-256 of the secret is kept (see _lib/usage)
+// Callers send "Authorization: Bearer <key>" or "X-API-Key: <key>". A key with origins only serves
+// browser requests from those origins; calls without an Origin header (server to server) are not
+// origin-checked, so no key belongs in a page bundle: the Next app adds its key server-side
+// (app/generate/route.js). Omitted limits fall back to DEFAULT_LIMITS and null means unlimited. Monthly quotas
+// reset at 00:00 UTC on the 1st. API_AUTH=off skips every check (local development); usage is
+// still metered. Every metered request is reserved in the ledger before any model call and
+// settled afterwards (checkLimits / recordUsage). ADMIN_TOKEN guards /api/admin/*.
+//
+// Checks resolve to { ok: true, ... } or { ok: false, status, body, headers } (see sendResult in http.js).
+
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import { ledgerEntry, monthStart, nextMonthStart } from "./usage/index.js";
+
+export const DEFAULT_LIMITS = {
+  rateLimit: { requests: 20, windowSeconds: 60 },
+  quota: { monthlyRequests: null, monthlyTokens: null }
+};
+
+const KEY_PREFIX = "prk_";
+
+export function hashKey(secret) {
+  return createHash("sha256").update(String(secret)).digest("hex");
+}
+
+/* ---------- Key specs ---------- */
+
+const isLimit = v => v === null || (Number.isInteger(v) && v > 0);
+
+/** Validate { name?, origins?, rateLimit?, quota? }; returns [{ path, message }] */
+export function checkKeySpec(spec, path = "") {
+  const at = p => (path ? `${path}.${p}` : p);
+  const errors = [];
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) return [{ path: path || "body", message: "must be an object" }];
+  if (spec.name != null && typeof spec.name !== "string") errors.push({ path: at("name"), message: "must be a string" });
+  if (spec.origins != null) {
+    if (!Array.isArray(spec.origins)) errors.push({ path: at("origins"), message: "must be an array of origins" });
+    else spec.origins.forEach((o, i) => {
+      if (o !== "*" && !/^https?:\/\/[^/\s]+$/.test(String(o))) errors.push({ path: at(`origins[${i}]`), message: 'must be "*" or scheme://host[:port] without a path' });
+    });
+  }
+  if (spec.rateLimit != null) {
+    const { requests, windowSeconds } = spec.rateLimit;
+    if (!isLimit(requests ?? null)) errors.push({ path: at("rateLimit.requests"), message: "must be a positive integer or null" });
+    if (windowSeconds != null && !(Number.isInteger(windowSeconds) && windowSeconds > 0)) errors.push({ path: at("rateLimit.windowSeconds"), message: "must be a positive integer" });
+  }
+  if (spec.quota != null) {
+    for (const field of ["monthlyRequests", "monthlyTokens"]) {
+      if (spec.quota[field] !== undefined && !isLimit(spec.quota[field])) errors.push({ path: at(`quota.${field}`), message: "must be a positive integer or null" });
+    }
+  }
+  return errors;
+}
+
+function withDefaults(spec) {
+  return {
+    name: spec.name || spec.id || "",
+    origins: spec.origins || [],
+    rateLimit: { ...DEFAULT_LIMITS.rateLimit, ...spec.rateLimit },
+    quota: { ...DEFAULT_LIMITS.quota, ...spec.quota }
+  };
+}
+
+let envCache = { raw: undefined, keys: [] };
+
+/** Keys defined in API_KEYS; malformed entries are skipped */
+export function envKeys(env = process.env) {
+  if (envCache.raw === env.API_KEYS) return envCache.keys;
+  let specs = [];
+  try { specs = env.API_KEYS ? JSON.parse(env.API_KEYS) : []; } catch { specs = []; }
+  const keys = (Array.isArray(specs) ? specs : [])
+    .filter(s => s && typeof s.key === "string" && s.key && !checkKeySpec(s).length)
+    .map((s, i) => ({ id: String(s.id || `env-${i + 1}`), ...withDefaults(s), prefix: s.key.slice(0, 8), hash: hashKey(s.key), source: "env" }));
+  envCache = { raw: env.API_KEYS, keys };
+  return keys;
+}
+
+/** Create and store a key; the secret is returned once and never stored */
+export async function issueKey(store, spec) {
+  const secret = KEY_PREFIX + randomBytes(24).toString("base64url");
+  const key = { id: randomUUID(), ...withDefaults(spec), prefix: secret.slice(0, 8), hash: hashKey(secret), createdAt: new Date().toISOString() };
+  await store.saveKey(key);
+  return { key, secret };
+}
+
+/** Key as shown to admins: no hash */
+export function publicKey(key) {
+  const { hash, ...rest } = key;
+  return { source: "issued", ...rest };
+}
+
+/* ---------- Request checks ---------- */
+
+function presentedKey(req) {
+  const auth = String(req.headers?.authorization || "");
+  const bearer = /^Bearer\s+(.+)$/i.exec(auth);
+  return (bearer ? bearer[1] : req.headers?.["x-api-key"] || "").trim();
+}
+
+const deny = (status, error, extra = {}, headers = {}) => ({ ok: false, status, body: { error, ...extra }, headers });
+
+/** Who is calling: { ok: true, key } (key null when API_AUTH=off) or a 401/403 */
+export async function authenticate(req, { store, env = process.env }) {
+  if (env.API_AUTH === "off") return { ok: true, key: null };
+  const secret = presentedKey(req);
+  if (!secret) return deny(401, "API key required: send Authorization: Bearer <key> or X-API-Key", {}, { "WWW-Authenticate": "Bearer" });
+
+  const hash = hashKey(secret);
+  const key = envKeys(env).find(k => k.hash === hash) || await store.findKeyByHash(hash);
+  if (!key || key.revokedAt) return deny(401, "Invalid or revoked API key", {}, { "WWW-Authenticate": "Bearer" });
+
+  const origin = req.headers?.origin;
+  if (origin && key.origins.length && !key.origins.includes("*") && !key.origins.includes(origin)) {
+    return deny(403, `Origin ${origin} is not allowed for this API key`);
+  }
+  return { ok: true, key };
+}
+
+/**
+ * Rate limit and monthly quotas from the ledger, checked before the request does any work.
+ * Passing reserves the request: a pending ledger entry is written first and only the entries
+ * ahead of it in the ledger are counted, so concurrent requests on one key cannot all slip under
+ * a limit. The reservation holds USAGE_TOKEN_RESERVE tokens (default 20000) against the monthly
+ * token quota until recordUsage fills in what the model calls actually used.
+ * { ok: true, headers, reservation } carries X-RateLimit-* for the response; over a limit it is a
+ * 429 with resetAt and Retry-After, and the reservation is kept as a rejected entry that counts
+ * toward nothing.
+ */
+export async function checkLimits(key, { store, route, now = new Date(), env = process.env }) {
+  const reserve = Number.parseInt(env.USAGE_TOKEN_RESERVE ?? "20000", 10) || 0;
+  const reservation = { ...ledgerEntry({ keyId: key?.id ?? null, route, status: "pending" }, env), reservedTokens: reserve };
+  await store.record(reservation);
+  if (!key) return { ok: true, headers: {}, reservation };
+  const reject = async (limit, message, resetAt, headers) => {
+    await store.record({ ...reservation, status: 429, reservedTokens: 0, rejected: limit });
+    return overLimit(message, limit, resetAt, now, headers);
+  };
+
+  const { requests: perWindow, windowSeconds } = key.rateLimit;
+  const windowStart = new Date(now.getTime() - windowSeconds * 1000);
+  const month = monthStart(now);
+  const since = new Date(Math.min(windowStart.getTime(), month.getTime())).toISOString();
+  const all = await store.entries({ keyId: key.id, since });
+  // Newest first: everything after our own entry was reserved before it
+  const entries = all.slice(all.findIndex(e => e.id === reservation.id) + 1).filter(e => !e.rejected);
+
+  const inWindow = entries.filter(e => e.at >= windowStart.toISOString());
+  const headers = {};
+  if (perWindow != null) {
+    const reset = inWindow.length >= perWindow
+      ? new Date(new Date(inWindow[perWindow - 1].at).getTime() + windowSeconds * 1000)
+      : new Date(now.getTime() + windowSeconds * 1000);
+    Object.assign(headers, {
+      "X-RateLimit-Limit": String(perWindow),
+      "X-RateLimit-Remaining": String(Math.max(0, perWindow - inWindow.length - 1)),
+      "X-RateLimit-Reset": String(Math.ceil(reset.getTime() / 1000))
+    });
+    if (inWindow.length >= perWindow) return reject("rateLimit", `Rate limit exceeded: ${perWindow} requests per ${windowSeconds}s`, reset, headers);
+  }
+
+  const thisMonth = entries.filter(e => e.at >= month.toISOString());
+  const { monthlyRequests, monthlyTokens } = key.quota;
+  if (monthlyRequests != null && thisMonth.length >= monthlyRequests) {
+    return reject("monthlyRequests", `Monthly request quota exceeded (${monthlyRequests} requests)`, nextMonthStart(now), headers);
+  }
+  const tokens = thisMonth.reduce((s, e) => s + (e.status === "pending" ? e.reservedTokens || 0 : (e.inputTokens || 0) + (e.outputTokens || 0)), 0);
+  if (monthlyTokens != null && tokens + reserve > monthlyTokens) {
+    return reject("monthlyTokens", `Monthly token quota exceeded (${tokens} of ${monthlyTokens} tokens used or reserved)`, nextMonthStart(now), headers);
+  }
+  return { ok: true, headers, reservation };
+}
+
+function overLimit(message, limit, resetAt, now, headers) {
+  const retryAfterSeconds = Math.max(1, Math.ceil((resetAt.getTime() - now.getTime()) / 1000));
+  return deny(429, `${message}; resets at ${resetAt.toISOString()}`, { limit, resetAt: resetAt.toISOString(), retryAfterSeconds },
+    { ...headers, "Retry-After": String(retryAfterSeconds) });
+}
+
+/** authenticate + checkLimits; on success the request holds a reservation to pass to recordUsage */
+export async function authorize(req, { store, route, env = process.env }) {
+  const auth = await authenticate(req, { store, env });
+  if (!auth.ok) return auth;
+  const limits = await checkLimits(auth.key, { store, route, env });
+  return limits.ok ? { ok: true, key: auth.key, headers: limits.headers, reservation: limits.reservation } : limits;
+}
+
+/** Settle a reservation: model, tokens and estimated cost from the provider's usage replace the pending entry */
+export function recordUsage(store, reservation, { status, cached, reportId, usage }, env = process.env) {
+  const { keyId, route, id, at } = reservation;
+  return store.record({ ...ledgerEntry({ keyId, route, status, cached, reportId, usage }, env), id, at });
+}
+
+/* ---------- Admin ---------- */
+
+/** null when the request carries ADMIN_TOKEN, else the denial */
+export function checkAdmin(req, env = process.env) {
+  if (!env.ADMIN_TOKEN) return deny(503, "Admin API disabled: set ADMIN_TOKEN");
+  const given = hashKey(presentedKey(req));
+  return timingSafeEqual(Buffer.from(given, "hex"), Buffer.from(hashKey(env.ADMIN_TOKEN), "hex"))
+    ? null
+    : deny(401, "Admin token required", {}, { "WWW-Authenticate": "Bearer" });
+}
+
+/** null when the request carries ADMIN_TOKEN or a valid API key (not metered), else the denial */
+export async function checkKeyOrAdmin(req, { store, env = process.env }) {
+  if (env.ADMIN_TOKEN && !checkAdmin(req, env)) return null;
+  const auth = await authenticate(req, { store, env });
+  return auth.ok ? null : auth;
+}
@@ -0,0 +1,45 @@
+// /api/_lib/buybox/file.js — JSON-file buy-box profile store for local development
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+export function createFileBuyBoxStore(env) {
+  const dir = path.resolve(env.BUY_BOX_DIR || path.join(process.cwd(), ".data", "buy-boxes"));
+  const file = path.join(dir, "profiles.json");
+
+  async function readAll() {
+    try { return JSON.parse(await readFile(file, "utf8")); } catch { return []; }
+  }
+
+  async function writeAll(profiles) {
+    await mkdir(dir, { recursive: true });
+    await writeFile(file, JSON.stringify(profiles, null, 2));
+  }
+
+  return {
+    name: "file",
+
+    list: readAll,
+
+    async get(id) {
+      return (await readAll()).find(p => p.id === id) || null;
+    },
+
+    async save(profile) {
+      const profiles = await readAll();
+      const at = profiles.findIndex(p => p.id === profile.id);
+      if (at >= 0) profiles[at] = profile;
+      else profiles.push(profile);
+      await writeAll(profiles);
+      return profile;
+    },
+
+    async delete(id) {
+      const profiles = await readAll();
+      const rest = profiles.filter(p => p.id !== id);
+      if (rest.length === profiles.length) return false;
+      await writeAll(rest);
+      return true;
+    }
+  };
+}
@@ -0,0 +1,74 @@
+// /api/_lib/buybox/index.js — saved buy-box profiles (see public/lib/buybox.js for criteria and scoring)
+//
+// BUY_BOX_STORE picks the backend (default: same as REPORT_STORE, else "file"):
+//   file    profiles.json under BUY_BOX_DIR (default .data/buy-boxes; use /tmp/... on Vercel)
+//   memory  process-local; handy for tests, lost on cold start
+//
+// Every store exposes the same async shape:
+//   list() -> profile[] (oldest first), get(id) -> profile|null, save(profile) -> profile (insert or replace by id),
+//   delete(id) -> boolean
+// A profile is { id, name, criteria, active, createdAt, updatedAt }. At most one is active: it scores
+// every report whose request does not name a buy box.
+
+import { randomUUID } from "node:crypto";
+import { checkBuyBox } from "../../../public/lib/buybox.js";
+import { createFileBuyBoxStore } from "./file.js";
+import { createMemoryBuyBoxStore } from "./memory.js";
+
+const FACTORIES = { file: createFileBuyBoxStore, memory: createMemoryBuyBoxStore };
+let cached = null;
+
+export function getBuyBoxStore(env = process.env) {
+  const name = env.BUY_BOX_STORE || env.REPORT_STORE || "file";
+  if (cached?.name === name) return cached;
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`Unknown BUY_BOX_STORE "${name}" (expected ${Object.keys(FACTORIES).join(", ")})`);
+  cached = factory(env);
+  return cached;
+}
+
+/** Validate a profile as sent to /api/buy-boxes: { name, criteria, active? }; returns [{ path, message }] */
+export function checkProfileSpec(spec) {
+  const errors = checkBuyBox(spec, "");
+  if (!errors.length && !String(spec.name ?? "").trim()) errors.unshift({ path: "name", message: "is required" });
+  if (spec?.active != null && typeof spec.active !== "boolean") errors.push({ path: "active", message: "must be true or false" });
+  return errors;
+}
+
+/** Insert or update a profile; activating it deactivates the others */
+export async function saveProfile(store, spec, existing = null) {
+  const now = new Date().toISOString();
+  const profile = {
+    id: existing?.id ?? randomUUID(),
+    name: spec.name.trim(),
+    criteria: spec.criteria,
+    active: spec.active ?? existing?.active ?? false,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now
+  };
+  if (profile.active) {
+    for (const other of await store.list()) {
+      if (other.active && other.id !== profile.id) await store.save({ ...other, active: false });
+    }
+  }
+  return store.save(profile);
+}
+
+/**
+ * Which profile scores a request: a saved profile id, an inline { name?, criteria }, false for none,
+ * or (omitted) the active profile. Resolves to { ok: true, profile } (profile null = unscored) or a 400.
+ */
+export async function resolveBuyBox(spec, store) {
+  const pinned = p => (p ? { id: p.id ?? null, name: p.name || "Buy box", criteria: p.criteria } : null);
+  if (spec === false || spec === null) return { ok: true, profile: null };
+  if (spec === undefined) return { ok: true, profile: pinned(store && (await store.list()).find(p => p.active)) };
+  if (typeof spec === "string") {
+    const saved = store && await store.get(spec);
+    return saved
+      ? { ok: true, profile: pinned(saved) }
+      : { ok: false, status: 400, body: { error: "Invalid buyBox", details: [{ path: "buyBox", message: `no saved profile "${spec}"` }] } };
+  }
+  const errors = checkBuyBox(spec);
+  if (errors.length) return { ok: false, status: 400, body: { error: "Invalid buyBox", details: errors } };
+  return { ok: true, profile: pinned(spec) };
+}
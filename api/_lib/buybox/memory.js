@@ -0,0 +1,13 @@
+// /api/_lib/buybox/memory.js — in-process buy-box profile store (tests, previews)
+
+export function createMemoryBuyBoxStore() {
+  const profiles = new Map();
+
+  return {
+    name: "memory",
+    async list() { return [...profiles.values()]; },
+    async get(id) { return profiles.get(id) || null; },
+    async save(profile) { profiles.set(profile.id, profile); return profile; },
+    async delete(id) { return profiles.delete(id); }
+  };
+}
@@ -0,0 +1,33 @@
+// /api/_lib/csv.js — minimal RFC 4180 reader (quoted fields, "" escapes, CRLF/LF, blank lines skipped)
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some(f => f.trim() !== "")) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some(f => f.trim() !== "")) rows.push(row);
+  return rows;
+}
+
+/** Header row + data rows -> objects keyed by the trimmed header names. */
+export function csvToObjects(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? "").trim()])));
+}
@@ -0,0 +1,938 @@
+// /api/_lib/export.js — file exports of a saved report
+//
+// reportWorkbook(record) -> XLSX Buffer with sheets Inputs, Income & Expenses, Financing,
+// Sensitivity and Rent Comps. Inputs are plain cells exposed as workbook names
+// (PurchasePrice, RateAnnual, VacancyPct, ...); every derived cell is a live formula over those
+// names, cached with the engine's value so previews that do not recalculate still show numbers.
+// Year-1 debt service uses each tranche's initial rate (ARM resets and balloons stay in the app).
+// Short-term rentals swap the unit rents for a monthly ADR x occupancy block, add platform fees
+// and cleaning to OpEx, and list STR Comps instead of Rent Comps. Value-add reports add a
+// Value-Add sheet: rehab and refinance inputs, the hard-money timeline and the refinance as
+// formulas, the as-is and stabilized stages (engine values) and the sale comps. Reports with a
+// marginal tax rate add an After-Tax sheet: yearly interest and depreciation (engine values) with
+// taxable income, tax savings and after-tax cash flow as formulas over the rate.
+//
+// reportPdf(record) -> paginated PDF Buffer: cover page with the buy-box verdict and contents, every section of the
+// rendered report, the monthly amortization schedule as an appendix, and a footer with the
+// disclaimer and page numbers on every page.
+//
+// metricsCsv(records) -> one flat row of key metrics per report (buy-box verdict and score included), for batch screening.
+
+import { inputsFromReport, underwrite } from "../../public/lib/underwriting.js";
+import { blendedSchedule } from "../../public/lib/loans.js";
+import { DEFAULT_MATRIX, sensitivityMatrix } from "../../public/lib/sensitivity.js";
+import { formatterFor } from "../../public/lib/format.js";
+import { assessRisks } from "../../public/lib/risks.js";
+import { scoreBuyBox } from "../../public/lib/buybox.js";
+import { writeXlsx } from "./xlsx.js";
+import { createPdf, textWidth, wrapText } from "./pdf.js";
+
+const SOURCE_LABELS = { user: "User override", model: "Model", default: "Default" };
+
+// Excel number format for the report's currency, symbol placed where the locale puts it
+function moneyFormat(f) {
+  const parts = new Intl.NumberFormat(f.locale, { style: "currency", currency: f.currency }).formatToParts(1);
+  const symbol = `"${f.currencySymbol.replace(/"/g, "")}"`;
+  return parts.findIndex(p => p.type === "currency") < parts.findIndex(p => p.type === "integer") ? `${symbol}#,##0` : `#,##0 ${symbol}`;
+}
+
+/* ---------- XLSX ---------- */
+export function reportWorkbook(record) {
+  const report = record.report || {};
+  const d = inputsFromReport(report);
+  const c = underwrite(d);
+  const names = {};
+  const name = (n, sheet, ref) => { names[n] = `${/[^A-Za-z0-9_]/.test(sheet) ? `'${sheet}'` : sheet}!${ref.replace(/([A-Z]+)(\d+)/, "$$$1$$$2")}`; };
+
+  /* Inputs */
+  const sources = report.inputSources || {};
+  const str = d.str;
+  const INPUTS = [
+    ["PurchasePrice", "Purchase Price", d.purchasePrice, "money", "purchasePrice"],
+    ["RehabBudget", "Rehab Budget", d.rehabBudget, "money", "rehabBudget"],
+    ["ClosingPct", "Closing Costs %", d.closingPct, "pct", "closingCostPct"],
+    ["PointsPct", "Points %", d.pointsPct, "pct", "pointsPct"],
+    ["VacancyPct", str ? "Vacancy % (STR: occupancy is in the revenue)" : "Vacancy %", str ? 0 : d.vacancyRate, "pct", "vacancyPct"],
+    ["MaintPct", "Maintenance % of Gross Rent", d.maintPctOfGross, "pct", "maintenancePctOfGrossRent"],
+    ["MgmtPct", str ? "Management % of revenue (STR)" : "Management % of EGI", d.mgmtPctOfEGI, "pct", str ? "strManagementPct" : "managementPctOfEGI"],
+    ["SelfManaged", "Self-managed (TRUE = no management fee)", d.selfManaged, "default", "selfManaged"],
+    ["TaxesAnnual", "Property Taxes (annual)", d.taxesAnnual, "money", "taxesAnnual"],
+    ["InsuranceAnnual", "Insurance (annual)", d.insuranceAnnual, "money", "insuranceAnnual"],
+    ["HoaAnnual", "HOA (annual)", d.hoaAnnual, "money", "hoaAnnual"],
+    ["UtilitiesAnnual", str ? "Utilities (annual, STR)" : "Utilities, landlord-paid (annual)", d.utilitiesAnnual, "money", str ? "strUtilitiesAnnual" : "utilitiesAnnual"],
+    ["OtherOpExAnnual", "Other OpEx (annual)", d.otherAnnual, "money", "otherOpExAnnual"],
+    ["DownPct", "Down Payment % (single-loan financing)", d.downPct, "pct", "downPaymentPct"],
+    ["RateAnnual", "Interest Rate (annual, single loan)", d.rateAnnual, "pct", "rateAnnualPct"],
+    ["TermYears", "Term (years, single loan)", d.termMonths / 12, "num", "termYears"],
+    ["TargetCap", "Target Cap Rate", d.targetCap, "pct", "targetCapPct"],
+    ...(str ? [
+      ["AdrNightly", "ADR (per night)", str.adrNightly, "money", "adrNightly"],
+      ["AvgStayNights", "Average Stay (nights)", str.averageStayNights, "num", "averageStayNights"],
+      ["CleaningFeePerStay", "Cleaning Fee per Stay (charged to guest)", str.cleaningFeePerStay, "money", "cleaningFeePerStay"],
+      ["CleaningCostPerStay", "Cleaning Cost per Stay", str.cleaningCostPerStay, "money", "cleaningCostPerStay"],
+      ["PlatformPct", "Platform Fee % of revenue", str.platformFeeRate, "pct", "platformFeePct"],
+      ["FurnishingBudget", "Furnishing Budget", str.furnishingBudget, "money", "furnishingBudget"]
+    ] : [])
+  ];
+  const inputRows = [[{ v: "Input", s: "header" }, { v: "Value", s: "header" }, { v: "Source", s: "header" }]];
+  INPUTS.forEach(([n, label, value, style, key], i) => {
+    inputRows.push([label, { v: value, s: style }, SOURCE_LABELS[sources[key]] || ""]);
+    name(n, "Inputs", `B${i + 2}`);
+  });
+  inputRows.push([]);
+  if (str) {
+    // Occupancy by month is the input; nights, stays and revenue follow from ADR and average stay
+    inputRows.push(["Month", "Days", "Occupancy %", "Booked Nights", "Stays", "Room Revenue", "Cleaning Fees"].map(v => ({ v, s: "header" })));
+    const firstMonth = inputRows.length + 1;
+    c.str.months.forEach((m, i) => {
+      const r = firstMonth + i;
+      inputRows.push([m.month, { v: m.days, s: "int" }, { v: m.occupancy, s: "pct" },
+        { f: `B${r}*C${r}`, v: m.nights, s: "num" }, { f: `D${r}/AvgStayNights`, v: m.stays, s: "num" },
+        { f: `D${r}*AdrNightly`, v: m.roomRevenue, s: "money" }, { f: `E${r}*CleaningFeePerStay`, v: m.cleaningFees, s: "money" }]);
+    });
+    const lastMonth = inputRows.length;
+    const total = col => `SUM(${col}${firstMonth}:${col}${lastMonth})`;
+    inputRows.push([{ v: "Year", s: "bold" }, { f: total("B"), v: 365, s: "int" }, { f: `IF(B${lastMonth + 1}>0,D${lastMonth + 1}/B${lastMonth + 1},0)`, v: c.str.occupancy, s: "pct" },
+      { f: total("D"), v: c.str.nights, s: "num" }, { f: total("E"), v: c.str.stays, s: "num" },
+      { f: total("F"), v: c.str.roomRevenue, s: "boldMoney" }, { f: total("G"), v: c.str.cleaningFees, s: "boldMoney" }]);
+    const totalRow = inputRows.length;
+    name("StaysAnnual", "Inputs", `E${totalRow}`);
+    inputRows.push([{ v: "Average Monthly Booking Revenue", s: "bold" }, { f: `(F${totalRow}+G${totalRow})/12`, v: c.monthlyRent, s: "boldMoney" }]);
+  } else {
+    inputRows.push([{ v: "Unit", s: "header" }, { v: "Monthly Rent", s: "header" }]);
+    const firstUnit = inputRows.length + 1;
+    d.units.forEach(u => inputRows.push([u.name, { v: u.rent, s: "money" }]));
+    const lastUnit = inputRows.length;
+    inputRows.push([{ v: "Total Monthly Rent", s: "bold" }, { f: `SUM(B${firstUnit}:B${lastUnit})`, v: c.monthlyRent, s: "boldMoney" }]);
+  }
+  name("MonthlyRent", "Inputs", `B${inputRows.length}`);
+
+  /* Financing: one row per tranche (the legacy single loan is driven by the Inputs sheet) */
+  const legacy = !(Array.isArray(report.financing?.loans) && report.financing.loans.length);
+  const finRows = [["Loan", "Type", "LTV %", "Amount", "Rate", "Term (yrs)", "IO months", "Payment (mo 1)", "Payment after IO", "Debt Service (yr 1)", "Cum. DSCR", "Lender Min DSCR"]
+    .map(v => ({ v, s: "header" }))];
+  const firstLoan = 2;
+  c.tranches.forEach((t, i) => {
+    const r = firstLoan + i;
+    const src = legacy ? null : report.financing.loans[i];
+    const ltv = src && src.amount == null && typeof src.ltvPct === "number" ? src.ltvPct / 100 : null;
+    finRows.push([
+      t.name,
+      t.type,
+      legacy ? { f: "1-DownPct", v: 1 - d.downPct, s: "pct" } : { v: ltv, s: "pct" },
+      legacy || ltv != null ? { f: `PurchasePrice*C${r}`, v: t.amount, s: "money" } : { v: t.amount, s: "money" },
+      legacy ? { f: "RateAnnual", v: t.rateAnnual, s: "pct" } : { v: t.rateAnnual, s: "pct" },
+      legacy ? { f: "TermYears", v: t.termMonths / 12, s: "num" } : { v: t.termMonths / 12, s: "num" },
+      { v: t.ioMonths, s: "int" },
+      { f: `IF(G${r}>0,D${r}*E${r}/12,PMT(E${r}/12,F${r}*12,-D${r}))`, v: t.initialPayment, s: "money" },
+      { f: `IF(G${r}>0,PMT(E${r}/12,F${r}*12-G${r},-D${r}),H${r})`, s: "money" },
+      { f: `MIN(G${r},12)*D${r}*E${r}/12+MAX(0,12-G${r})*I${r}`, v: t.annualDebtService, s: "money" },
+      { f: `IF(SUM(J$${firstLoan}:J${r})>0,NoiAnnual/SUM(J$${firstLoan}:J${r}),"")`, v: t.cumulativeDscr ?? "", s: "ratio" },
+      { v: t.minDscr, s: "ratio" }
+    ]);
+  });
+  const lastLoan = finRows.length;
+  const totalRow = lastLoan + 1;
+  finRows.push([
+    { v: "Total", s: "bold" }, "", "",
+    { f: `SUM(D${firstLoan}:D${lastLoan})`, v: c.loanAmount, s: "boldMoney" }, "", "", "",
+    { f: `SUM(H${firstLoan}:H${lastLoan})`, v: c.monthlyPI, s: "boldMoney" }, "",
+    { f: `SUM(J${firstLoan}:J${lastLoan})`, v: c.ads, s: "boldMoney" }
+  ]);
+  name("LoanAmount", "Financing", `D${totalRow}`);
+  name("AnnualDebtService", "Financing", `J${totalRow}`);
+  finRows.push([]);
+  finRows.push(["Down Payment", { f: "MAX(0,PurchasePrice-LoanAmount)", v: c.downPayment, s: "money" }]);
+  name("DownPayment", "Financing", `B${finRows.length}`);
+  finRows.push(str
+    ? ["Cash Invested (down + closing + points + rehab + furnishing)", { f: "DownPayment+PurchasePrice*(ClosingPct+PointsPct)+RehabBudget+FurnishingBudget", v: c.cashInvested, s: "boldMoney" }]
+    : ["Cash Invested (down + closing + points + rehab)", { f: "DownPayment+PurchasePrice*(ClosingPct+PointsPct)+RehabBudget", v: c.cashInvested, s: "boldMoney" }]);
+  name("CashInvested", "Financing", `B${finRows.length}`);
+  finRows.push([]);
+  finRows.push([legacy
+    ? "Single fixed loan: edit Down Payment %, Interest Rate and Term on the Inputs sheet."
+    : "Loan tranches: edit amounts, rates and terms here. Year-1 figures use each tranche's initial rate."]);
+
+  /* Income & Expenses */
+  const mgmtRate = d.selfManaged ? 0 : d.mgmtPctOfEGI;
+  const fixedOpEx = c.taxes + c.insurance + c.hoa + c.utilities + c.other;
+  const strOpEx = str ? [
+    ["Platform Fees", { f: "EgiAnnual*PlatformPct", v: c.platformFees, s: "money" }],
+    ["Cleaning", { f: "StaysAnnual*CleaningCostPerStay", v: c.cleaning, s: "money" }]
+  ] : [];
+  const ie = [
+    [{ v: "Line", s: "header" }, { v: "Annual", s: "header" }],
+    [str ? "Gross Booking Revenue" : "Gross Scheduled Rent", { f: "MonthlyRent*12", v: c.annualGSR, s: "money" }, "GrossRentAnnual"],
+    ["Less Vacancy", { f: "GrossRentAnnual*VacancyPct", v: c.vacancy, s: "money" }],
+    [{ v: "Effective Gross Income (EGI)", s: "bold" }, { f: "GrossRentAnnual-B3", v: c.egi, s: "boldMoney" }, "EgiAnnual"],
+    [],
+    ["Property Taxes", { f: "TaxesAnnual", v: c.taxes, s: "money" }],
+    ["Insurance", { f: "InsuranceAnnual", v: c.insurance, s: "money" }],
+    ["HOA", { f: "HoaAnnual", v: c.hoa, s: "money" }],
+    ["Utilities", { f: "UtilitiesAnnual", v: c.utilities, s: "money" }],
+    ["Other OpEx", { f: "OtherOpExAnnual", v: c.other, s: "money" }],
+    ["Maintenance", { f: "GrossRentAnnual*MaintPct", v: c.maintenance, s: "money" }],
+    ["Management", { f: "EgiAnnual*IF(SelfManaged,0,MgmtPct)", v: c.management, s: "money" }],
+    ...strOpEx,
+    [{ v: "Total Operating Expenses", s: "bold" }, { f: `SUM(B6:B${12 + strOpEx.length})`, v: c.opEx, s: "boldMoney" }, "OpExAnnual"],
+    [{ v: "Net Operating Income (NOI)", s: "bold" }, { f: "EgiAnnual-OpExAnnual", v: c.noi, s: "boldMoney" }, "NoiAnnual"],
+    [],
+    ["Total Cost (price + closing)", { f: "PurchasePrice*(1+ClosingPct)", v: c.totalCost, s: "money" }, "TotalCost"],
+    ["Cap Rate", { f: "IF(TotalCost>0,NoiAnnual/TotalCost,0)", v: c.cap, s: "boldPct" }],
+    ["Annual Debt Service (yr 1)", { f: "AnnualDebtService", v: c.ads, s: "money" }],
+    ["DSCR", { f: "IF(AnnualDebtService>0,NoiAnnual/AnnualDebtService,0)", v: c.dscr, s: "ratio" }],
+    [{ v: "Cash Flow (annual)", s: "bold" }, { f: "NoiAnnual-AnnualDebtService", v: c.cashFlow, s: "boldMoney" }, "CashFlowAnnual"],
+    ["Cash Invested", { f: "CashInvested", v: c.cashInvested, s: "money" }],
+    ["Cash-on-Cash ROI", { f: `IF(CashInvested>0,CashFlowAnnual/CashInvested,"")`, v: c.coc ?? "", s: "pct" }],
+    ["1% Rule (monthly rent ÷ price)", { f: "IF(PurchasePrice>0,MonthlyRent/PurchasePrice,0)", v: c.onePctRule, s: "pct" }],
+    ["Max Purchase @ Target Cap", { f: `IF(TargetCap>0,NoiAnnual/TargetCap/(1+ClosingPct+PointsPct),"")`, v: c.maxPurchaseAtTargetCap ?? "", s: "boldMoney" }]
+  ];
+  // Third column only carries the name to register; it is not written to the sheet
+  const ieRows = ie.map((row, i) => {
+    if (typeof row[2] === "string") name(row[2], "Income & Expenses", `B${i + 1}`);
+    return row.slice(0, 2);
+  });
+
+  /* Sensitivity: editable multipliers, formulas for the rest */
+  const SCENARIOS = [["Rent −10%", 0.9, 1], ["Base Case", 1, 1], ["Rent +10%", 1.1, 1], ["OpEx −10%", 1, 0.9], ["OpEx +10%", 1, 1.1]];
+  const sensRows = [["Scenario", "Rent ×", "Fixed OpEx ×", "Gross Rent", "EGI", "OpEx", "NOI", "Cap Rate", "DSCR", "Cash Flow"].map(v => ({ v, s: "header" }))];
+  SCENARIOS.forEach(([label, rentMult, opExMult], i) => {
+    const r = i + 2;
+    const gsr = c.annualGSR * rentMult;
+    const egi = gsr * (1 - (str ? 0 : d.vacancyRate));
+    const opEx = fixedOpEx * opExMult + gsr * d.maintPctOfGross + egi * mgmtRate
+      + (str ? egi * str.platformFeeRate + c.str.cleaningCosts * opExMult : 0);
+    const noi = egi - opEx;
+    sensRows.push([
+      label,
+      { v: rentMult, s: "num" },
+      { v: opExMult, s: "num" },
+      { f: `GrossRentAnnual*B${r}`, v: gsr, s: "money" },
+      { f: `D${r}*(1-VacancyPct)`, v: egi, s: "money" },
+      { f: `(TaxesAnnual+InsuranceAnnual+HoaAnnual+UtilitiesAnnual+OtherOpExAnnual)*C${r}+D${r}*MaintPct+E${r}*IF(SelfManaged,0,MgmtPct)`
+        + (str ? `+E${r}*PlatformPct+StaysAnnual*CleaningCostPerStay*C${r}` : ""), v: opEx, s: "money" },
+      { f: `E${r}-F${r}`, v: noi, s: "money" },
+      { f: `IF(TotalCost>0,G${r}/TotalCost,0)`, v: c.totalCost ? noi / c.totalCost : 0, s: "pct" },
+      { f: `IF(AnnualDebtService>0,G${r}/AnnualDebtService,0)`, v: c.ads ? noi / c.ads : 0, s: "ratio" },
+      { f: `G${r}-AnnualDebtService`, v: noi - c.ads, s: "money" }
+    ]);
+  });
+  for (const m of report.sensitivityMatrices || []) {
+    sensRows.push([], [{ v: `${m.label}: ${m.rows.label} (rows) × ${m.cols.label} (columns) — engine values`, s: "bold" }]);
+    sensRows.push([{ v: "", s: "header" }, ...m.cols.values.map(v => ({ v, s: "header" }))]);
+    m.cells.forEach((row, i) => sensRows.push([{ v: m.rows.values[i], s: "bold" }, ...row.map(cell => ({ v: cell.value, s: "num" }))]));
+  }
+
+  /* Rent Comps */
+  const comps = Array.isArray(report.rentComps) ? report.rentComps : [];
+  const compRows = [["Address", "Beds", "Baths", "Asking Rent", "Distance (mi)", "Condition"].map(v => ({ v, s: "header" }))];
+  comps.forEach(r => compRows.push([r.address, r.beds, r.baths, { v: r.askingRent, s: "money" }, { v: r.distanceMiles, s: "num" }, r.conditionNote || ""]));
+  if (comps.length) {
+    const range = `D2:D${comps.length + 1}`;
+    compRows.push([]);
+    compRows.push([{ v: "Average asking rent", s: "bold" }, "", "", { f: `AVERAGE(${range})`, s: "boldMoney" }]);
+    compRows.push([{ v: "Median asking rent", s: "bold" }, "", "", { f: `MEDIAN(${range})`, s: "boldMoney" }]);
+  }
+  if (report.rents?.benchmarkMedian != null) compRows.push(["Benchmark median (report)", "", "", { v: report.rents.benchmarkMedian, s: "money" }]);
+
+  /* STR Comps */
+  const strComps = Array.isArray(report.strComps) ? report.strComps : [];
+  const strCompRows = [["Address", "Beds", "Baths", "ADR", "Occupancy %", "Revenue (annual)", "Distance (mi)", "Source"].map(v => ({ v, s: "header" }))];
+  strComps.forEach(r => strCompRows.push([r.address, r.beds, r.baths, { v: r.adrNightly, s: "money" },
+    { v: r.occupancyPct == null ? null : r.occupancyPct / 100, s: "pct" }, { v: r.annualRevenue, s: "money" }, { v: r.distanceMiles, s: "num" }, r.source || ""]));
+  if (strComps.length) {
+    const last = strComps.length + 1;
+    strCompRows.push([]);
+    strCompRows.push([{ v: "Median", s: "bold" }, "", "", { f: `MEDIAN(D2:D${last})`, s: "boldMoney" }, { f: `MEDIAN(E2:E${last})`, s: "boldPct" }, { f: `MEDIAN(F2:F${last})`, s: "boldMoney" }]);
+  }
+
+  /* Value-Add: the refinance follows from the inputs here; stabilized NOI comes from the engine */
+  const v = c.valueAdd;
+  const vaRows = [];
+  if (v) {
+    const va = d.valueAdd;
+    const VA_INPUTS = [
+      ["Arv", `After-Repair Value (${{ report: "report", pricePerSqft: "median price/sqft of sale comps", medianPrice: "median sale comp price", cost: "no comps: price + rehab" }[v.arvMethod]})`, v.arv, "money", "arv"],
+      ["HoldingMonthly", "Holding Costs (per month)", v.rehabMonths ? v.holdingCosts / v.rehabMonths : 0, "money", "holdingCostsMonthly"],
+      ["HmLtc", "Hard Money % of Cost", va.hardMoneyLtc, "pct", "hardMoneyLoanToCostPct"],
+      ["HmRate", "Hard Money Rate (annual, interest-only)", va.hardMoneyRate, "pct", "hardMoneyRatePct"],
+      ["HmPoints", "Hard Money Points", va.hardMoneyPoints, "pct", "hardMoneyPointsPct"],
+      ["RefiLtv", "Refinance LTV", va.refinanceLtv, "pct", "refinanceLtvPct"],
+      ["RefiRate", "Refinance Rate (annual)", v.refinanceRate, "pct", "refinanceRatePct"],
+      ["RefiTermYears", "Refinance Term (years)", va.refinanceTermMonths / 12, "num", "refinanceTermYears"],
+      ["RefiClosingPct", "Refinance Closing Costs %", va.refinanceClosingPct, "pct", "refinanceClosingCostPct"]
+    ];
+    vaRows.push([{ v: "Input", s: "header" }, { v: "Value", s: "header" }, { v: "Source", s: "header" }]);
+    VA_INPUTS.forEach(([n, label, value, style, key]) => {
+      vaRows.push([label, { v: value, s: style }, SOURCE_LABELS[sources[key]] || ""]);
+      name(n, "Value-Add", `B${vaRows.length}`);
+    });
+
+    // Rehab timeline: hard money funds its share of the price at closing and of each month's rehab
+    vaRows.push([], [{ v: `Rehab Timeline (${v.rehabMonths} months; change the month count in the app)`, s: "bold" }]);
+    vaRows.push(["Month", "Rehab Spend", "Hard Money Balance", "Interest", "Holding", "Cash In"].map(h => ({ v: h, s: "header" })));
+    const firstMonth = vaRows.length + 1;
+    v.months.forEach((m, i) => {
+      const r = firstMonth + i;
+      vaRows.push([{ v: m.month, s: "int" }, { f: `RehabBudget/${v.rehabMonths}`, v: m.rehabSpend, s: "money" },
+        { f: i ? `C${r - 1}+B${r}*HmLtc` : `PurchasePrice*HmLtc+B${r}*HmLtc`, v: m.loanBalance, s: "money" },
+        { f: `C${r}*HmRate/12`, v: m.interest, s: "money" }, { f: "HoldingMonthly", v: m.holdingCosts, s: "money" },
+        { f: `B${r}*(1-HmLtc)+D${r}+E${r}`, v: m.cashIn, s: "money" }]);
+    });
+    const lastMonth = vaRows.length;
+    const sum = col => (v.months.length ? { f: `SUM(${col}${firstMonth}:${col}${lastMonth})` } : { v: 0 });
+
+    vaRows.push([], [{ v: "Refinance", s: "header" }, { v: "Amount", s: "header" }]);
+    const results = [
+      ["Hard Money Loan", { f: "(PurchasePrice+RehabBudget)*HmLtc", v: v.hardMoneyLoan, s: "money" }, "HardMoneyLoan"],
+      ["Hard Money Points", { f: "HardMoneyLoan*HmPoints", v: v.hardMoneyPoints, s: "money" }, "HardMoneyPoints"],
+      ["Hard Money Interest", { ...sum("D"), v: v.hardMoneyInterest, s: "money" }, "HardMoneyInterest"],
+      ["Holding Costs", { ...sum("E"), v: v.holdingCosts, s: "money" }, "HoldingCosts"],
+      [{ v: `All-in Cost (price + closing + rehab${str ? " + furnishing" : ""} + points + interest + holding)`, s: "bold" },
+        { f: `PurchasePrice*(1+ClosingPct)+RehabBudget${str ? "+FurnishingBudget" : ""}+HardMoneyPoints+HardMoneyInterest+HoldingCosts`, v: v.allInCost, s: "boldMoney" }, "AllInCost"],
+      ["Cash In Before Refinance", { f: "AllInCost-HardMoneyLoan", v: v.cashBeforeRefinance, s: "money" }, "CashBeforeRefinance"],
+      ["Refinance Loan", { f: "Arv*RefiLtv", v: v.refinanceLoan, s: "money" }, "RefinanceLoan"],
+      ["Refinance Closing Costs", { f: "RefinanceLoan*RefiClosingPct", v: v.refinanceClosing, s: "money" }, "RefinanceClosing"],
+      [{ v: "Cash Out at Refinance (after paying off hard money)", s: "bold" },
+        { f: "RefinanceLoan-RefinanceClosing-HardMoneyLoan", v: v.cashOut, s: "boldMoney" }, "CashOut"],
+      [{ v: "Cash Left in Deal", s: "bold" }, { f: "CashBeforeRefinance-CashOut", v: v.cashLeftInDeal, s: "boldMoney" }, "CashLeftInDeal"],
+      ["Infinite Return (no cash left in)", { f: `IF(CashLeftInDeal<=0,"Yes","No")`, v: v.infiniteReturn ? "Yes" : "No" }],
+      ["Stabilized NOI (engine value, stabilized rents)", { v: v.stages.after.noi, s: "money" }, "StabilizedNoi"],
+      ["Debt Service after Refinance (annual)", { f: "PMT(RefiRate/12,RefiTermYears*12,-RefinanceLoan)*12", v: v.stages.after.debtService, s: "money" }, "RefiDebtService"],
+      [{ v: "DSCR after Refinance", s: "bold" }, { f: "IF(RefiDebtService>0,StabilizedNoi/RefiDebtService,0)", v: v.stages.after.dscr ?? 0, s: "ratio" }],
+      ["Yield on Cost", { f: "IF(AllInCost>0,StabilizedNoi/AllInCost,0)", v: v.yieldOnCost ?? 0, s: "boldPct" }]
+    ];
+    results.forEach(([label, cell, n]) => {
+      vaRows.push([label, cell]);
+      if (n) name(n, "Value-Add", `B${vaRows.length}`);
+    });
+
+    // Side by side, as the web report shows it
+    const b = v.stages.before, a = v.stages.after;
+    vaRows.push([], ["Stage", "As-is (purchase + rehab)", "Stabilized (after refi)"].map(h => ({ v: h, s: "header" })));
+    [["Value", "value", "money"], ["Rent (monthly)", "monthlyRent", "money"], ["NOI (annual)", "noi", "money"],
+      ["Loan (hard money → refinance)", "loan", "money"], ["Debt Service (annual)", "debtService", "money"], ["DSCR", "dscr", "ratio"],
+      ["Cash Flow (annual)", "cashFlow", "money"], ["Cash in Deal", "cashInDeal", "money"], ["Equity", "equity", "money"],
+      ["Cash-on-Cash", "cashOnCash", "pct"]
+    ].forEach(([label, key, style]) => vaRows.push([label, { v: b[key] ?? "", s: style }, key === "cashOnCash" && v.infiniteReturn ? "Infinite" : { v: a[key] ?? "", s: style }]));
+
+    const sales = Array.isArray(report.saleComps) ? report.saleComps : [];
+    if (sales.length) {
+      vaRows.push([], ["Sale Comp", "Sale Price", "Area", "Price / Area", "Sold", "Distance (mi)"].map(h => ({ v: h, s: "header" })));
+      const firstSale = vaRows.length + 1;
+      sales.forEach((s, i) => {
+        const r = firstSale + i;
+        vaRows.push([s.address, { v: s.salePrice, s: "money" }, { v: s.sqft, s: "int" },
+          { f: `IF(C${r}>0,B${r}/C${r},"")`, v: s.sqft > 0 ? s.salePrice / s.sqft : "", s: "money" }, s.saleDate || "", { v: s.distanceMiles, s: "num" }]);
+      });
+      const lastSale = vaRows.length;
+      vaRows.push([{ v: "Median", s: "bold" }, { f: `MEDIAN(B${firstSale}:B${lastSale})`, s: "boldMoney" }, "", { f: `MEDIAN(D${firstSale}:D${lastSale})`, s: "boldMoney" }]);
+    }
+  }
+
+  /* After-Tax: deductions from the engine, the rest follows the marginal rate */
+  const taxRows = [];
+  if (c.tax) {
+    const t = c.tax;
+    taxRows.push([{ v: "Input", s: "header" }, { v: "Value", s: "header" }, { v: "Source", s: "header" }]);
+    [
+      ["MarginalTaxRate", "Marginal Tax Rate", t.assumptions.marginalRate, "pct", "marginalTaxRatePct"],
+      ["RecaptureRate", "Depreciation Recapture Rate (§1250)", t.assumptions.recaptureRate, "pct", "recaptureRatePct"],
+      ["CapitalGainsRate", "Capital Gains Rate", t.assumptions.capitalGainsRate, "pct", "capitalGainsRatePct"]
+    ].forEach(([n, label, value, style, key]) => {
+      taxRows.push([label, { v: value, s: style }, SOURCE_LABELS[sources[key]] || ""]);
+      name(n, "After-Tax", `B${taxRows.length}`);
+    });
+    taxRows.push(["Land Share of Price", { v: t.assumptions.landPct, s: "pct" }, t.assumptions.landMethod === "assessor" ? "Assessor ratio" : SOURCE_LABELS[sources.landValuePct] || ""]);
+    taxRows.push(["Depreciable Basis", { v: t.basis.total - t.basis.land, s: "money" }]);
+    taxRows.push([]);
+    taxRows.push(["Year", "NOI", "Mortgage Interest", "Depreciation", "Taxable Income", "Tax Savings", "Cash Flow", "After-Tax Cash Flow"].map(v => ({ v, s: "header" })));
+    const firstYear = taxRows.length + 1;
+    t.years.forEach((y, i) => {
+      const r = firstYear + i;
+      taxRows.push([{ v: y.year, s: "int" }, { v: y.noi, s: "money" }, { v: y.interest, s: "money" }, { v: y.depreciation, s: "money" },
+        { f: `B${r}-C${r}-D${r}`, v: y.taxableIncome, s: "money" }, { f: `-E${r}*MarginalTaxRate`, v: y.taxSavings, s: "money" },
+        { v: y.cashFlow, s: "money" }, { f: `G${r}+F${r}`, v: y.afterTaxCashFlow, s: "boldMoney" }]);
+    });
+    const s = t.sale;
+    // Recapture depends on the kind of depreciation (5/15-year at the marginal rate), so it stays an engine value
+    taxRows.push([], [{ v: "Sale", s: "header" }, { v: "Amount", s: "header" }]);
+    const recaptured = s.ordinaryRecapture + s.unrecaptured1250;
+    [
+      ["Sale Price less Selling Costs", { v: s.amountRealized, s: "money" }, "AmountRealized"],
+      ["Adjusted Basis", { v: s.adjustedBasis, s: "money" }, "AdjustedBasis"],
+      ["Gain", { f: "AmountRealized-AdjustedBasis", v: s.gain, s: "money" }, "SaleGain"],
+      ["Depreciation Recapture Tax (engine value)", { v: s.recaptureTax, s: "money" }, "RecaptureTax"],
+      ["Capital Gains Tax (a loss saves at the marginal rate)",
+        { f: `IF(SaleGain>0,MAX(0,SaleGain-${recaptured})*CapitalGainsRate,SaleGain*MarginalTaxRate)`, v: s.gain > 0 ? s.capitalGainsTax : s.saleTax, s: "money" }, "CapitalGainsTax"],
+      ["Net Sale Proceeds (pre-tax)", { v: c.proForma.exit.netSaleProceeds, s: "money" }, "NetSaleProceeds"],
+      [{ v: "After-Tax Sale Proceeds", s: "bold" }, { f: "NetSaleProceeds-RecaptureTax-CapitalGainsTax", v: s.afterTaxSaleProceeds, s: "boldMoney" }]
+    ].forEach(([label, cell, n]) => {
+      taxRows.push([label, cell]);
+      if (n) name(n, "After-Tax", `B${taxRows.length}`);
+    });
+    taxRows.push([{ v: "After-Tax IRR (engine value)", s: "bold" }, { v: t.returns.afterTaxIrr ?? "", s: "boldPct" }]);
+  }
+
+  return writeXlsx({
+    sheets: [
+      { name: "Inputs", cols: [42, 16, 16, ...(str ? [14, 10, 14, 14] : [])], rows: inputRows, freezeRows: 1 },
+      { name: "Income & Expenses", cols: [34, 16], rows: ieRows, freezeRows: 1 },
+      { name: "Financing", cols: [44, 14, 10, 14, 10, 10, 10, 15, 15, 17, 11, 15], rows: finRows, freezeRows: 1 },
+      { name: "Sensitivity", cols: [16, ...Array(12).fill(13)], rows: sensRows, freezeRows: 1 },
+      str
+        ? { name: "STR Comps", cols: [44, 8, 8, 12, 13, 16, 14, 24], rows: strCompRows, freezeRows: 1 }
+        : { name: "Rent Comps", cols: [44, 8, 8, 14, 14, 40], rows: compRows, freezeRows: 1 },
+      ...(v ? [{ name: "Value-Add", cols: [52, 22, 22, 14, 14, 14], rows: vaRows, freezeRows: 1 }] : []),
+      ...(c.tax ? [{ name: "After-Tax", cols: [40, 16, 18, 14, 16, 14, 14, 20], rows: taxRows, freezeRows: 1 }] : [])
+    ],
+    names,
+    moneyFormat: moneyFormat(formatterFor(report.reportMeta))
+  });
+}
+
+/* ---------- PDF ---------- */
+const DISCLAIMER = "For underwriting/education only. Not legal, tax, accounting, or financial advice.";
+
+// Same glossary the web report renders
+const GLOSSARY = [
+  ["EGI", "Effective Gross Income: rent after vacancy."],
+  ["OpEx", "Operating Expenses: taxes, insurance, HOA, maintenance, management, utilities, other."],
+  ["NOI", "Net Operating Income: EGI minus OpEx."],
+  ["Cap", "Capitalization Rate: NOI ÷ Total Cost."],
+  ["DSCR", "Debt Service Coverage Ratio: NOI ÷ Annual Debt Service."],
+  ["CoC", "Cash-on-Cash ROI: Annual Cash Flow ÷ Cash Invested."]
+];
+const LOAN_TYPE_LABELS = { fixed: "Fixed", interestOnly: "Interest-only", arm: "ARM", sellerCarry: "Seller carry", dscr: "DSCR loan" };
+
+const INK = [0.06, 0.09, 0.16];
+const MUTED = [0.39, 0.45, 0.55];
+const RULE = [0.89, 0.91, 0.94];
+const SHADE = [0.95, 0.96, 0.98];
+const ZEBRA = [0.98, 0.985, 0.99];
+const ACCENT = [0.31, 0.27, 0.9];
+const BAND_FILLS = { good: [0.86, 0.99, 0.91], warn: [1, 0.97, 0.84], bad: [1, 0.89, 0.89] };
+const VERDICT_BANNERS = { pass: ["Meets the buy box", BAND_FILLS.good], fail: ["Outside the buy box", BAND_FILLS.bad], incomplete: ["Buy box: data missing", BAND_FILLS.warn] };
+
+// Sensitivity axes and cells; matrix metrics other than money and DSCR are already percents
+const fmtAxis = (f, variable, v) => (variable === "purchasePrice" ? f.money(v) : String(v));
+const fmtMetric = (f, metric, v) => (v == null ? "-"
+  : metric === "cashFlowAnnual" || metric === "noiAnnual" ? f.money(v) : metric === "dscr" ? f.ratio(v) : f.pct(v / 100));
+
+export function reportPdf(record) {
+  const report = record.report || {};
+  const d = inputsFromReport(report);
+  const c = underwrite(d);
+  const snap = report.propertySnapshot || {};
+  const address = report.subject?.address ?? record.request?.address ?? "";
+  const f = formatterFor(report.reportMeta);
+  const prepared = f.date(record.createdAt);
+  const pdf = createPdf();
+  const doc = pdfFlow(pdf);
+
+  /* Cover */
+  pdf.addPage();
+  pdf.rect(0, 0, pdf.width, 10, { fill: ACCENT });
+  let y = 150;
+  pdf.text("INVESTMENT REPORT", doc.left, y, { size: 11, bold: true, color: ACCENT });
+  y += 36;
+  for (const line of wrapText(address || "Untitled property", doc.width, 24, true)) {
+    pdf.text(line, doc.left, y, { size: 24, bold: true, color: INK });
+    y += 30;
+  }
+  const subtitle = [snap.propertyType, snap.unitMix].filter(Boolean).join(" · ");
+  if (subtitle) { pdf.text(subtitle, doc.left, y, { size: 12, color: MUTED }); y += 20; }
+  pdf.text(`Prepared ${prepared}${record.id ? ` · Report ${record.id}` : ""}`, doc.left, y, { size: 9, color: MUTED });
+  const buyBox = scoreBuyBox(report, report.buyBoxProfile);
+  if (buyBox) {
+    const [label, fill] = VERDICT_BANNERS[buyBox.verdict];
+    y += 16;
+    pdf.rect(doc.left, y, doc.width, 34, { fill, stroke: RULE });
+    pdf.text(label.toUpperCase(), doc.left + 10, y + 15, { size: 11, bold: true, color: INK });
+    pdf.text(`${buyBox.profile.name}${buyBox.score == null ? "" : ` · score ${buyBox.score}/100 (${buyBox.passed} of ${buyBox.criteria.length} criteria pass)`}`,
+      doc.left + 10, y + 28, { size: 9, color: INK });
+    y += 34;
+  }
+  doc.y = y + 28;
+  doc.metrics([
+    ["Purchase Price", f.money(d.purchasePrice)],
+    ["NOI (yr)", f.money(c.noi)],
+    ["Cap Rate", f.pct(c.cap)],
+    ["DSCR", f.ratio(c.dscr || 0)],
+    ["Cash Flow (yr)", f.money(c.cashFlow)],
+    ["Cash-on-Cash", f.pct(c.coc)],
+    ["Max @ Target Cap", f.money(c.maxPurchaseAtTargetCap)],
+    ["Levered IRR", f.pct(c.proForma.returns.leveredIrr)]
+  ]);
+  const contentsY = doc.y + 24;
+
+  /* Sections */
+  doc.newPage();
+  if (buyBox) {
+    doc.heading("Buy Box");
+    doc.paragraph(`${VERDICT_BANNERS[buyBox.verdict][0]} "${buyBox.profile.name}"${buyBox.score == null ? "" : `: score ${buyBox.score}/100`}.`, { size: 9, color: INK });
+    doc.table(["Criterion", "Report", "Result"], buyBox.criteria.map(r => [
+      r.label, r.detail,
+      { text: r.pass === true ? "Pass" : r.pass === false ? "Fail" : "Unknown", fill: BAND_FILLS[r.pass === true ? "good" : r.pass === false ? "bad" : "warn"] }
+    ]));
+  }
+  doc.heading("Executive Summary");
+  doc.metrics([
+    ["Purchase Price", f.money(d.purchasePrice)],
+    ["NOI (yr)", f.money(c.noi)],
+    ["Cap Rate", f.pct(c.cap)],
+    ["Monthly P&I", f.money(c.monthlyPI)],
+    ["DSCR", f.ratio(c.dscr || 0)],
+    ["Cash Flow (yr)", f.money(c.cashFlow)],
+    ["Total Cost", f.money(c.totalCost)],
+    c.str ? ["Booking Revenue (avg)", `${f.money(c.monthlyRent)}/mo`] : ["Modeled Rent (Total)", `${f.money(c.monthlyRent)}/mo`]
+  ]);
+
+  doc.heading("Property Snapshot");
+  doc.keyValues([
+    ["Type", snap.propertyType || "-"],
+    ["Unit Mix", snap.unitMix || "-"],
+    ["Beds/Baths", snap.beds == null && snap.baths == null ? "-" : `${snap.beds}/${snap.baths}`],
+    ["Living Area", f.area(snap.livingSqft)],
+    ["Year Built", snap.yearBuilt || "-"],
+    ["Lot Size", f.area(snap.lotSizeSqft)],
+    ["Taxes", f.money(c.taxes) + (snap.taxes?.year ? ` (${snap.taxes.year})` : "")],
+    ["Insurance (est.)", f.money(c.insurance)],
+    ["HOA", snap.hoa?.hasHoa ? `${f.money(c.hoa)}/yr` : "None"]
+  ]);
+
+  if (c.str) {
+    doc.heading("Short-Term Rental");
+    doc.keyValues([
+      ["ADR", `${f.money(d.str.adrNightly)}/night`],
+      ["Occupancy (yr)", f.pct(c.str.occupancy)],
+      ["RevPAR", `${f.money(c.str.roomRevenue / 365)}/night`],
+      ["Booked Nights / Stays", `${Math.round(c.str.nights)} / ${Math.round(c.str.stays)}`],
+      ["Furnishing", f.money(c.furnishing)]
+    ]);
+    doc.table(["Month", "Occupancy", "Nights", "Stays", "Revenue"], c.str.months.map(m => [
+      m.month, f.pct(m.occupancy), m.nights.toFixed(1), m.stays.toFixed(1), f.money(m.revenue)
+    ]));
+  } else {
+    doc.heading("Units & Rents");
+    doc.table(["Unit", "Rent"], d.units.map(u => [u.name, `${f.money(u.rent)}/mo`]));
+  }
+
+  const strComps = Array.isArray(report.strComps) ? report.strComps : [];
+  if (c.str && strComps.length) {
+    doc.heading("Short-Term Rental Comps");
+    doc.table(["Address", "Bed/Bath", "ADR", "Occupancy", "Revenue (yr)", "Distance"], strComps.map(r => [
+      r.address, `${r.beds}/${r.baths}`, f.money(r.adrNightly ?? 0),
+      r.occupancyPct == null ? "-" : f.pct(r.occupancyPct / 100),
+      r.annualRevenue == null ? "-" : f.money(r.annualRevenue),
+      r.distanceMiles == null ? "-" : `${Number(r.distanceMiles).toFixed(1)} mi`
+    ]), { align: ["left", "left", "right", "right", "right", "right"] });
+  }
+  const comps = Array.isArray(report.rentComps) ? report.rentComps : [];
+  if (!c.str && comps.length) {
+    doc.heading("Rental Comps");
+    doc.table(["Address", "Bed/Bath", "Rent", "Distance", "Condition"], comps.map(r => [
+      r.address, `${r.beds}/${r.baths}`, f.money(r.askingRent ?? 0),
+      r.distanceMiles == null ? "-" : `${Number(r.distanceMiles).toFixed(1)} mi`, r.conditionNote || ""
+    ]), { align: ["left", "left", "right", "right", "left"] });
+  }
+
+  doc.heading("Income & Expenses");
+  doc.subheading("Income (Annual)");
+  if (c.str) {
+    doc.keyValues([
+      ["Room Revenue", f.money(c.str.roomRevenue)],
+      ["Guest Cleaning Fees", f.money(c.str.cleaningFees)],
+      ["Effective Gross Income (EGI)", f.money(c.egi), true]
+    ]);
+    doc.paragraph("EGI = Booking revenue at the modeled occupancy (no separate vacancy)");
+  } else {
+    doc.keyValues([
+      ["Gross Scheduled Rent", f.money(c.annualGSR)],
+      ["Less Vacancy", f.money(c.vacancy)],
+      ["Effective Gross Income (EGI)", f.money(c.egi), true]
+    ]);
+    doc.paragraph("EGI = Gross Rent × (1 − Vacancy)");
+  }
+  doc.subheading("Operating Expenses (Annual)");
+  doc.keyValues([
+    ["Property Taxes", f.money(c.taxes)],
+    ["Insurance", f.money(c.insurance)],
+    ["HOA", f.money(c.hoa)],
+    [`Maintenance (${f.pct(d.maintPctOfGross)} of gross)`, f.money(c.maintenance)],
+    [c.str ? `Management (${f.pct(d.mgmtPctOfEGI)} of revenue)` : "Management", f.money(c.management)],
+    ...(c.str ? [[`Platform Fees (${f.pct(d.str.platformFeeRate)})`, f.money(c.platformFees)], ["Cleaning", f.money(c.cleaning)]] : []),
+    [c.str ? "Utilities" : "Utilities (LL-paid)", f.money(c.utilities)],
+    ["Other", f.money(c.other)],
+    ["Total OpEx", f.money(c.opEx), true]
+  ]);
+  doc.paragraph(`OpEx = Taxes + Insurance + HOA + Maintenance + Management + ${c.str ? "Platform Fees + Cleaning + " : ""}Utilities + Other`);
+
+  doc.heading("Financing");
+  doc.table(["Loan", "Type", "Amount", "Rate", "Term", "IO", "Payment (mo 1)", "Debt Service (yr 1)", "DSCR (cum.)", "Lender Min"],
+    c.tranches.map(t => [
+      t.name, LOAN_TYPE_LABELS[t.type] || t.type, f.money(t.amount), f.pct(t.rateAnnual) + (t.arm ? " ARM" : ""),
+      `${t.termMonths / 12}y` + (t.balloon ? ` · balloon mo ${t.balloon.month} ${f.money(t.balloon.amount)}` : ""),
+      t.ioMonths ? `${t.ioMonths} mo` : "-",
+      f.money(t.initialPayment), f.money(t.annualDebtService), f.ratio(t.cumulativeDscr),
+      t.minDscr == null ? "-" : `${f.ratio(t.minDscr)} ${t.meetsMinDscr ? "meets" : "below"}`
+    ]), { size: 7.5, align: ["left", "left"] });
+  doc.keyValues([
+    ["Down Payment", f.money(c.downPayment) + (d.purchasePrice > 0 ? ` (${f.pct(c.downPayment / d.purchasePrice)})` : "")],
+    ["Total Loan Amount", f.money(c.loanAmount)],
+    ["Monthly Debt Service (blended, mo 1)", f.money(c.monthlyPI)],
+    ["Annual Debt Service (yr 1)", f.money(c.ads)],
+    ["DSCR", f.ratio(c.dscr || 0), true],
+    [c.str ? "Cash Invested (Down + Closing + Points + Rehab + Furnishing)" : "Cash Invested (Down + Closing + Points + Rehab)", f.money(c.cashInvested), true],
+    ["Cash Flow (Annual)", f.money(c.cashFlow)],
+    ["Cash-on-Cash ROI", f.pct(c.coc), true],
+    ["1% Rule", f.pct(c.onePctRule)]
+  ]);
+
+  if (c.valueAdd) {
+    const v = c.valueAdd;
+    const b = v.stages.before, a = v.stages.after;
+    const ratio = n => (n == null ? "-" : f.ratio(n));
+    doc.heading("Value-Add / BRRRR");
+    doc.table(["", "As-is (purchase + rehab)", "Stabilized (after refi)"], [
+      ["Value", f.money(b.value), f.money(a.value)],
+      ["Rent (mo)", f.money(b.monthlyRent), f.money(a.monthlyRent)],
+      ["NOI (yr)", f.money(b.noi), f.money(a.noi)],
+      ["Loan (hard money → refinance)", f.money(b.loan), f.money(a.loan)],
+      ["Debt Service (yr)", f.money(b.debtService), f.money(a.debtService)],
+      ["DSCR", ratio(b.dscr), ratio(a.dscr)],
+      ["Cash Flow (yr)", f.money(b.cashFlow), f.money(a.cashFlow)],
+      ["Cash in Deal", f.money(b.cashInDeal), f.money(a.cashInDeal)],
+      ["Equity", f.money(b.equity), f.money(a.equity)],
+      ["Cash-on-Cash", b.cashOnCash == null ? "-" : f.pct(b.cashOnCash), v.infiniteReturn ? "Infinite" : f.pct(a.cashOnCash)]
+    ], { align: ["left", "right", "right"] });
+    const ARV_METHODS = { pricePerSqft: "median price per sqft of sale comps", medianPrice: "median sale comp price", report: "from the report", cost: "no comps: purchase + rehab" };
+    doc.keyValues([
+      ["After-Repair Value", `${f.money(v.arv)} (${ARV_METHODS[v.arvMethod]})`],
+      ["Hard Money Loan", `${f.money(v.hardMoneyLoan)} (${f.pct(d.valueAdd.hardMoneyLtc)} of cost at ${f.pct(d.valueAdd.hardMoneyRate)})`],
+      ["Points + Interest + Holding", f.money(v.hardMoneyPoints + v.hardMoneyInterest + v.holdingCosts)],
+      ["All-in Cost", f.money(v.allInCost), true],
+      ["Refinance Loan", `${f.money(v.refinanceLoan)} (${f.pct(d.valueAdd.refinanceLtv)} LTV at ${f.pct(v.refinanceRate)})`],
+      ["Cash Out at Refinance", f.money(v.cashOut)],
+      ["Cash Left in Deal", f.money(v.cashLeftInDeal), true],
+      ["DSCR after Refinance", ratio(a.dscr), true],
+      ["Infinite Return", v.infiniteReturn ? "Yes" : "No"],
+      ["Yield on Cost", v.yieldOnCost == null ? "-" : f.pct(v.yieldOnCost)]
+    ]);
+    if (v.months.length) {
+      doc.subheading(`Rehab Timeline (${v.rehabMonths} months)`);
+      doc.table(["Month", "Rehab Spend", "Hard Money Balance", "Interest", "Holding", "Cash In"], v.months.map(m => [
+        m.month, f.money(m.rehabSpend), f.money(m.loanBalance), f.money(m.interest), f.money(m.holdingCosts), f.money(m.cashIn)
+      ]));
+    }
+    const sales = Array.isArray(report.saleComps) ? report.saleComps : [];
+    if (sales.length) {
+      doc.subheading("Sale Comps");
+      doc.table(["Address", "Bed/Bath", "Area", "Sale Price", "Sold", "Distance"], sales.map(s => [
+        s.address, `${s.beds}/${s.baths}`, f.area(s.sqft), f.money(s.salePrice ?? 0), s.saleDate ? f.date(s.saleDate) : "-",
+        s.distanceMiles == null ? "-" : `${Number(s.distanceMiles).toFixed(1)} mi`
+      ]), { align: ["left", "left", "right", "right", "right", "right"] });
+    }
+  }
+
+  doc.heading("Sensitivity");
+  doc.table(["Scenario", "NOI", "Cap", "DSCR", "Cash Flow"], [
+    ["Rent −10%", c.sensitivity.rentMinus10],
+    ["Base Case", c.sensitivity.baseCase],
+    ["Rent +10%", c.sensitivity.rentPlus10],
+    ["OpEx −10%", c.sensitivity.opExMinus10],
+    ["OpEx +10%", c.sensitivity.opExPlus10]
+  ].map(([label, s]) => [label, f.money(s.noi), f.pct(s.capRate), f.ratio(s.dscr || 0), f.money(s.cashFlow)]));
+  // Reports saved without matrices (batch rows) get the default one, as the web report does
+  const matrices = report.sensitivityMatrices?.length ? report.sensitivityMatrices : [sensitivityMatrix(report, DEFAULT_MATRIX)];
+  for (const m of matrices) {
+    const isBase = (axis, v) => Math.abs(v - axis.base) < 1e-6;
+    doc.subheading(`${m.label}: ${m.rows.label} (rows) × ${m.cols.label} (columns)`);
+    doc.table(["", ...m.cols.values.map(v => fmtAxis(f, m.cols.variable, v))], m.cells.map((row, i) => [
+      { text: fmtAxis(f, m.rows.variable, m.rows.values[i]), bold: true },
+      ...row.map((cell, j) => ({
+        text: fmtMetric(f, m.metric, cell.value),
+        fill: BAND_FILLS[cell.band],
+        outline: isBase(m.rows, m.rows.values[i]) && isBase(m.cols, m.cols.values[j])
+      }))
+    ]));
+    doc.paragraph(`Green ≥ ${m.thresholds.good} · red < ${m.thresholds.bad ?? m.thresholds.good} · outlined cell = current assumptions`);
+  }
+
+  const pf = c.proForma;
+  const a = pf.assumptions;
+  doc.heading(`Pro Forma (${a.holdYears}-Year Hold)`);
+  doc.paragraph(`Rent growth ${f.pct(a.rentGrowth)}/yr · Expense inflation ${f.pct(a.expenseInflation)}/yr · Exit ${a.exitCap ? `at ${f.pct(a.exitCap)} cap on forward NOI` : `by ${f.pct(a.appreciation)}/yr appreciation`} · Selling costs ${f.pct(a.sellingCost)}`);
+  doc.table(["Year", "Gross Rent", "NOI", "Debt Service", "Balloon", "Cash Flow", "Loan Balance"],
+    pf.years.map(yr => [yr.year, f.money(yr.gsr), f.money(yr.noi), f.money(yr.debtService), yr.balloon ? f.money(yr.balloon) : "-", f.money(yr.cashFlow), f.money(yr.loanBalanceEnd)]));
+  doc.subheading(`Exit (End of Year ${a.holdYears})`);
+  doc.keyValues([
+    ["Sale Price", f.money(pf.exit.salePrice)],
+    ["Less Selling Costs", f.money(pf.exit.sellingCosts)],
+    ["Less Loan Payoff", f.money(pf.exit.loanPayoff)],
+    ["Net Sale Proceeds", f.money(pf.exit.netSaleProceeds), true]
+  ]);
+  doc.subheading("Returns");
+  doc.keyValues([
+    ["Levered IRR", f.pct(pf.returns.leveredIrr), true],
+    ["Unlevered IRR", f.pct(pf.returns.unleveredIrr)],
+    ["Equity Multiple", f.ratio(pf.returns.equityMultiple), true],
+    ["Average Cash-on-Cash", f.pct(pf.returns.averageCashOnCash)]
+  ]);
+
+  if (c.tax) {
+    const t = c.tax;
+    const b = t.basis;
+    const LAND_METHODS = { input: "entered", assessor: "assessor's land / improvement ratio", default: "default" };
+    doc.heading("After-Tax Analysis");
+    doc.paragraph(`Marginal rate ${f.pct(t.assumptions.marginalRate)} · Land ${f.pct(t.assumptions.landPct)} of price (${LAND_METHODS[t.assumptions.landMethod]}) · ${t.assumptions.depreciationYears}-year straight line`
+      + (b.fiveYear + b.fifteenYear > 0 ? ` · Cost segregation ${f.money(b.fiveYear)} 5-yr, ${f.money(b.fifteenYear)} 15-yr` : "")
+      + (b.bonus > 0 ? ` · Bonus ${f.money(b.bonus)} in year 1` : "") + " · Losses offset other income");
+    doc.table(["Year", "NOI", "Interest", "Depreciation", "Taxable Income", "Tax Savings", "Cash Flow", "After-Tax Cash Flow"],
+      t.years.map(y => [y.year, f.money(y.noi), f.money(y.interest), f.money(y.depreciation), f.money(y.taxableIncome), f.money(y.taxSavings), f.money(y.cashFlow), f.money(y.afterTaxCashFlow)]));
+    doc.subheading(`Sale (End of Year ${t.years.length})`);
+    doc.keyValues([
+      ["Sale Price less Selling Costs", f.money(t.sale.amountRealized)],
+      [`Adjusted Basis (after ${f.money(t.sale.accumulatedDepreciation)} depreciation)`, f.money(t.sale.adjustedBasis)],
+      ["Gain", f.money(t.sale.gain)],
+      ["Depreciation Recapture Tax", f.money(t.sale.recaptureTax)],
+      ["Capital Gains Tax", f.money(t.sale.capitalGainsTax)],
+      ["After-Tax Sale Proceeds", f.money(t.sale.afterTaxSaleProceeds), true]
+    ]);
+    doc.keyValues([
+      ["After-Tax IRR", f.pct(t.returns.afterTaxIrr), true],
+      ["After-Tax Cash-on-Cash (yr 1)", f.pct(t.returns.afterTaxCashOnCash)]
+    ]);
+  }
+
+  doc.heading("Negotiation Target");
+  doc.keyValues([
+    ["Target Cap", f.pct(c.targetCap)],
+    ["Max Purchase @ Target Cap", f.money(c.maxPurchaseAtTargetCap), true]
+  ]);
+  doc.paragraph("Max Purchase = (NOI ÷ Target Cap) ÷ (1 + Closing% + Points%)");
+
+  doc.heading("Risks");
+  const risks = assessRisks(report, report.riskRules);
+  if (!risks.length) doc.paragraph("No rule flagged this deal.", { size: 9, color: INK });
+  for (const r of risks) doc.paragraph(`${r.severity.toUpperCase()} (${r.score}) — ${r.title}: ${r.detail}`, { size: 9, color: INK, bullet: true });
+
+  doc.heading("Glossary");
+  doc.table(null, GLOSSARY.map(([term, text]) => [{ text: term, bold: true }, text]), { align: ["left", "left"] });
+
+  doc.heading("Appendix: Amortization Schedule (monthly, all loans)");
+  doc.table(["Month", "Payment", "Interest", "Principal", "Balloon", "Balance"],
+    blendedSchedule(c.tranches).map(r => [r.month, f.money(r.payment), f.money(r.interest), f.money(r.principal), r.balloon ? f.money(r.balloon) : "-", f.money(r.balance)]),
+    { size: 7.5 });
+
+  /* Contents on the cover, now that page numbers are known */
+  pdf.setPage(1);
+  y = contentsY;
+  pdf.text("Contents", doc.left, y, { size: 11, bold: true, color: INK });
+  y += 6;
+  for (const { title, page } of doc.sections) {
+    if (y + 14 > doc.bottom) break;
+    y += 14;
+    pdf.text(title, doc.left, y, { size: 9, color: INK });
+    pdf.text(String(page), doc.left + doc.width, y, { size: 9, color: MUTED, align: "right" });
+    pdf.line(doc.left, y + 4, doc.left + doc.width, y + 4, { color: RULE });
+  }
+
+  /* Running header and footer on every page */
+  const total = pdf.pageCount;
+  for (let i = 1; i <= total; i++) {
+    pdf.setPage(i);
+    if (i > 1) {
+      const head = wrapText(address, doc.width * 0.7, 8)[0] || "";
+      pdf.text(head, doc.left, 32, { size: 8, color: MUTED });
+      pdf.text(`Investment Report · ${prepared}`, doc.left + doc.width, 32, { size: 8, color: MUTED, align: "right" });
+    }
+    pdf.line(doc.left, pdf.height - 44, doc.left + doc.width, pdf.height - 44, { color: RULE });
+    pdf.text(DISCLAIMER, doc.left, pdf.height - 30, { size: 7.5, color: MUTED });
+    pdf.text(`Page ${i} of ${total}`, doc.left + doc.width, pdf.height - 30, { size: 7.5, color: MUTED, align: "right" });
+  }
+
+  return pdf.toBuffer({ title: `Investment Report — ${address}` });
+}
+
+// Top-to-bottom layout over a pdf: tracks the cursor and starts a new page when content would
+// run into the footer. Headings are recorded with their page for the contents list.
+function pdfFlow(pdf) {
+  const left = 50;
+  const top = 56;
+  const bottom = pdf.height - 60;
+  const width = pdf.width - left * 2;
+
+  const doc = {
+    left, width, bottom,
+    y: top,
+    sections: [],
+    newPage() { pdf.addPage(); doc.y = top; },
+    ensure(h) { if (doc.y + h > bottom) doc.newPage(); },
+
+    heading(title) {
+      doc.ensure(90); // keep a heading with the start of its section
+      if (doc.y > top) doc.y += 12;
+      doc.sections.push({ title, page: pdf.pageCount });
+      doc.y += 14;
+      pdf.text(title, left, doc.y, { size: 14, bold: true, color: INK });
+      doc.y += 6;
+      pdf.line(left, doc.y, left + width, doc.y, { color: RULE, lineWidth: 1 });
+      doc.y += 8;
+    },
+
+    subheading(title) {
+      doc.ensure(60);
+      doc.y += 14;
+      pdf.text(title, left, doc.y, { size: 10, bold: true, color: MUTED });
+      doc.y += 6;
+    },
+
+    paragraph(text, { size = 8.5, color = MUTED, bullet = false } = {}) {
+      const indent = bullet ? 12 : 0;
+      const lineH = size * 1.45;
+      wrapText(text, width - indent, size).forEach((line, i) => {
+        doc.ensure(lineH);
+        doc.y += lineH;
+        if (bullet && i === 0) pdf.text("•", left + 2, doc.y, { size, color });
+        pdf.text(line, left + indent, doc.y, { size, color });
+      });
+      doc.y += 4;
+    },
+
+    /** [label, value] boxes, four per row */
+    metrics(items) {
+      const perRow = 4;
+      const gap = 8;
+      const boxW = (width - gap * (perRow - 1)) / perRow;
+      const boxH = 42;
+      for (let i = 0; i < items.length; i += perRow) {
+        doc.ensure(boxH + gap);
+        items.slice(i, i + perRow).forEach(([label, value], j) => {
+          const x = left + j * (boxW + gap);
+          pdf.rect(x, doc.y, boxW, boxH, { fill: SHADE, stroke: RULE });
+          pdf.text(label, x + 8, doc.y + 15, { size: 8, color: MUTED });
+          pdf.text(value, x + 8, doc.y + 32, { size: 12.5, bold: true, color: INK });
+        });
+        doc.y += boxH + gap;
+      }
+    },
+
+    /** [label, value, bold?] rows */
+    keyValues(pairs) {
+      doc.table(null, pairs.map(([label, value, bold]) => [{ text: label, bold }, { text: value, bold }]));
+    },
+
+    /**
+     * headers: column titles or null; rows: arrays of cells, each text or { text, bold, fill, outline }.
+     * Columns take their natural width (the first absorbs the slack) and wrap when the table is too
+     * wide. align per column: "left" | "right" | "center" (default left for the first, right otherwise).
+     * A row never splits across pages; the header repeats on each new page.
+     */
+    table(headers, rows, { size = 8.5, align = [] } = {}) {
+      const padX = 5;
+      const padY = 4;
+      const lineH = size * 1.3;
+      const cell = v => (v !== null && typeof v === "object" ? v : { text: v });
+      const text = v => String(cell(v).text ?? "");
+      const all = [headers || [], ...rows];
+      const count = Math.max(...all.map(r => r.length));
+      // Natural width fits a column on one line; its floor is the longest word. When the natural
+      // widths overflow, every column gets its floor and the rest is shared by how much each wants.
+      const fit = measureText => Array.from({ length: count }, (_, i) =>
+        Math.min(width * 0.5, Math.max(24, ...all.map(r => (r[i] == null ? 0 : measureText(text(r[i])) + padX * 2 + 1)))));
+      const natural = fit(t => textWidth(t, size, true));
+      const floor = fit(t => Math.max(0, ...t.split(/\s+/).map(word => textWidth(word, size, true))));
+      const sum = natural.reduce((s, w) => s + w, 0);
+      const floorSum = floor.reduce((s, w) => s + w, 0);
+      const widths = sum <= width
+        ? natural.map((w, i) => (i === 0 ? w + width - sum : w))
+        : floorSum >= width
+          ? floor.map(w => (w * width) / floorSum)
+          : floor.map((w, i) => w + ((natural[i] - w) * (width - floorSum)) / (sum - floorSum));
+      const alignOf = i => align[i] || (i === 0 ? "left" : "right");
+
+      const measure = (row, head) => {
+        const cells = row.map(cell);
+        const lines = cells.map((cl, i) => wrapText(String(cl.text ?? ""), widths[i] - padX * 2, size, head || cl.bold));
+        return { cells, lines, h: Math.max(1, ...lines.map(l => l.length)) * lineH + padY * 2, head };
+      };
+      const draw = (m, shade) => {
+        if (m.head || shade) pdf.rect(left, doc.y, width, m.h, { fill: m.head ? SHADE : ZEBRA });
+        let x = left;
+        m.cells.forEach((cl, i) => {
+          if (cl.fill) pdf.rect(x, doc.y, widths[i], m.h, { fill: cl.fill });
+          if (cl.outline) pdf.rect(x + 0.75, doc.y + 0.75, widths[i] - 1.5, m.h - 1.5, { stroke: INK, lineWidth: 1.5 });
+          const a = alignOf(i);
+          const tx = a === "right" ? x + widths[i] - padX : a === "center" ? x + widths[i] / 2 : x + padX;
+          m.lines[i].forEach((line, k) => pdf.text(line, tx, doc.y + padY + size * 0.95 + k * lineH, {
+            size, bold: m.head || cl.bold, color: m.head ? MUTED : INK, align: a
+          }));
+          x += widths[i];
+        });
+        doc.y += m.h;
+        pdf.line(left, doc.y, left + width, doc.y, { color: RULE });
+      };
+
+      const head = headers?.length ? measure(headers, true) : null;
+      const measured = rows.map(r => measure(r, false));
+      doc.ensure((head?.h || 0) + (measured[0]?.h || 0));
+      if (head) draw(head);
+      measured.forEach((m, r) => {
+        if (doc.y + m.h > bottom) {
+          doc.newPage();
+          if (head) draw(head);
+        }
+        draw(m, r % 2 === 1);
+      });
+      doc.y += 8;
+    }
+  };
+  return doc;
+}
+
+/* ---------- CSV ---------- */
+const METRIC_COLUMNS = [
+  ["reportId", r => r.id],
+  ["createdAt", r => r.createdAt],
+  ["address", r => r.report?.subject?.address ?? r.request?.address],
+  ["purchasePrice", r => r.report?.purchase?.purchasePrice],
+  ["grossScheduledRentMonthly", r => r.report?.rents?.grossScheduledRentMonthly],
+  ["noiAnnual", r => r.report?.totals?.noiAnnual],
+  ["capRatePct", r => r.report?.totals?.capRatePct],
+  ["dscr", r => r.report?.totals?.dscr],
+  ["cashFlowAnnual", r => r.report?.totals?.cashFlowAnnual],
+  ["cashOnCashRoiPct", r => r.report?.totals?.cashOnCashRoiPct],
+  ["onePercentRulePct", r => r.report?.totals?.onePercentRulePct],
+  ["maxPurchasePriceAtTargetCap", r => r.report?.negotiation?.maxPurchasePriceAtTargetCap],
+  ["leveredIrrPct", r => r.report?.proForma?.returns?.leveredIrrPct],
+  ["equityMultiple", r => r.report?.proForma?.returns?.equityMultiple],
+  ["currency", r => r.report?.reportMeta?.currency],
+  ["rentalStrategy", r => r.report?.reportMeta?.rentalStrategy ?? "ltr"],
+  ["dealStrategy", r => r.report?.reportMeta?.dealStrategy ?? "hold"],
+  ["cashLeftInDeal", r => r.report?.valueAddTotals?.cashLeftInDeal],
+  ["postRefiDscr", r => r.report?.valueAddTotals?.postRefiDscr],
+  ["afterTaxIrrPct", r => r.report?.tax?.returns?.afterTaxIrrPct],
+  ["buyBox", r => r.report?.buyBox?.profile?.name],
+  ["buyBoxVerdict", r => r.report?.buyBox?.verdict],
+  ["buyBoxScore", r => r.report?.buyBox?.score]
+];
+
+const csvCell = v => {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function metricsCsv(records) {
+  const lines = [METRIC_COLUMNS.map(([h]) => h).join(",")];
+  for (const r of records) lines.push(METRIC_COLUMNS.map(([, get]) => csvCell(get(r))).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+/** File name stem for downloads: "report-111-cultural-park-blvd" */
+export function exportFileName(record, ext) {
+  const address = record.report?.subject?.address ?? record.request?.address ?? record.id;
+  const slug = String(address).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60);
+  return `report-${slug || record.id}.${ext}`;
+}
@@ -0,0 +1,49 @@
+// /api/_lib/http.js — request/response plumbing shared by the API routes
+
+import { safeParseJSON } from "./json.js";
+
+export function setCors(res, methods) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", `${methods}, OPTIONS`);
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-API-Key");
+  res.setHeader("Access-Control-Expose-Headers", "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset");
+}
+
+export function setHeaders(res, headers = {}) {
+  for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+}
+
+// { status, body, headers? } result objects (pipeline, auth checks) -> JSON response
+export function sendResult(res, { status, body, headers }) {
+  setHeaders(res, headers);
+  return res.status(status).json(body);
+}
+
+// Parse JSON body (supports streamed body on Vercel); malformed JSON reads as {} unless strict,
+// which throws instead (Vercel's own parsed req.body throws on malformed JSON either way)
+export async function readJsonBody(req, { strict = false } = {}) {
+  let body = req.body;
+  if (!body) {
+    try {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const raw = Buffer.concat(chunks).toString();
+      body = raw ? JSON.parse(raw) : {};
+    } catch (e) {
+      if (strict) throw e;
+      body = {};
+    }
+  } else if (typeof body === "string") {
+    body = strict ? JSON.parse(body) : safeParseJSON(body) || {};
+  }
+  return body || {};
+}
+
+// Raw text body (CSV uploads); Vercel may hand it over as a string, a Buffer, or a stream
+export async function readTextBody(req) {
+  if (typeof req.body === "string") return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString();
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+}
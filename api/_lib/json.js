@@ -0,0 +1,50 @@
+// /api/_lib/json.js — small JSON helpers shared by the API routes
+
+export function safeParseJSON(s) { try { return s ? JSON.parse(s) : null; } catch { return null; } }
+
+/**
+ * Incremental reader for a streamed JSON object: push(text) with each chunk as it arrives, and
+ * onField(key, value) fires once per top-level member as soon as its value is complete. Text
+ * before the opening brace (a ```json fence) is skipped; a member that does not parse is dropped,
+ * since the full response is parsed and validated again at the end.
+ */
+export function jsonFieldStream(onField) {
+  let buffer = "";
+  let pos = 0; // next character to scan
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let keyStart = -1; // start of the current top-level "key": value, -1 between members
+
+  const emit = end => {
+    const member = safeParseJSON(`{${buffer.slice(keyStart, end)}}`);
+    if (member) for (const [key, value] of Object.entries(member)) onField(key, value);
+    keyStart = -1;
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      for (; pos < buffer.length; pos++) {
+        const ch = buffer[pos];
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === "\\") escaped = true;
+          else if (ch === '"') inString = false;
+          continue;
+        }
+        if (ch === '"') {
+          inString = true;
+          if (depth === 1 && keyStart < 0) keyStart = pos;
+        } else if (ch === "{" || ch === "[") {
+          depth++;
+        } else if (ch === "}" || ch === "]") {
+          if (depth === 1 && keyStart >= 0) emit(pos);
+          depth--;
+        } else if (ch === "," && depth === 1 && keyStart >= 0) {
+          emit(pos);
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,157 @@
+// /api/_lib/overrides.js — typed request overrides for /api/generate
+// User-entered values are validated here, passed to the model as a hint, and then
+// written over the generated report so a user-entered number always wins.
+
+import { ASSUMPTION_FIELDS, LOANS_PATH, OCCUPANCY_PATH, STABILIZED_RENTS_PATH, applyAssumptions, getPath } from "../../public/lib/assumptions.js";
+import { LOAN_TRANCHE_SCHEMA, OCCUPANCY_BY_MONTH_SCHEMA, STABILIZED_RENTS_SCHEMA } from "./schema.js";
+import { validateSchema } from "./validate.js";
+
+// field -> [type, min, max, path in the report schema]; shared with the what-if panels
+export const OVERRIDE_FIELDS = ASSUMPTION_FIELDS;
+
+// Structured (non-scalar) overrides: validated against a schema, replace the whole path
+export const STRUCTURED_FIELDS = {
+  loans: [{ type: "array", items: LOAN_TRANCHE_SCHEMA }, LOANS_PATH],
+  occupancyByMonthPct: [OCCUPANCY_BY_MONTH_SCHEMA, OCCUPANCY_PATH],
+  stabilizedRentsMonthly: [STABILIZED_RENTS_SCHEMA, STABILIZED_RENTS_PATH]
+};
+
+// Report blocks the model never writes (pro forma, after-tax): the engine computes them from the rest
+// of the report and the fields under them, which are never in the prompt either
+export const LOCAL_BLOCKS = ["proForma", "tax"];
+export const LOCAL_FIELDS = Object.keys(OVERRIDE_FIELDS).filter(k => LOCAL_BLOCKS.includes(OVERRIDE_FIELDS[k][3][0]));
+
+// Property facts the model should honor; they have no single field to overwrite.
+export const HINT_FIELDS = {
+  units: ["integer", 1, 500],
+  beds: ["number", 0, 100],
+  baths: ["number", 0, 100]
+};
+
+const PROMPT_LABELS = {
+  purchasePrice: v => `price ${v}`,
+  downPaymentPct: v => `down ${v}%`,
+  rateAnnualPct: v => `rate ${v}%`,
+  termYears: v => `term ${v}y`,
+  pointsPct: v => `points ${v}%`,
+  closingCostPct: v => `closing ${v}%`,
+  rehabBudget: v => `rehab ${v}`,
+  vacancyPct: v => `vacancy ${v}%`,
+  managementPctOfEGI: v => `management ${v}%`,
+  maintenancePctOfGrossRent: v => `maintenance ${v}%`,
+  selfManaged: v => (v ? "self-managed" : "professionally managed"),
+  taxesAnnual: v => `taxes ${v}`,
+  insuranceAnnual: v => `insurance ${v}`,
+  hoaAnnual: v => `hoa ${v}`,
+  utilitiesAnnual: v => `utilities ${v}`,
+  otherOpExAnnual: v => `other ${v}`,
+  targetCapPct: v => `targetcap ${v}%`,
+  adrNightly: v => `adr ${v}`,
+  averageStayNights: v => `average stay ${v} nights`,
+  cleaningFeePerStay: v => `cleaning fee ${v}`,
+  cleaningCostPerStay: v => `cleaning cost ${v}`,
+  platformFeePct: v => `platform fee ${v}%`,
+  strManagementPct: v => `str management ${v}%`,
+  furnishingBudget: v => `furnishing ${v}`,
+  strUtilitiesAnnual: v => `str utilities ${v}`,
+  occupancyByMonthPct: v => `occupancy by month ${v.join("/")}%`,
+  arv: v => `arv ${v}`,
+  rehabMonths: v => `rehab ${v} months`,
+  holdingCostsMonthly: v => `holding costs ${v}/mo`,
+  hardMoneyLoanToCostPct: v => `hard money ${v}% of cost`,
+  hardMoneyRatePct: v => `hard money rate ${v}%`,
+  hardMoneyPointsPct: v => `hard money points ${v}%`,
+  refinanceLtvPct: v => `refinance ${v}% ltv`,
+  refinanceRatePct: v => `refinance rate ${v}%`,
+  refinanceTermYears: v => `refinance term ${v}y`,
+  refinanceClosingCostPct: v => `refinance closing ${v}%`,
+  stabilizedRentsMonthly: v => `stabilized rents ${v.map(r => r ?? "-").join("/")}`,
+  units: v => `units ${v}`,
+  beds: v => `beds ${v}`,
+  baths: v => `baths ${v}`
+};
+
+function checkValue(value, [type, min, max]) {
+  if (type === "boolean") return typeof value === "boolean" ? null : "must be a boolean";
+  if (typeof value !== "number" || !isFinite(value)) return "must be a number";
+  if (type === "integer" && !Number.isInteger(value)) return "must be an integer";
+  if (value < min) return `must be >= ${min}`;
+  if (value > max) return `must be <= ${max}`;
+  return null;
+}
+
+function collect(entries, prefix, values, errors) {
+  for (const [key, value] of entries) {
+    if (value == null || value === "") continue; // not provided
+    if (STRUCTURED_FIELDS[key]) {
+      const schemaErrors = validateSchema(value, STRUCTURED_FIELDS[key][0], prefix + key);
+      if (schemaErrors.length) errors.push(...schemaErrors);
+      else values[key] = value;
+      continue;
+    }
+    const spec = OVERRIDE_FIELDS[key] || HINT_FIELDS[key];
+    if (!spec) { errors.push({ path: prefix + key, message: "unknown field" }); continue; }
+    const message = checkValue(value, spec);
+    if (message) errors.push({ path: prefix + key, message });
+    else values[key] = value;
+  }
+}
+
+/**
+ * Normalize the `overrides` request field plus typed top-level fields (e.g. purchasePrice).
+ * Objects are validated field by field; strings are the legacy free-text form and
+ * are only forwarded to the model.
+ * @returns {{ values: object, text: string, errors: {path: string, message: string}[] }}
+ */
+export function parseOverrides(input, topLevel = {}) {
+  const values = {};
+  const errors = [];
+  let text = "";
+
+  if (typeof input === "string") text = input.trim();
+  else if (input != null && (typeof input !== "object" || Array.isArray(input))) {
+    errors.push({ path: "overrides", message: "must be an object or a string" });
+  } else if (input) collect(Object.entries(input), "overrides.", values, errors);
+
+  collect(Object.entries(topLevel).filter(([k]) => !(k in values)), "", values, errors);
+  return { values, text, errors };
+}
+
+/** { model, local }: the overrides that can change what the model writes, and the local-only rest */
+export function splitOverrides(values) {
+  const model = {};
+  const local = {};
+  for (const [key, value] of Object.entries(values)) (LOCAL_FIELDS.includes(key) ? local : model)[key] = value;
+  return { model, local };
+}
+
+/** Render validated overrides as the "; "-separated sentence the prompt expects. */
+export function overridesToPrompt(values) {
+  return Object.entries(values).filter(([k]) => PROMPT_LABELS[k]).map(([k, v]) => PROMPT_LABELS[k](v)).join("; ");
+}
+
+/**
+ * Write user overrides over the generated report and record where each
+ * underwriting input came from: "user", "model" or "default".
+ * @returns {{ report: object, inputSources: Record<string, "user"|"model"|"default"> }}
+ */
+export function applyOverrides(report, values) {
+  const inputSources = {};
+
+  for (const [key, [type, , , path]] of Object.entries(OVERRIDE_FIELDS)) {
+    if (key in values) {
+      inputSources[key] = "user";
+      continue;
+    }
+    const modelValue = getPath(report, path);
+    const present = type === "boolean" ? typeof modelValue === "boolean" : typeof modelValue === "number" && isFinite(modelValue);
+    inputSources[key] = present ? "model" : "default";
+  }
+
+  for (const [key, [, path]] of Object.entries(STRUCTURED_FIELDS)) {
+    inputSources[key] = key in values ? "user" : getPath(report, path) != null ? "model" : "default";
+  }
+
+  // Hint fields (units/beds/baths) have no path and are ignored by applyAssumptions
+  return { report: applyAssumptions(report, values), inputSources };
+}
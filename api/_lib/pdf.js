@@ -0,0 +1,178 @@
+// /api/_lib/pdf.js — minimal PDF 1.4 writer, no dependencies
+// Text in the two built-in Helvetica faces (WinAnsi encoding, so no font embedding), filled
+// rectangles and lines. Coordinates are points measured from the TOP-left of the page.
+//
+//   const pdf = createPdf();
+//   pdf.addPage();
+//   pdf.text("Hello", 50, 60, { size: 14, bold: true });
+//   const buf = pdf.toBuffer({ title: "Report" });
+// Drawing always targets the current page; setPage(i) goes back to an earlier one
+// (e.g. to stamp "Page i of n" footers once the page count is known).
+
+import { deflateSync } from "node:zlib";
+
+/* ---------- Font metrics (Adobe AFM widths, 1/1000 em) ---------- */
+// Printable ASCII 32..126
+const ASCII_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+// WinAnsi extras that show up in reports; anything else in Latin-1 is measured as a digit
+const EXTRA_WIDTHS = {
+  regular: { 0x95: 350, 0x96: 556, 0x97: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x85: 1000, 0xb7: 278, 0xd7: 584, 0xf7: 584, 0xa0: 278 },
+  bold: { 0x95: 350, 0x96: 556, 0x97: 1000, 0x91: 278, 0x92: 278, 0x93: 500, 0x94: 500, 0x85: 1000, 0xb7: 278, 0xd7: 584, 0xf7: 584, 0xa0: 278 }
+};
+
+/* ---------- WinAnsi encoding ---------- */
+const WIN_ANSI = {
+  "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87, "‰": 0x89, "Š": 0x8a, "‹": 0x8b, "Œ": 0x8c,
+  "Ž": 0x8e, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99, "š": 0x9a,
+  "›": 0x9b, "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f
+};
+// Characters outside WinAnsi that the report uses, spelled with what the base fonts have
+const SUBSTITUTES = { "−": "-", "≥": ">=", "≤": "<=", "→": "->", "←": "<-", "↓": "", "✓": "", "✗": "", "\t": " ", " ": " ", " ": " " };
+
+/** Unicode string -> WinAnsi byte values ("?" for anything unrepresentable) */
+function encode(str) {
+  const bytes = [];
+  for (const ch of String(str)) {
+    if (ch in SUBSTITUTES) {
+      for (const s of SUBSTITUTES[ch]) bytes.push(s.charCodeAt(0));
+      continue;
+    }
+    const code = ch.codePointAt(0);
+    if (code >= 32 && code <= 126) bytes.push(code);
+    else if (WIN_ANSI[ch]) bytes.push(WIN_ANSI[ch]);
+    else if (code >= 0xa0 && code <= 0xff) bytes.push(code);
+    else bytes.push(63);
+  }
+  return bytes;
+}
+
+function bytesWidth(bytes, bold) {
+  const face = bold ? "bold" : "regular";
+  let w = 0;
+  for (const b of bytes) w += b >= 32 && b <= 126 ? ASCII_WIDTHS[face][b - 32] : EXTRA_WIDTHS[face][b] ?? 556;
+  return w;
+}
+
+/** Rendered width of str in points */
+export function textWidth(str, size, bold = false) {
+  return (bytesWidth(encode(str), bold) * size) / 1000;
+}
+
+/** Greedy word wrap to maxWidth; words longer than a line are broken by character */
+export function wrapText(str, maxWidth, size, bold = false) {
+  const lines = [];
+  for (const paragraph of String(str ?? "").split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, bold) <= maxWidth) { line = candidate; continue; }
+      if (line) lines.push(line);
+      line = word;
+      while (textWidth(line, size, bold) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/* ---------- Document ---------- */
+const num = n => (Math.round(n * 100) / 100).toString();
+const rgb = color => (color || [0, 0, 0]).map(c => num(c)).join(" ");
+const hex = bytes => bytes.map(b => b.toString(16).padStart(2, "0")).join("");
+
+export function createPdf({ width = 612, height = 792 } = {}) {
+  const pages = [];
+  let ops = null;
+
+  return {
+    width,
+    height,
+    get pageCount() { return pages.length; },
+    addPage() { ops = []; pages.push(ops); return pages.length; },
+    setPage(i) { ops = pages[i - 1]; },
+
+    /** y is the text baseline; align "left" | "right" | "center" relative to x */
+    text(str, x, y, { size = 10, bold = false, color, align = "left" } = {}) {
+      const bytes = encode(str);
+      if (!bytes.length) return;
+      const w = (bytesWidth(bytes, bold) * size) / 1000;
+      const left = align === "right" ? x - w : align === "center" ? x - w / 2 : x;
+      ops.push(`BT /${bold ? "F2" : "F1"} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${num(height - y)} Td <${hex(bytes)}> Tj ET`);
+    },
+
+    rect(x, y, w, h, { fill, stroke, lineWidth = 0.5 } = {}) {
+      const path = `${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re`;
+      if (fill) ops.push(`${rgb(fill)} rg ${path} f`);
+      if (stroke) ops.push(`${num(lineWidth)} w ${rgb(stroke)} RG ${path} S`);
+    },
+
+    line(x1, y1, x2, y2, { color, lineWidth = 0.5 } = {}) {
+      ops.push(`${num(lineWidth)} w ${rgb(color)} RG ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`);
+    },
+
+    toBuffer({ title = "", author = "" } = {}) {
+      // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page + content stream pair per page
+      const objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        `<< /Type /Pages /Kids [${pages.map((_, i) => `${6 + i * 2} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+        `<< /Title <${hex([0xfe, 0xff, ...utf16(title)])}> /Author <${hex([0xfe, 0xff, ...utf16(author)])}> /Producer (report export) >>`
+      ].map(s => Buffer.from(s, "latin1"));
+      pages.forEach((pageOps, i) => {
+        objects.push(Buffer.from(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + i * 2} 0 R >>`, "latin1"));
+        const stream = deflateSync(Buffer.from(pageOps.join("\n"), "latin1"));
+        objects.push(Buffer.concat([
+          Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, "latin1"),
+          stream,
+          Buffer.from("\nendstream", "latin1")
+        ]));
+      });
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+      let offset = chunks[0].length;
+      const offsets = objects.map((body, i) => {
+        const at = offset;
+        const obj = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, "latin1"), body, Buffer.from("\nendobj\n", "latin1")]);
+        chunks.push(obj);
+        offset += obj.length;
+        return at;
+      });
+      const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+      chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${offset}\n%%EOF\n`, "latin1"));
+      return Buffer.concat(chunks);
+    }
+  };
+}
+
+// Document info strings are UTF-16BE so titles keep their accents
+function utf16(str) {
+  const out = [];
+  for (let i = 0; i < str.length; i++) {
+    const c = str.charCodeAt(i);
+    out.push(c >> 8, c & 0xff);
+  }
+  return out;
+}
@@ -0,0 +1,233 @@
+// /api/_lib/pipeline.js — one request in, one validated, underwritten and saved report out
+// Shared by /api/generate (a single request) and /api/batch (one call per row).
+// Resolves to { status, body } with the exact response the single-report route sends;
+// failures are returned, not thrown (an unexpected exception still propagates).
+
+import { applyUnderwriting } from "../../public/lib/underwriting.js";
+import { DEFAULT_MATRIX, checkMatrixSpec, sensitivityMatrix } from "../../public/lib/sensitivity.js";
+import { checkDisplaySettings, displaySettings, formatterFor, parseAmount } from "../../public/lib/format.js";
+import { assessRisks, checkRiskRules, mergeRiskRules } from "../../public/lib/risks.js";
+import { RENTAL_STRATEGIES } from "../../public/lib/str.js";
+import { DEAL_STRATEGIES } from "../../public/lib/valueadd.js";
+import { scoreBuyBox } from "../../public/lib/buybox.js";
+import { resolveBuyBox } from "./buybox/index.js";
+import { LOCAL_BLOCKS, LOCAL_FIELDS, parseOverrides, overridesToPrompt, applyOverrides, splitOverrides } from "./overrides.js";
+import { PROPERTY_REPORT_JSON_SCHEMA } from "./schema.js";
+import { validateReport } from "./validate.js";
+import { jsonFieldStream } from "./json.js";
+import { newReportId, reportCacheKey } from "./store/index.js";
+
+const MAX_MATRICES = 6;
+
+/**
+ * @param request { address, purchasePrice?, overrides?, refresh?, sensitivityMatrices?, currency?, locale?, areaUnit?, riskRules?,
+ *   rentalStrategy?: "ltr" | "str", dealStrategy?: "hold" | "valueAdd", buyBox?: profile id | { name?, criteria } | false }
+ * @param deps { provider, store, buyBoxes, onProgress } buyBoxes: saved profiles (see ./buybox), for a buyBox id or the
+ *   active profile. onProgress(event, data), when given, streams the model's output and reports each step:
+ *   ("stage", { stage: "cached" | "model" | "validating" | "repairing" | "computing" | "saving", attempt?, ... })
+ *   and ("section", { key, value, attempt }) for every top-level member of the model's JSON as it completes.
+ * @returns {Promise<{ status: number, body: object, usage?: object[] }>} usage: normalized provider usage of every model call made
+ *   (repairs included; absent when the model was not called)
+ */
+export async function generateReport(request, { provider, store, buyBoxes, onProgress }) {
+  const { address, purchasePrice, overrides, refresh, sensitivityMatrices, currency, locale, areaUnit, rentalStrategy, dealStrategy } = request;
+  if (!address || !String(address).trim()) {
+    return { status: 400, body: { error: "address is required" } };
+  }
+  const subjectAddress = String(address).trim();
+
+  // Structured overrides are applied after generation; free text is only forwarded to the model
+  const parsedOverrides = parseOverrides(overrides, {
+    purchasePrice: typeof purchasePrice === "string" && purchasePrice.trim() ? parseAmount(purchasePrice, locale) : purchasePrice
+  });
+  if (parsedOverrides.errors.length) {
+    return { status: 400, body: { error: "Invalid overrides", details: parsedOverrides.errors } };
+  }
+  const { purchasePrice: userPrice, ...otherOverrides } = parsedOverrides.values;
+
+  const matrixSpecs = sensitivityMatrices ?? [DEFAULT_MATRIX];
+  const matrixErrors = checkMatrixSpecs(matrixSpecs);
+  if (matrixErrors.length) {
+    return { status: 400, body: { error: "Invalid sensitivityMatrices", details: matrixErrors } };
+  }
+
+  // Risk rules: the caller's config layered over RISK_RULES; like matrices, applied on cache hits too
+  const riskErrors = checkRiskRules(request.riskRules);
+  if (riskErrors.length) {
+    return { status: 400, body: { error: "Invalid riskRules", details: riskErrors } };
+  }
+  const riskRules = mergeRiskRules(envRiskRules(), request.riskRules);
+
+  // Buy box: the named or inline profile, else the active one; scored on cache hits too
+  const buyBox = await resolveBuyBox(request.buyBox, buyBoxes);
+  if (!buyBox.ok) return { status: buyBox.status, body: buyBox.body };
+  const buyBoxProfile = buyBox.profile;
+
+  // "str" underwrites the report as a short-term rental from its str block (see public/lib/str.js)
+  if (rentalStrategy != null && !RENTAL_STRATEGIES.includes(rentalStrategy)) {
+    return { status: 400, body: { error: "Invalid rentalStrategy", details: [{ path: "rentalStrategy", message: `must be one of ${RENTAL_STRATEGIES.join(", ")}` }] } };
+  }
+  // "valueAdd" adds the rehab / refinance plan from the valueAdd block (see public/lib/valueadd.js)
+  if (dealStrategy != null && !DEAL_STRATEGIES.includes(dealStrategy)) {
+    return { status: 400, body: { error: "Invalid dealStrategy", details: [{ path: "dealStrategy", message: `must be one of ${DEAL_STRATEGIES.join(", ")}` }] } };
+  }
+  const strategy = { ...(rentalStrategy ? { rentalStrategy } : {}), ...(dealStrategy ? { dealStrategy } : {}) };
+
+  // Only the settings the caller sent are pinned onto the report; the rest stay as the model returns them
+  const displayErrors = checkDisplaySettings({ currency, locale, areaUnit });
+  if (displayErrors.length) {
+    return { status: 400, body: { error: "Invalid display settings", details: displayErrors } };
+  }
+  const display = Object.fromEntries(Object.entries(displaySettings({ currency, locale, areaUnit }))
+    .filter(([key]) => request[key] != null));
+
+  // Build the single-line input your Prompt expects
+  const priceStr = userPrice != null ? ` — ${formatterFor(display).money(userPrice)}` : "";
+  const displayText = [
+    display.currency && `currency ${display.currency}`,
+    display.locale && `locale ${display.locale}`,
+    display.areaUnit && `area unit ${display.areaUnit}`,
+    rentalStrategy === "str" && "short-term rental: fill str with ADR, occupancy by month, cleaning, platform and management fees, furnishing and utilities, and strComps with nearby vacation rentals",
+    dealStrategy === "valueAdd" && "value-add: fill valueAdd with ARV (null to derive it from saleComps), rehab months, holding costs, stabilized rents after rehab, hard-money and refinance terms, and saleComps with recent renovated sales nearby"
+  ];
+  const extra = [overridesToPrompt(otherOverrides), parsedOverrides.text, ...displayText].filter(Boolean).join("; ");
+  const userInput = `${subjectAddress}${priceStr}${extra ? ` ${extra}` : ""}`;
+
+  // Retry budget for schema repair (re-asks after the first attempt)
+  const MAX_RETRIES = Math.max(0, Number.parseInt(process.env.GENERATE_MAX_RETRIES ?? "2", 10) || 0);
+
+  // Identical address + inputs are served from the store unless the caller sends refresh: true.
+  // Local-only inputs (pro forma, after-tax) cannot change the model's output, so they are left out
+  // of the key and re-applied to the cached report like matrices, risk rules and the buy box.
+  const requestRecord = { address: subjectAddress, overrides: parsedOverrides.values, overridesText: parsedOverrides.text, ...display, ...strategy };
+  const { model: modelOverrides, local: localOverrides } = splitOverrides(parsedOverrides.values);
+  const cacheKey = reportCacheKey(requestRecord.address, {
+    provider: provider.name, overrides: modelOverrides, text: requestRecord.overridesText,
+    ...(Object.keys(display).length ? { display } : {}),
+    ...(rentalStrategy === "str" ? { rentalStrategy } : {}),
+    ...(dealStrategy === "valueAdd" ? { dealStrategy } : {})
+  });
+  if (!refresh) {
+    const hit = await store.findByCacheKey(cacheKey);
+    if (hit) {
+      onProgress?.("stage", { stage: "cached" });
+      const report = withLocalOverrides(hit.report, localOverrides);
+      const matrices = matrixSpecs.map(spec => sensitivityMatrix(report, spec));
+      const body = { ...report, sensitivityMatrices: matrices, riskRules, buyBoxProfile };
+      return {
+        status: 200,
+        body: { ...body, risks: assessRisks(body, riskRules), buyBox: scoreBuyBox(body, buyBoxProfile), reportId: hit.id, createdAt: hit.createdAt, cached: true }
+      };
+    }
+  }
+
+  let input = userInput;
+  let parsed = null;
+  let errors = [];
+  const usage = [];
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    onProgress?.("stage", { stage: "model", attempt: attempt + 1, model: provider.model ?? provider.name });
+    const fields = onProgress && jsonFieldStream((key, value) => onProgress("section", { key, value, attempt: attempt + 1 }));
+    const result = await provider.generate({
+      input,
+      address: subjectAddress,
+      schema: PROPERTY_REPORT_JSON_SCHEMA,
+      schemaName: "property_investment_report_v1",
+      ...(fields ? { onText: fields.push } : {})
+    });
+    if (!result.ok) return { status: result.status, body: result.body, usage };
+    if (result.usage) usage.push(result.usage);
+
+    parsed = result.parsed;
+    if (!parsed) return { status: 500, body: { error: "No JSON returned", raw: redactLarge(result.raw) }, usage };
+
+    onProgress?.("stage", { stage: "validating", attempt: attempt + 1 });
+    errors = validateReport(parsed);
+    if (rentalStrategy === "str" && !parsed.str) errors.push({ path: "str", message: "is required for a short-term rental report" });
+    if (dealStrategy === "valueAdd" && !parsed.valueAdd) errors.push({ path: "valueAdd", message: "is required for a value-add report" });
+    if (!errors.length) break;
+    if (attempt < MAX_RETRIES) onProgress?.("stage", { stage: "repairing", attempt: attempt + 1, errors: errors.length, details: errors.slice(0, 10) });
+    input = repairInput(userInput, parsed, errors);
+  }
+
+  if (errors.length) {
+    return {
+      status: 422,
+      body: { error: "Model output failed schema validation", attempts: MAX_RETRIES + 1, details: errors },
+      usage
+    };
+  }
+
+  onProgress?.("stage", { stage: "computing" });
+  const { report, inputSources } = applyOverrides(parsed, parsedOverrides.values);
+  const underwritten = applyUnderwriting({ ...report, reportMeta: { ...report.reportMeta, ...display, ...strategy } });
+  const risks = assessRisks({ ...underwritten, inputSources }, riskRules);
+  const matrices = matrixSpecs.map(spec => sensitivityMatrix(underwritten, spec));
+  const buyBoxScore = scoreBuyBox(underwritten, buyBoxProfile);
+  onProgress?.("stage", { stage: "saving" });
+  const record = await store.save({
+    id: newReportId(),
+    createdAt: new Date().toISOString(),
+    cacheKey,
+    request: requestRecord,
+    report: {
+      ...underwritten,
+      sensitivityMatrices: matrices,
+      inputSources,
+      riskRules,
+      risks,
+      buyBoxProfile,
+      buyBox: buyBoxScore
+    }
+  });
+  return { status: 200, body: { ...record.report, reportId: record.id, createdAt: record.createdAt, cached: false }, usage };
+}
+
+// A cached report recomputed with this request's local-only inputs: the blocks they feed are dropped
+// (so the saved request's values do not linger) and rebuilt by the engine
+function withLocalOverrides(cached, values) {
+  const base = Object.fromEntries(Object.entries(cached).filter(([key]) => !LOCAL_BLOCKS.includes(key)));
+  const { report, inputSources } = applyOverrides(base, values);
+  const localSources = Object.fromEntries(LOCAL_FIELDS.map(key => [key, inputSources[key]]));
+  return { ...applyUnderwriting(report), inputSources: { ...cached.inputSources, ...localSources } };
+}
+
+// RISK_RULES: JSON rule config for every request (see public/lib/risks.js); ignored when malformed
+let envRiskCache = { raw: undefined, rules: {} };
+function envRiskRules(env = process.env) {
+  if (envRiskCache.raw === env.RISK_RULES) return envRiskCache.rules;
+  let rules = {};
+  try { rules = env.RISK_RULES ? JSON.parse(env.RISK_RULES) : {}; } catch { rules = {}; }
+  if (checkRiskRules(rules, "RISK_RULES").length) rules = {};
+  envRiskCache = { raw: env.RISK_RULES, rules };
+  return rules;
+}
+
+function checkMatrixSpecs(specs) {
+  if (!Array.isArray(specs)) return [{ path: "sensitivityMatrices", message: "must be an array" }];
+  if (specs.length > MAX_MATRICES) return [{ path: "sensitivityMatrices", message: `must have at most ${MAX_MATRICES} items` }];
+  return specs.flatMap((spec, i) => checkMatrixSpec(spec, `sensitivityMatrices[${i}]`));
+}
+
+// Same request plus the failing paths and the rejected JSON, so the model can fix it in place
+function repairInput(userInput, previous, errors) {
+  return [
+    userInput,
+    "",
+    "Your previous JSON failed validation against the property_investment_report_v1 schema:",
+    ...errors.slice(0, 50).map(e => `- ${e.path}: ${e.message}`),
+    "",
+    "Previous JSON:",
+    JSON.stringify(previous),
+    "",
+    "Return the complete corrected JSON object only."
+  ].join("\n");
+}
+
+function redactLarge(obj) {
+  try {
+    const str = JSON.stringify(obj);
+    return str.length > 40000 ? JSON.parse(str.slice(0, 40000)) : obj;
+  } catch { return { notice: "unable to serialize raw response" }; }
+}
@@ -0,0 +1,47 @@
+// /api/_lib/providers/fixture.js — deterministic offline provider
+// Serves fixtures/reports/<address-slug>.json, falling back to default.json with the
+// requested address written into subject.address. No network, no key, same answer every time.
+// With onText the report's JSON is handed over in small chunks, FIXTURE_STREAM_DELAY_MS apart
+// (default 0), so streaming clients can be exercised offline.
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+// "111/113 Cultural Park Blvd S, Cape Coral, FL 33990" -> "111-113-cultural-park-blvd-s-cape-coral-fl-33990"
+export function addressSlug(address) {
+  return String(address).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+async function readFixture(dir, name) {
+  try { return JSON.parse(await readFile(path.join(dir, `${name}.json`), "utf8")); } catch { return null; }
+}
+
+const CHUNK_CHARS = 256;
+
+export function createFixtureProvider(env) {
+  const dir = path.resolve(env.FIXTURES_DIR || path.join(process.cwd(), "fixtures", "reports"));
+  const delayMs = Math.max(0, Number.parseInt(env.FIXTURE_STREAM_DELAY_MS ?? "0", 10) || 0);
+
+  return {
+    name: "fixture",
+    model: "fixture",
+    configError: null,
+
+    async generate({ address, onText }) {
+      let report = await readFixture(dir, addressSlug(address));
+      if (!report) {
+        const fallback = await readFixture(dir, "default");
+        if (!fallback) return { ok: false, status: 500, body: { error: `No fixture for "${address}" and no default.json in ${dir}` } };
+        report = { ...fallback, subject: { ...fallback.subject, address } };
+      }
+      if (onText) {
+        const text = JSON.stringify(report, null, 2);
+        for (let i = 0; i < text.length; i += CHUNK_CHARS) {
+          if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+          onText(text.slice(i, i + CHUNK_CHARS));
+        }
+      }
+      return { ok: true, parsed: report, raw: { fixture: true }, usage: { model: "fixture", inputTokens: 0, outputTokens: 0 } };
+    }
+  };
+}
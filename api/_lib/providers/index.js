@@ -0,0 +1,32 @@
+// /api/_lib/providers/index.js — LLM provider selection for /api/generate
+//
+// LLM_PROVIDER picks the implementation (default "openai-responses"):
+//   openai-responses  OpenAI Responses API + published Prompt (OPENAI_API_KEY, OPENAI_PROMPT_ID, OPENAI_MODEL)
+//   openai-chat       any OpenAI-compatible /chat/completions endpoint (LLM_BASE_URL, LLM_API_KEY, LLM_MODEL)
+//   fixture           canned reports from fixtures/reports, keyed by address (FIXTURES_DIR); fully offline
+//
+// Every provider exposes the same shape:
+//   { name, model, configError, generate({ input, address, schema, schemaName, onText? }) }
+// where generate resolves to { ok: true, parsed, raw, usage } or { ok: false, status, body }.
+// onText(delta), when given, receives the JSON text as the model streams it (see jsonFieldStream
+// in ../json.js); the resolved result is the same either way.
+// `usage` is normalized to { model, inputTokens, outputTokens }.
+
+import { createOpenAIResponsesProvider } from "./openai-responses.js";
+import { createOpenAIChatProvider } from "./openai-chat.js";
+import { createFixtureProvider } from "./fixture.js";
+
+const FACTORIES = {
+  "openai-responses": createOpenAIResponsesProvider,
+  "openai-chat": createOpenAIChatProvider,
+  fixture: createFixtureProvider
+};
+
+export function createProvider(env = process.env) {
+  const name = env.LLM_PROVIDER || "openai-responses";
+  const factory = FACTORIES[name];
+  if (!factory) {
+    return { name, configError: `Unknown LLM_PROVIDER "${name}" (expected ${Object.keys(FACTORIES).join(", ")})` };
+  }
+  return factory(env);
+}
@@ -0,0 +1,87 @@
+// /api/_lib/providers/openai-chat.js — generic OpenAI-compatible Chat Completions provider
+// Works with self-hosted servers (vLLM, llama.cpp, Ollama, LM Studio, ...) that expose
+// POST {LLM_BASE_URL}/chat/completions and honor response_format json_schema.
+// With onText the completion is streamed and each content delta is handed over as it arrives.
+
+import { safeParseJSON } from "../json.js";
+import { readEventStream } from "../../../public/lib/sse.js";
+
+// There is no published Prompt on these hosts, so the instructions travel with each call
+const SYSTEM_PROMPT = [
+  "You are a residential real-estate underwriting analyst.",
+  "The user message is a property address, optionally followed by a purchase price and '; '-separated overrides.",
+  "Return a single JSON object that matches the provided JSON schema exactly: no prose, no markdown.",
+  "Percent fields (*Pct) use percent units: 7.5 means 7.5%.",
+  "Money amounts are in the requested currency (USD unless stated); area fields (*Sqft, sqft) are always square feet.",
+  "Honor every override the user gives. Provide at least five plain-text rental comps near the subject.",
+  "Use null for facts you cannot estimate rather than inventing precise figures."
+].join(" ");
+
+export function createOpenAIChatProvider(env) {
+  const baseUrl = (env.LLM_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+  const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY || "";
+  const model = env.LLM_MODEL;
+
+  return {
+    name: "openai-chat",
+    model,
+    configError: !model ? "Missing LLM_MODEL" : null,
+
+    async generate({ input, schema, schemaName, onText }) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const r = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [
+            { role: "system", content: SYSTEM_PROMPT },
+            { role: "user", content: input }
+          ],
+          response_format: { type: "json_schema", json_schema: { name: schemaName, strict: false, schema } },
+          ...(onText ? { stream: true, stream_options: { include_usage: true } } : {})
+        }),
+      });
+
+      if (!r.ok) return { ok: false, status: r.status, body: await r.json().catch(() => ({ error: `Non-JSON response from ${baseUrl}` })) };
+      const data = onText ? await readStreamed(r, onText) : await r.json().catch(() => ({ error: `Non-JSON response from ${baseUrl}` }));
+      if (onText && data.error) return { ok: false, status: 502, body: data };
+
+      const content = data.choices?.[0]?.message?.content;
+      return {
+        ok: true,
+        parsed: typeof content === "string" ? safeParseJSON(stripFences(content)) : (content || null),
+        raw: data,
+        usage: {
+          model: data.model || model,
+          inputTokens: data.usage?.prompt_tokens ?? 0,
+          outputTokens: data.usage?.completion_tokens ?? 0
+        }
+      };
+    }
+  };
+}
+
+// Content deltas go to onText; resolves to the shape of a non-streamed completion
+async function readStreamed(r, onText) {
+  let content = "";
+  let last = {};
+  for await (const { data } of readEventStream(r)) {
+    if (data === "[DONE]") break;
+    const chunk = safeParseJSON(data);
+    if (!chunk) continue;
+    if (chunk.error) return { error: chunk.error };
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) { content += delta; onText(delta); }
+    last = { model: chunk.model ?? last.model, usage: chunk.usage ?? last.usage };
+  }
+  return { ...last, choices: [{ message: { content } }] };
+}
+
+// Some local models wrap JSON in ```json fences despite response_format
+function stripFences(s) {
+  const m = s.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return m ? m[1] : s;
+}
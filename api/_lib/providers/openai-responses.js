@@ -0,0 +1,80 @@
+// /api/_lib/providers/openai-responses.js — OpenAI Responses API with a published Prompt (pmpt_...)
+// With onText the response is streamed: each output_text delta is handed over as it arrives and
+// the final response.completed event carries the same object a plain call returns.
+
+import { safeParseJSON } from "../json.js";
+import { readEventStream } from "../../../public/lib/sse.js";
+
+export function createOpenAIResponsesProvider(env) {
+  const apiKey = env.OPENAI_API_KEY;
+  const promptId = env.OPENAI_PROMPT_ID; // pmpt_...
+  const model = env.OPENAI_MODEL || "gpt-5-mini-2025-08-07";
+
+  return {
+    name: "openai-responses",
+    model,
+    configError: !apiKey ? "Missing OPENAI_API_KEY" : !promptId ? "Missing OPENAI_PROMPT_ID" : null,
+
+    async generate({ input, schema, schemaName, onText }) {
+      const r = await fetch("https://api.openai.com/v1/responses", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${apiKey}`,
+        },
+        body: JSON.stringify({
+          model,
+          prompt: { id: promptId },   // use latest published version
+          input,                      // sending as top-level input (no prompt variables)
+          text: {
+            // JSON Schema Structured Outputs (flattened fields)
+            format: { type: "json_schema", name: schemaName, strict: false, schema }
+          },
+          ...(onText ? { stream: true } : {})
+        }),
+      });
+
+      if (!r.ok) return { ok: false, status: r.status, body: await r.json().catch(() => ({ error: `OpenAI error ${r.status}` })) };
+      const data = onText ? await readStreamed(r, onText) : await r.json();
+      if (onText && data.error) return { ok: false, status: 502, body: { error: data.error } };
+
+      return {
+        ok: true,
+        parsed: extractParsed(data),
+        raw: data,
+        usage: {
+          model: data.model || model,
+          inputTokens: data.usage?.input_tokens ?? 0,
+          outputTokens: data.usage?.output_tokens ?? 0
+        }
+      };
+    }
+  };
+}
+
+// Deltas go to onText; resolves to the completed response, or { error } when the stream fails
+async function readStreamed(r, onText) {
+  for await (const { data } of readEventStream(r)) {
+    const event = safeParseJSON(data);
+    if (event?.type === "response.output_text.delta") onText(event.delta);
+    else if (event?.type === "response.completed") return event.response;
+    else if (event?.type === "response.failed" || event?.type === "response.incomplete") return { error: event.response?.error || event.response?.incomplete_details || event.type };
+    else if (event?.type === "error") return { error: event.message || event };
+  }
+  return { error: "Stream ended before the response completed" };
+}
+
+function extractParsed(data) {
+  // With json_schema, output_parsed should already be the JS object
+  let parsed = data.output_parsed;
+
+  // Defensive fallbacks (in case the shape differs)
+  if (!parsed && typeof data.output_text === "string") parsed = safeParseJSON(data.output_text);
+  if (!parsed && Array.isArray(data.output)) {
+    const firstText = data.output
+      .flatMap(m => Array.isArray(m.content) ? m.content : [])
+      .find(c => (c.type === "output_text" || c.type === "text") && typeof c.text === "string");
+    if (firstText) parsed = safeParseJSON(firstText.text);
+  }
+  return parsed || null;
+}
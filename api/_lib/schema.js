@@ -0,0 +1,389 @@
+// /api/_lib/schema.js — property_investment_report_v1
+
+// ===== Loan tranche (financing.loans[]; also accepted as overrides.loans) =====
+export const LOAN_TRANCHE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["rateAnnualPct", "termYears"],
+  properties: {
+    name: { type: "string" },
+    type: { type: "string", enum: ["fixed", "interestOnly", "arm", "sellerCarry", "dscr"] },
+    amount: { type: ["number", "null"], minimum: 0 },
+    ltvPct: { type: ["number", "null"], minimum: 0, maximum: 100 },
+    rateAnnualPct: { type: "number", minimum: 0, maximum: 100 },
+    termYears: { type: "number", minimum: 1, maximum: 50 },
+    interestOnlyMonths: { type: "integer", minimum: 0, maximum: 600 },
+    balloonYears: { type: ["number", "null"], minimum: 0, maximum: 50 },
+    arm: {
+      type: ["object", "null"],
+      additionalProperties: false,
+      properties: {
+        initialFixedYears: { type: "number", minimum: 0 },
+        adjustmentIntervalMonths: { type: "integer", minimum: 1 },
+        indexedRatePct: { type: "number", minimum: 0 },
+        initialCapPct: { type: "number", minimum: 0 },
+        periodicCapPct: { type: "number", minimum: 0 },
+        lifetimeCapPct: { type: "number", minimum: 0 }
+      }
+    },
+    minDscr: { type: ["number", "null"], minimum: 0 }
+  }
+};
+
+// ===== Short-term rental inputs (report.str; read when reportMeta.rentalStrategy is "str") =====
+export const OCCUPANCY_BY_MONTH_SCHEMA = {
+  type: "array",
+  minItems: 12,
+  maxItems: 12,
+  items: { type: "number", minimum: 0, maximum: 100 }
+};
+
+export const STR_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["adrNightly", "occupancyByMonthPct", "averageStayNights", "cleaningFeePerStay", "cleaningCostPerStay", "platformFeePct", "managementPct", "furnishingBudget", "utilitiesAnnual", "notes"],
+  properties: {
+    adrNightly: { type: "number", minimum: 0 },
+    occupancyByMonthPct: OCCUPANCY_BY_MONTH_SCHEMA,
+    averageStayNights: { type: "number", minimum: 1 },
+    cleaningFeePerStay: { type: "number", minimum: 0 },
+    cleaningCostPerStay: { type: "number", minimum: 0 },
+    platformFeePct: { type: "number", minimum: 0, maximum: 100 },
+    managementPct: { type: "number", minimum: 0, maximum: 100 },
+    furnishingBudget: { type: "number", minimum: 0 },
+    utilitiesAnnual: { type: "number", minimum: 0 },
+    notes: { type: "string" }
+  }
+};
+
+export const STR_COMP_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["address", "beds", "baths", "adrNightly", "occupancyPct", "annualRevenue", "distanceMiles", "source"],
+  properties: {
+    address: { type: "string", minLength: 3 },
+    beds: { type: "number", minimum: 0 },
+    baths: { type: "number", minimum: 0 },
+    adrNightly: { type: ["number", "null"], minimum: 0 },
+    occupancyPct: { type: ["number", "null"], minimum: 0, maximum: 100 },
+    annualRevenue: { type: ["number", "null"], minimum: 0 },
+    distanceMiles: { type: ["number", "null"], minimum: 0 },
+    source: { type: "string" }
+  }
+};
+
+// ===== Value-add / BRRRR plan (report.valueAdd; read when reportMeta.dealStrategy is "valueAdd") =====
+export const STABILIZED_RENTS_SCHEMA = {
+  type: "array",
+  items: { type: ["number", "null"], minimum: 0 }
+};
+
+export const VALUE_ADD_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["arv", "rehabMonths", "holdingCostsMonthly", "stabilizedRentsMonthly", "hardMoney", "refinance", "notes"],
+  properties: {
+    arv: { type: ["number", "null"], minimum: 0 },
+    rehabMonths: { type: "integer", minimum: 0, maximum: 60 },
+    holdingCostsMonthly: { type: ["number", "null"], minimum: 0 },
+    stabilizedRentsMonthly: STABILIZED_RENTS_SCHEMA,
+    hardMoney: {
+      type: "object",
+      additionalProperties: false,
+      required: ["loanToCostPct", "rateAnnualPct", "pointsPct"],
+      properties: {
+        loanToCostPct: { type: "number", minimum: 0, maximum: 100 },
+        rateAnnualPct: { type: "number", minimum: 0, maximum: 100 },
+        pointsPct: { type: "number", minimum: 0, maximum: 100 }
+      }
+    },
+    refinance: {
+      type: "object",
+      additionalProperties: false,
+      required: ["ltvPct", "rateAnnualPct", "termYears", "closingCostPct"],
+      properties: {
+        ltvPct: { type: "number", minimum: 0, maximum: 100 },
+        rateAnnualPct: { type: ["number", "null"], minimum: 0, maximum: 100 },
+        termYears: { type: "number", minimum: 1, maximum: 50 },
+        closingCostPct: { type: "number", minimum: 0, maximum: 100 }
+      }
+    },
+    notes: { type: "string" }
+  }
+};
+
+export const SALE_COMP_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["address", "beds", "baths", "sqft", "salePrice", "saleDate", "distanceMiles", "conditionNote"],
+  properties: {
+    address: { type: "string", minLength: 3 },
+    beds: { type: "number", minimum: 0 },
+    baths: { type: "number", minimum: 0 },
+    sqft: { type: ["number", "null"], minimum: 0 },
+    salePrice: { type: "number", minimum: 0 },
+    saleDate: { type: ["string", "null"] },
+    distanceMiles: { type: ["number", "null"], minimum: 0 },
+    conditionNote: { type: "string" }
+  }
+};
+
+// ===== JSON Schema used by Structured Outputs =====
+export const PROPERTY_REPORT_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: [
+    "version",
+    "reportMeta",
+    "subject",
+    "purchase",
+    "propertySnapshot",
+    "units",
+    "rents",
+    "rentComps",
+    "operatingAssumptions",
+    "financing",
+    "totals",
+    "sensitivity",
+    "negotiation",
+    "glossary"
+  ],
+  properties: {
+    version: { type: "string", const: "1.0" },
+    reportMeta: {
+      type: "object",
+      additionalProperties: false,
+      required: ["generatedAt", "targetCapPct", "currency", "locale"],
+      properties: {
+        generatedAt: { type: "string", format: "date-time" },
+        targetCapPct: { type: "number", minimum: 0 },
+        currency: { type: "string", minLength: 1 },
+        locale: { type: "string", minLength: 2 },
+        areaUnit: { type: "string", enum: ["sqft", "m2"] },
+        rentalStrategy: { type: "string", enum: ["ltr", "str"] },
+        dealStrategy: { type: "string", enum: ["hold", "valueAdd"] }
+      }
+    },
+    subject: {
+      type: "object",
+      additionalProperties: false,
+      required: ["address"],
+      properties: {
+        address: { type: "string", minLength: 3 },
+        unitLabel: { type: "string" },
+        city: { type: "string" },
+        state: { type: "string" },
+        zip: { type: "string" },
+        county: { type: "string" },
+        parcelId: { type: "string" },
+        mlsId: { type: "string" },
+        geo: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            lat: { type: ["number", "null"], minimum: -90, maximum: 90 },
+            lng: { type: ["number", "null"], minimum: -180, maximum: 180 }
+          }
+        }
+      }
+    },
+    purchase: {
+      type: "object",
+      additionalProperties: false,
+      required: ["purchasePrice", "rehabBudget", "closingCostPct", "pointsPct", "totalCost"],
+      properties: {
+        purchasePrice: { type: ["number", "null"], minimum: 0 },
+        rehabBudget: { type: "number", minimum: 0 },
+        closingCostPct: { type: "number", minimum: 0 },
+        pointsPct: { type: "number", minimum: 0 },
+        totalCost: { type: ["number", "null"], minimum: 0 }
+      }
+    },
+    propertySnapshot: {
+      type: "object",
+      additionalProperties: false,
+      required: ["propertyType", "unitMix", "beds", "baths", "hoa", "taxes", "insurance", "recentUpdates"],
+      properties: {
+        propertyType: { type: "string" },
+        unitMix: { type: "string" },
+        beds: { type: "number", minimum: 0 },
+        baths: { type: "number", minimum: 0 },
+        livingSqft: { type: ["number", "null"], minimum: 0 },
+        yearBuilt: { type: ["integer", "null"], minimum: 1800, maximum: 2100 },
+        lotSizeSqft: { type: ["number", "null"], minimum: 0 },
+        hoa: {
+          type: "object",
+          additionalProperties: false,
+          required: ["hasHoa", "annual", "monthly", "name", "notes"],
+          properties: {
+            hasHoa: { type: "boolean" },
+            annual: { type: "number", minimum: 0 },
+            monthly: { type: "number", minimum: 0 },
+            name: { type: "string" },
+            notes: { type: "string" }
+          }
+        },
+        taxes: {
+          type: "object",
+          additionalProperties: false,
+          required: ["annual", "year"],
+          properties: {
+            annual: { type: ["number", "null"], minimum: 0 },
+            year: { type: ["integer", "null"], minimum: 2000, maximum: 2100 },
+            // Assessor's split; sets the land share for depreciation (see public/lib/tax.js)
+            assessedLandValue: { type: ["number", "null"], minimum: 0 },
+            assessedImprovementValue: { type: ["number", "null"], minimum: 0 }
+          }
+        },
+        insurance: {
+          type: "object",
+          additionalProperties: false,
+          required: ["dp3Annual", "notes"],
+          properties: {
+            dp3Annual: { type: ["number", "null"], minimum: 0 },
+            notes: { type: "string" }
+          }
+        },
+        recentUpdates: { type: "array", items: { type: "string" } }
+      }
+    },
+    units: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["name", "beds", "baths", "sqft", "modeledRentMonthly", "leaseTermMonths", "notes"],
+        properties: {
+          name: { type: "string" },
+          beds: { type: "number", minimum: 0 },
+          baths: { type: "number", minimum: 0 },
+          sqft: { type: ["number", "null"], minimum: 0 },
+          modeledRentMonthly: { type: ["number", "null"], minimum: 0 },
+          leaseTermMonths: { type: "integer", minimum: 1 },
+          notes: { type: "string" }
+        }
+      }
+    },
+    rents: {
+      type: "object",
+      additionalProperties: false,
+      required: ["benchmarkMedian", "qualityAdjustmentPct", "modeledMarketRentMonthly", "grossScheduledRentMonthly"],
+      properties: {
+        benchmarkMedian: { type: ["number", "null"], minimum: 0 },
+        qualityAdjustmentPct: { type: "number" },
+        modeledMarketRentMonthly: { type: ["number", "null"], minimum: 0 },
+        grossScheduledRentMonthly: { type: ["number", "null"], minimum: 0 }
+      }
+    },
+    rentComps: {
+      type: "array",
+      minItems: 5,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["address", "beds", "baths", "askingRent", "distanceMiles", "conditionNote"],
+        properties: {
+          address: { type: "string", minLength: 3 },
+          beds: { type: "number", minimum: 0 },
+          baths: { type: "number", minimum: 0 },
+          askingRent: { type: ["number", "null"], minimum: 0 },
+          distanceMiles: { type: ["number", "null"], minimum: 0 },
+          conditionNote: { type: "string" }
+        }
+      }
+    },
+    str: STR_SCHEMA,
+    strComps: { type: "array", items: STR_COMP_SCHEMA },
+    valueAdd: VALUE_ADD_SCHEMA,
+    saleComps: { type: "array", items: SALE_COMP_SCHEMA },
+    operatingAssumptions: {
+      type: "object",
+      additionalProperties: false,
+      required: ["vacancyPct", "maintenancePctOfGrossRent", "managementPctOfEGI", "selfManaged", "utilitiesLandlordPaidAnnual", "otherOpExAnnual"],
+      properties: {
+        vacancyPct: { type: "number", minimum: 0 },
+        maintenancePctOfGrossRent: { type: "number", minimum: 0 },
+        managementPctOfEGI: { type: "number", minimum: 0 },
+        selfManaged: { type: "boolean" },
+        utilitiesLandlordPaidAnnual: { type: "number", minimum: 0 },
+        otherOpExAnnual: { type: "number", minimum: 0 }
+      }
+    },
+    financing: {
+      type: "object",
+      additionalProperties: false,
+      required: ["downPaymentPct", "rateAnnualPct", "termYears", "loanAmount", "monthlyPI", "annualDebtService"],
+      properties: {
+        downPaymentPct: { type: "number", minimum: 0 },
+        rateAnnualPct: { type: "number", minimum: 0 },
+        termYears: { type: "integer", minimum: 1 },
+        loanAmount: { type: ["number", "null"], minimum: 0 },
+        monthlyPI: { type: ["number", "null"], minimum: 0 },
+        annualDebtService: { type: ["number", "null"], minimum: 0 },
+        loans: { type: "array", items: LOAN_TRANCHE_SCHEMA }
+      }
+    },
+    // totals, sensitivity and negotiation are recomputed by applyUnderwriting; a losing deal has
+    // negative NOI, cap rate, DSCR and max purchase, so those carry no minimum
+    totals: {
+      type: "object",
+      additionalProperties: false,
+      required: ["egiAnnual", "opExAnnual", "noiAnnual", "capRatePct", "dscr", "cashFlowAnnual", "cashOnCashRoiPct", "onePercentRulePct"],
+      properties: {
+        egiAnnual: { type: ["number", "null"], minimum: 0 },
+        opExAnnual: { type: ["number", "null"], minimum: 0 },
+        noiAnnual: { type: ["number", "null"] },
+        capRatePct: { type: ["number", "null"] },
+        dscr: { type: ["number", "null"] },
+        cashFlowAnnual: { type: ["number", "null"], minimum: -1000000000 },
+        cashOnCashRoiPct: { type: ["number", "null"] },
+        onePercentRulePct: { type: ["number", "null"], minimum: 0 }
+      }
+    },
+    sensitivity: {
+      type: "object",
+      additionalProperties: false,
+      required: ["rentMinus10", "baseCase", "rentPlus10", "opExMinus10", "opExPlus10"],
+      properties: {
+        rentMinus10: { type: "object", additionalProperties: false, required: ["noiAnnual","capRatePct","dscr","cashFlowAnnual"], properties: { noiAnnual: {type:["number","null"]}, capRatePct:{type:["number","null"]}, dscr:{type:["number","null"]}, cashFlowAnnual:{type:["number","null"]} } },
+        baseCase:    { type: "object", additionalProperties: false, required: ["noiAnnual","capRatePct","dscr","cashFlowAnnual"], properties: { noiAnnual: {type:["number","null"]}, capRatePct:{type:["number","null"]}, dscr:{type:["number","null"]}, cashFlowAnnual:{type:["number","null"]} } },
+        rentPlus10:  { type: "object", additionalProperties: false, required: ["noiAnnual","capRatePct","dscr","cashFlowAnnual"], properties: { noiAnnual: {type:["number","null"]}, capRatePct:{type:["number","null"]}, dscr:{type:["number","null"]}, cashFlowAnnual:{type:["number","null"]} } },
+        opExMinus10: { type: "object", additionalProperties: false, required: ["noiAnnual","capRatePct","dscr","cashFlowAnnual"], properties: { noiAnnual: {type:["number","null"]}, capRatePct:{type:["number","null"]}, dscr:{type:["number","null"]}, cashFlowAnnual:{type:["number","null"]} } },
+        opExPlus10:  { type: "object", additionalProperties: false, required: ["noiAnnual","capRatePct","dscr","cashFlowAnnual"], properties: { noiAnnual: {type:["number","null"]}, capRatePct:{type:["number","null"]}, dscr:{type:["number","null"]}, cashFlowAnnual:{type:["number","null"]} } }
+      }
+    },
+    negotiation: {
+      type: "object",
+      additionalProperties: false,
+      required: ["targetCapPct", "maxPurchasePriceAtTargetCap", "assumptions"],
+      properties: {
+        targetCapPct: { type: "number", minimum: 0 },
+        maxPurchasePriceAtTargetCap: { type: ["number", "null"] },
+        assumptions: {
+          type: "object",
+          additionalProperties: false,
+          required: ["closingCostPct", "pointsPct"],
+          properties: {
+            closingCostPct: { type: "number", minimum: 0 },
+            pointsPct: { type: "number", minimum: 0 }
+          }
+        }
+      }
+    },
+    glossary: {
+      type: "object",
+      additionalProperties: false,
+      required: ["EGI", "OpEx", "NOI", "Cap", "DSCR", "CoC"],
+      properties: {
+        EGI: { type: "string" },
+        OpEx: { type: "string" },
+        NOI: { type: "string" },
+        Cap: { type: "string" },
+        DSCR: { type: "string" },
+        CoC: { type: "string" }
+      }
+    }
+  }
+};
+
@@ -0,0 +1,18 @@
+// /api/_lib/sse.js — Server-Sent Events out: the streaming mode of /api/generate
+// (reading a provider's stream is readEventStream in /lib/sse.js)
+
+/**
+ * Turn a response into an event stream: send(event, data) writes one JSON event, close() ends it.
+ * A comment line every keepAliveMs keeps proxies from closing a stream that is waiting on the model.
+ */
+export function openEventStream(res, { keepAliveMs = 15000 } = {}) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("X-Accel-Buffering", "no");
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), keepAliveMs);
+  return {
+    send(event, data) { res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); },
+    close() { clearInterval(keepAlive); res.end(); }
+  };
+}
@@ -0,0 +1,81 @@
+// /api/_lib/store/file.js — JSON-file report store for local development
+// Cache lookups go through by-cache-key/<cacheKey>, a pointer file holding the newest report id for
+// that key, so findByCacheKey reads two small files however many reports are saved. Reports saved
+// before the index existed are indexed once, on the first lookup.
+
+import { mkdir, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+const ID_RE = /^[A-Za-z0-9_-]+$/;
+
+export function createFileStore(env) {
+  const dir = path.resolve(env.REPORTS_DIR || path.join(process.cwd(), ".data", "reports"));
+  const file = id => path.join(dir, `${id}.json`);
+  const indexDir = path.join(dir, "by-cache-key");
+  const pointer = key => path.join(indexDir, key);
+  const KEY_RE = /^[a-f0-9]{64}$/;
+  let indexed = null;
+
+  async function readAll() {
+    let names = [];
+    try { names = await readdir(dir); } catch { return []; }
+    const records = await Promise.all(
+      names.filter(n => n.endsWith(".json")).map(n => readFile(path.join(dir, n), "utf8").then(JSON.parse).catch(() => null))
+    );
+    return records.filter(Boolean).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async function readRecord(id) {
+    if (!ID_RE.test(id)) return null;
+    try { return JSON.parse(await readFile(file(id), "utf8")); } catch { return null; }
+  }
+
+  // Builds the index from the saved reports when it does not exist yet (oldest first, so the newest wins)
+  function ensureIndex() {
+    indexed ??= (async () => {
+      try { await readdir(indexDir); return; } catch { /* no index yet */ }
+      const records = (await readAll()).reverse();
+      await mkdir(indexDir, { recursive: true });
+      for (const r of records) if (KEY_RE.test(r.cacheKey || "")) await writeFile(pointer(r.cacheKey), r.id);
+    })().catch(e => { indexed = null; throw e; });
+    return indexed;
+  }
+
+  return {
+    name: "file",
+
+    async save(record) {
+      await ensureIndex();
+      await mkdir(indexDir, { recursive: true });
+      await writeFile(file(record.id), JSON.stringify(record, null, 2));
+      if (KEY_RE.test(record.cacheKey || "")) await writeFile(pointer(record.cacheKey), record.id);
+      return record;
+    },
+
+    get: readRecord,
+
+    async list({ limit = 50 } = {}) {
+      return (await readAll()).slice(0, limit);
+    },
+
+    async delete(id) {
+      const record = await readRecord(id);
+      if (!record) return false;
+      try { await rm(file(id)); } catch { return false; }
+      if (KEY_RE.test(record.cacheKey || "")) {
+        try { if ((await readFile(pointer(record.cacheKey), "utf8")) === id) await rm(pointer(record.cacheKey)); } catch { /* no pointer */ }
+      }
+      return true;
+    },
+
+    // A pointer left behind by a deleted report is a miss (the next save for the key replaces it)
+    async findByCacheKey(key) {
+      if (!KEY_RE.test(String(key))) return null;
+      await ensureIndex();
+      let id;
+      try { id = await readFile(pointer(key), "utf8"); } catch { return null; }
+      const record = await readRecord(id.trim());
+      return record?.cacheKey === key ? record : null;
+    }
+  };
+}
@@ -0,0 +1,65 @@
+// /api/_lib/store/index.js — report persistence
+//
+// REPORT_STORE picks the backend (default "file"):
+//   file    one JSON document per report under REPORTS_DIR (default .data/reports; use /tmp/... on Vercel),
+//           plus a cacheKey -> id index so cache lookups do not read every report
+//   memory  process-local Map; handy for tests, lost on cold start
+//
+// Every store exposes the same async shape:
+//   save(record) -> record, get(id) -> record|null, list({ limit }) -> record[] (newest first),
+//   delete(id) -> boolean, findByCacheKey(key) -> record|null
+// A record is { id, createdAt, cacheKey, request, report }.
+
+import { createHash, randomUUID } from "node:crypto";
+import { createFileStore } from "./file.js";
+import { createMemoryStore } from "./memory.js";
+
+const FACTORIES = { file: createFileStore, memory: createMemoryStore };
+let cached = null;
+
+export function getStore(env = process.env) {
+  const name = env.REPORT_STORE || "file";
+  if (cached?.name === name) return cached;
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`Unknown REPORT_STORE "${name}" (expected ${Object.keys(FACTORIES).join(", ")})`);
+  cached = factory(env);
+  return cached;
+}
+
+export function newReportId() {
+  return randomUUID();
+}
+
+// Stable JSON: object keys sorted so { a, b } and { b, a } hash the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/** Cache key for "same address + same inputs": whitespace/case-insensitive address, canonical inputs. */
+export function reportCacheKey(address, inputs) {
+  const normalized = String(address).trim().toLowerCase().replace(/\s+/g, " ");
+  return createHash("sha256").update(`${normalized}\n${canonical(inputs)}`).digest("hex");
+}
+
+/** Compact row for list views. */
+export function summarizeRecord(record) {
+  const r = record.report || {};
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    address: r.subject?.address ?? record.request?.address ?? "",
+    purchasePrice: r.purchase?.purchasePrice ?? null,
+    noiAnnual: r.totals?.noiAnnual ?? null,
+    capRatePct: r.totals?.capRatePct ?? null,
+    dscr: r.totals?.dscr ?? null,
+    cashFlowAnnual: r.totals?.cashFlowAnnual ?? null,
+    maxPurchasePriceAtTargetCap: r.negotiation?.maxPurchasePriceAtTargetCap ?? null,
+    buyBoxVerdict: r.buyBox?.verdict ?? null,
+    buyBoxScore: r.buyBox?.score ?? null,
+    currency: r.reportMeta?.currency ?? null
+  };
+}
@@ -0,0 +1,15 @@
+// /api/_lib/store/memory.js — in-process report store (tests, previews)
+
+export function createMemoryStore() {
+  const records = new Map();
+  const newestFirst = () => [...records.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    name: "memory",
+    async save(record) { records.set(record.id, record); return record; },
+    async get(id) { return records.get(id) || null; },
+    async list({ limit = 50 } = {}) { return newestFirst().slice(0, limit); },
+    async delete(id) { return records.delete(id); },
+    async findByCacheKey(key) { return newestFirst().find(r => r.cacheKey === key) || null; }
+  };
+}
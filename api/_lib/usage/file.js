@@ -0,0 +1,57 @@
+// /api/_lib/usage/file.js — JSON-file key store and append-only ledger for local development
+// The ledger is append-only: settling a reservation appends the entry again under the same id, and
+// reads keep the latest copy in the position of the first. Appends are not coordinated across
+// processes, so limits are best-effort when several processes share one file.
+
+import { appendFile, mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+export function createFileUsageStore(env) {
+  const dir = path.resolve(env.USAGE_DIR || path.join(process.cwd(), ".data", "usage"));
+  const keysFile = path.join(dir, "keys.json");
+  const ledgerFile = path.join(dir, "ledger.jsonl");
+
+  async function readKeys() {
+    try { return JSON.parse(await readFile(keysFile, "utf8")); } catch { return []; }
+  }
+
+  async function readLedger() {
+    let text = "";
+    try { text = await readFile(ledgerFile, "utf8"); } catch { return []; }
+    const byId = new Map();
+    for (const line of text.split("\n").filter(Boolean)) {
+      try { const e = JSON.parse(line); byId.set(e.id, e); } catch { /* torn write: skip */ }
+    }
+    return [...byId.values()];
+  }
+
+  return {
+    name: "file",
+
+    listKeys: readKeys,
+
+    async findKeyByHash(hash) {
+      return (await readKeys()).find(k => k.hash === hash) || null;
+    },
+
+    async saveKey(key) {
+      const keys = (await readKeys()).filter(k => k.id !== key.id);
+      await mkdir(dir, { recursive: true });
+      await writeFile(keysFile, JSON.stringify([...keys, key], null, 2));
+      return key;
+    },
+
+    async record(entry) {
+      await mkdir(dir, { recursive: true });
+      await appendFile(ledgerFile, JSON.stringify(entry) + "\n");
+      return entry;
+    },
+
+    async entries({ keyId, since, limit = Infinity } = {}) {
+      return (await readLedger())
+        .filter(e => (keyId == null || e.keyId === keyId) && (since == null || e.at >= since))
+        .reverse()
+        .slice(0, limit);
+    }
+  };
+}
@@ -0,0 +1,118 @@
+// /api/_lib/usage/index.js — API keys and the usage ledger
+//
+// USAGE_STORE picks the backend (default: same as REPORT_STORE, else "file"):
+//   file    keys.json + ledger.jsonl under USAGE_DIR (default .data/usage; use /tmp/... on Vercel)
+//   memory  process-local; handy for tests, lost on cold start
+//
+// Every store exposes the same async shape:
+//   listKeys() -> key[], findKeyByHash(hash) -> key|null, saveKey(key) -> key (insert or replace by id),
+//   record(entry) -> entry (append, or replace the entry with the same id in place),
+//   entries({ keyId?, since?, limit? }) -> entry[] (newest first, in the order entries were first recorded)
+// A key is { id, name, prefix, hash, origins, rateLimit, quota, createdAt, revokedAt? } (see ../auth.js).
+// A ledger entry is { id, at, keyId, route, status, cached, reportId, model, calls, inputTokens, outputTokens, costUsd }.
+// It starts as a reservation (status "pending", reservedTokens) and is settled with the response
+// status and usage; a reservation turned away by a limit keeps status 429 and rejected: <limit>.
+
+import { randomUUID } from "node:crypto";
+import { createFileUsageStore } from "./file.js";
+import { createMemoryUsageStore } from "./memory.js";
+
+const FACTORIES = { file: createFileUsageStore, memory: createMemoryUsageStore };
+let cached = null;
+
+export function getUsageStore(env = process.env) {
+  const name = env.USAGE_STORE || env.REPORT_STORE || "file";
+  if (cached?.name === name) return cached;
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`Unknown USAGE_STORE "${name}" (expected ${Object.keys(FACTORIES).join(", ")})`);
+  cached = factory(env);
+  return cached;
+}
+
+/* ---------- Pricing ---------- */
+// USD per 1M tokens [input, output], matched by longest model-name prefix (dated snapshots included).
+// MODEL_PRICES (JSON, same shape) adds or replaces entries.
+const MODEL_PRICES = {
+  "gpt-5": [1.25, 10],
+  "gpt-5-mini": [0.25, 2],
+  "gpt-5-nano": [0.05, 0.4],
+  "gpt-4.1": [2, 8],
+  "gpt-4.1-mini": [0.4, 1.6],
+  "gpt-4.1-nano": [0.1, 0.4],
+  "gpt-4o": [2.5, 10],
+  "gpt-4o-mini": [0.15, 0.6],
+  fixture: [0, 0]
+};
+
+function priceFor(model, env) {
+  let table = MODEL_PRICES;
+  if (env.MODEL_PRICES) {
+    try { table = { ...MODEL_PRICES, ...JSON.parse(env.MODEL_PRICES) }; } catch { /* malformed override: built-in prices */ }
+  }
+  const match = Object.keys(table).filter(prefix => String(model || "").startsWith(prefix)).sort((a, b) => b.length - a.length)[0];
+  return match ? table[match] : null;
+}
+
+/** Estimated USD for one provider call's normalized usage; null when the model has no known price */
+export function estimateCost({ model, inputTokens = 0, outputTokens = 0 }, env = process.env) {
+  const price = priceFor(model, env);
+  if (!price) return null;
+  return Math.round(((inputTokens * price[0] + outputTokens * price[1]) / 1e6) * 1e6) / 1e6;
+}
+
+/** Ledger entry for one API request; usage is every provider call it made (repairs included) */
+export function ledgerEntry({ keyId, route, status, cached = false, reportId = null, usage = [] }, env = process.env) {
+  const costs = usage.map(u => estimateCost(u, env));
+  return {
+    id: randomUUID(),
+    at: new Date().toISOString(),
+    keyId,
+    route,
+    status,
+    cached,
+    reportId,
+    model: usage.at(-1)?.model ?? null,
+    calls: usage.length,
+    inputTokens: usage.reduce((s, u) => s + (u.inputTokens || 0), 0),
+    outputTokens: usage.reduce((s, u) => s + (u.outputTokens || 0), 0),
+    costUsd: costs.some(c => c == null) ? null : Math.round(costs.reduce((s, c) => s + c, 0) * 1e6) / 1e6
+  };
+}
+
+/* ---------- Periods ---------- */
+// Quotas run per calendar month, UTC
+
+export function monthStart(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+export function nextMonthStart(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+/** "2026-10" -> [start, end) Dates; null when malformed */
+export function monthRange(month) {
+  const m = /^(\d{4})-(\d{2})$/.exec(String(month || ""));
+  if (!m || m[2] < "01" || m[2] > "12") return null;
+  const start = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, 1));
+  return [start, nextMonthStart(start)];
+}
+
+/**
+ * Totals over ledger entries; unpricedRequests counts requests whose cost could not be estimated,
+ * rejectedRequests those turned away by a limit (not in requests)
+ */
+export function summarizeUsage(entries) {
+  const sum = { requests: 0, modelCalls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedRequests: 0, rejectedRequests: 0 };
+  for (const e of entries) {
+    if (e.rejected) { sum.rejectedRequests++; continue; }
+    sum.requests++;
+    sum.modelCalls += e.calls || 0;
+    sum.inputTokens += e.inputTokens || 0;
+    sum.outputTokens += e.outputTokens || 0;
+    if (e.costUsd == null) sum.unpricedRequests++;
+    else sum.costUsd += e.costUsd;
+  }
+  sum.costUsd = Math.round(sum.costUsd * 1e6) / 1e6;
+  return sum;
+}
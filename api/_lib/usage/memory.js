@@ -0,0 +1,25 @@
+// /api/_lib/usage/memory.js — in-process key and ledger store (tests, previews)
+
+export function createMemoryUsageStore() {
+  const keys = new Map();
+  const ledger = [];
+
+  return {
+    name: "memory",
+    async listKeys() { return [...keys.values()]; },
+    async findKeyByHash(hash) { return [...keys.values()].find(k => k.hash === hash) || null; },
+    async saveKey(key) { keys.set(key.id, key); return key; },
+    async record(entry) {
+      const i = ledger.findIndex(e => e.id === entry.id);
+      if (i >= 0) ledger[i] = entry;
+      else ledger.push(entry);
+      return entry;
+    },
+    async entries({ keyId, since, limit = Infinity } = {}) {
+      return ledger
+        .filter(e => (keyId == null || e.keyId === keyId) && (since == null || e.at >= since))
+        .reverse()
+        .slice(0, limit);
+    }
+  };
+}
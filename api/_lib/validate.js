@@ -0,0 +1,83 @@
+// /api/_lib/validate.js — local JSON Schema check for model output
+// Covers the keywords PROPERTY_REPORT_JSON_SCHEMA uses (type, const, enum, required,
+// properties, additionalProperties, items, min/maxItems, minimum/maximum, minLength,
+// format: date-time). Errors are { path, message } with paths like "units[0].sqft".
+
+import { PROPERTY_REPORT_JSON_SCHEMA } from "./schema.js";
+
+const typeOf = v => (v === null ? "null" : Array.isArray(v) ? "array" : typeof v);
+
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && isFinite(value);
+  return typeOf(value) === type;
+}
+
+const join = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+export function validateSchema(value, schema, path = "", errors = []) {
+  const at = path || "(root)";
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: at, message: `expected ${types.join(" or ")}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+  if ("const" in schema && value !== schema.const) errors.push({ path: at, message: `must equal ${JSON.stringify(schema.const)}` });
+  if (schema.enum && !schema.enum.includes(value)) errors.push({ path: at, message: `must be one of ${schema.enum.join(", ")}` });
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push({ path: at, message: `must be >= ${schema.minimum}, got ${value}` });
+    if (schema.maximum != null && value > schema.maximum) errors.push({ path: at, message: `must be <= ${schema.maximum}, got ${value}` });
+  }
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+    if (schema.format === "date-time" && isNaN(Date.parse(value))) errors.push({ path: at, message: "must be an ISO 8601 date-time" });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push({ path: at, message: `must have at least ${schema.minItems} items, got ${value.length}` });
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push({ path: at, message: `must have at most ${schema.maxItems} items, got ${value.length}` });
+    if (schema.items) value.forEach((item, i) => validateSchema(item, schema.items, join(path, i), errors));
+  }
+
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: join(path, key), message: "is required" });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) validateSchema(v, props[key], join(path, key), errors);
+      else if (schema.additionalProperties === false) errors.push({ path: join(path, key), message: "is not allowed" });
+    }
+  }
+  return errors;
+}
+
+// *Pct fields are percents (7.7 = 7.7%). For these, a value in (0, 1) is almost certainly a
+// fraction the model forgot to scale; rates like vacancy or points can really be under 1%.
+const PERCENT_PATHS = [
+  ["reportMeta", "targetCapPct"],
+  ["financing", "downPaymentPct"],
+  ["financing", "rateAnnualPct"],
+  ["negotiation", "targetCapPct"]
+];
+
+function checkPercentFields(report) {
+  const errors = [];
+  for (const path of PERCENT_PATHS) {
+    const v = path.reduce((o, k) => (o == null ? undefined : o[k]), report);
+    if (typeof v === "number" && v > 0 && v < 1) {
+      const asPct = Math.round(v * 10000) / 100;
+      errors.push({ path: path.join("."), message: `looks like a fraction (${v}); use percent units, e.g. ${asPct} for ${asPct}%` });
+    }
+  }
+  return errors;
+}
+
+/** Validate a parsed model report; returns [] when it is usable. */
+export function validateReport(report) {
+  return [...validateSchema(report, PROPERTY_REPORT_JSON_SCHEMA), ...checkPercentFields(report)];
+}
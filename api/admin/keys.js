@@ -0,0 +1,55 @@
+// /api/admin/keys — API keys and what they used (Authorization: Bearer <ADMIN_TOKEN>)
+//   GET     ?month=YYYY-MM (default: current, UTC) -> { month, keys: [{ ...key, usage }], totals }
+//           keys from API_KEYS are listed read-only with source "env"
+//   POST    { name, origins?, rateLimit?, quota? } -> 201 { key, secret }; the secret is shown only here
+//   DELETE  ?id=<key id> -> { key } with revokedAt set
+// usage is { requests, modelCalls, inputTokens, outputTokens, costUsd, unpricedRequests } for the month.
+
+import { getUsageStore, monthRange, monthStart, summarizeUsage } from "../_lib/usage/index.js";
+import { checkAdmin, checkKeySpec, envKeys, issueKey, publicKey } from "../_lib/auth.js";
+import { readJsonBody, sendResult, setCors } from "../_lib/http.js";
+
+export default async function handler(req, res) {
+  setCors(res, "GET, POST, DELETE");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (!["GET", "POST", "DELETE"].includes(req.method)) return res.status(405).json({ error: "Only GET, POST or DELETE" });
+
+  const denied = checkAdmin(req);
+  if (denied) return sendResult(res, denied);
+
+  try {
+    const store = getUsageStore();
+
+    if (req.method === "POST") {
+      const spec = await readJsonBody(req);
+      const errors = checkKeySpec(spec);
+      if (!String(spec.name ?? "").trim()) errors.unshift({ path: "name", message: "is required" });
+      if (errors.length) return res.status(400).json({ error: "Invalid key", details: errors });
+      const { key, secret } = await issueKey(store, { ...spec, name: spec.name.trim() });
+      return res.status(201).json({ key: publicKey(key), secret });
+    }
+
+    if (req.method === "DELETE") {
+      const id = String(req.query?.id ?? "");
+      if (envKeys().some(k => k.id === id)) return res.status(400).json({ error: "Key is defined in API_KEYS; remove it there" });
+      const key = (await store.listKeys()).find(k => k.id === id);
+      if (!key) return res.status(404).json({ error: "Key not found" });
+      const revoked = key.revokedAt ? key : await store.saveKey({ ...key, revokedAt: new Date().toISOString() });
+      return res.status(200).json({ key: publicKey(revoked) });
+    }
+
+    const month = req.query?.month ?? monthStart().toISOString().slice(0, 7);
+    const range = monthRange(month);
+    if (!range) return res.status(400).json({ error: "month must be YYYY-MM" });
+    const [start, end] = range.map(d => d.toISOString());
+    const entries = (await store.entries({ since: start })).filter(e => e.at < end);
+
+    const keys = [...envKeys(), ...await store.listKeys()].map(key => ({
+      ...publicKey(key),
+      usage: summarizeUsage(entries.filter(e => e.keyId === key.id))
+    }));
+    return res.status(200).json({ month, keys, totals: summarizeUsage(entries) });
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
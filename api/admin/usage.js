@@ -0,0 +1,31 @@
+// /api/admin/usage — GET: the usage ledger (Authorization: Bearer <ADMIN_TOKEN>)
+// ?month=YYYY-MM (default: current, UTC), ?keyId=<key id>, ?limit=1..1000 (default 100)
+// -> { month, keyId, summary, entries } with entries newest first; summary covers the whole month,
+// not only the entries returned.
+
+import { getUsageStore, monthRange, monthStart, summarizeUsage } from "../_lib/usage/index.js";
+import { checkAdmin } from "../_lib/auth.js";
+import { sendResult, setCors } from "../_lib/http.js";
+
+export default async function handler(req, res) {
+  setCors(res, "GET");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return res.status(405).json({ error: "Only GET" });
+
+  const denied = checkAdmin(req);
+  if (denied) return sendResult(res, denied);
+
+  const month = req.query?.month ?? monthStart().toISOString().slice(0, 7);
+  const range = monthRange(month);
+  if (!range) return res.status(400).json({ error: "month must be YYYY-MM" });
+  const keyId = req.query?.keyId ? String(req.query.keyId) : undefined;
+  const limit = Math.min(1000, Math.max(1, Number.parseInt(req.query?.limit ?? "100", 10) || 100));
+
+  try {
+    const [start, end] = range.map(d => d.toISOString());
+    const entries = (await getUsageStore().entries({ keyId, since: start })).filter(e => e.at < end);
+    return res.status(200).json({ month, keyId: keyId ?? null, summary: summarizeUsage(entries), entries: entries.slice(0, limit) });
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
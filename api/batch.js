@@ -0,0 +1,229 @@
+// /api/batch — POST: underwrite a list of addresses, streaming progress as NDJSON
+//
+// Body, either:
+//   JSON { rows: [{ address, purchasePrice?, overrides?, currency?, locale?, areaUnit?, rentalStrategy?, dealStrategy? } | "address"], rankBy?, concurrency?, refresh?, buyBox? }
+//   CSV  (Content-Type text/csv, or JSON { csv, rankBy?, ... }) with an address column, optional
+//        purchasePrice/price, currency, locale, areaUnit, rentalStrategy (ltr | str), dealStrategy (hold | valueAdd)
+//        and any typed override column (rateAnnualPct, selfManaged, adrNightly, arv, ...);
+//        other columns are ignored and listed in the start event.
+// rankBy: capRate (default) | cashFlow | dscr | maxPrice | buyBox — descending, rows without the metric last.
+// buyBox (a saved profile id, inline { name?, criteria } or false; default the active profile, CSV
+// uploads take ?buyBox=<id>) is resolved once and scores every row the same way.
+//
+// Response (application/x-ndjson), one JSON object per line:
+//   { type: "start", total, rankBy, concurrency, ignoredColumns, buyBox: { id, name } | null }
+//   { type: "row", index, address, done, ok: true, reportId, cached, permalink, reportUrl, metrics }
+//   { type: "row", index, address, done, ok: false, status, error, details?, resetAt? }
+//   { type: "summary", rankBy, ranked: [{ rank, index, ...metrics, reportId, permalink, reportUrl }], failed, verdicts, csvUrl }
+// metrics include buyBoxVerdict and buyBoxScore; verdicts counts rows by verdict ({ pass, fail, incomplete }).
+// csvUrl downloads the key metrics of every successful row (see /api/reports?format=csv).
+// A failing row never fails the batch. Each row goes through the same pipeline as /api/generate,
+// so reports are saved (and cached) exactly like single requests. The API key is checked once up
+// front, and each row is reserved in the ledger as one request against its rate limit and quotas
+// before its model call, so concurrent rows cannot overrun them. A row over a limit fails with
+// status 429 and the reset time.
+
+import { generateReport } from "./_lib/pipeline.js";
+import { OVERRIDE_FIELDS, HINT_FIELDS } from "./_lib/overrides.js";
+import { createProvider } from "./_lib/providers/index.js";
+import { getStore, summarizeRecord } from "./_lib/store/index.js";
+import { getBuyBoxStore, resolveBuyBox } from "./_lib/buybox/index.js";
+import { getUsageStore } from "./_lib/usage/index.js";
+import { authenticate, checkLimits, recordUsage } from "./_lib/auth.js";
+import { csvToObjects } from "./_lib/csv.js";
+import { readJsonBody, readTextBody, sendResult, setCors } from "./_lib/http.js";
+
+export const config = { maxDuration: 300 };
+
+const RANK_FIELDS = {
+  capRate: "capRatePct",
+  cashFlow: "cashFlowAnnual",
+  dscr: "dscr",
+  maxPrice: "maxPurchasePriceAtTargetCap",
+  buyBox: "buyBoxScore"
+};
+
+export default async function handler(req, res) {
+  setCors(res, "POST");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Only POST" });
+
+  const provider = createProvider();
+  if (provider.configError) return res.status(500).json({ error: provider.configError });
+
+  // Everything before the stream opens answers in plain JSON, an unexpected failure included
+  let batch;
+  try {
+    batch = await readBatch(req);
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+  if (!batch.ok) return sendResult(res, batch);
+  const { usageStore, access, payload, rankBy, rows, ignoredColumns, buyBox, concurrency } = batch;
+
+  res.status(200);
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  const send = event => res.write(JSON.stringify(event) + "\n");
+  const profile = buyBox.profile;
+  send({ type: "start", total: rows.length, rankBy, concurrency, ignoredColumns, buyBox: profile && { id: profile.id, name: profile.name } });
+
+  const store = getStore();
+  const succeeded = [];
+  const failed = [];
+  let done = 0;
+
+  await mapPool(rows, concurrency, async (row, index) => {
+    const address = String(row.address ?? "").trim();
+    let result;
+    try {
+      const limits = await checkLimits(access.key, { store: usageStore, route: "batch" });
+      if (!limits.ok) result = limits;
+      else {
+        // Matrices are skipped here; the saved report carries none and the UI computes them on demand
+        try {
+          result = await generateReport({ ...row, refresh: payload.refresh, sensitivityMatrices: [], buyBox: profile ?? false }, { provider, store });
+        } finally {
+          await recordUsage(usageStore, limits.reservation, {
+            status: result?.status ?? 500, cached: !!result?.body?.cached, reportId: result?.body?.reportId ?? null, usage: result?.usage
+          });
+        }
+      }
+    } catch (e) {
+      result = { status: 500, body: { error: String(e?.message || e) } };
+    }
+    done++;
+
+    if (result.status !== 200) {
+      const failure = {
+        index, address, status: result.status, error: errorMessage(result.body),
+        ...(result.body?.details ? { details: result.body.details } : {}),
+        ...(result.body?.resetAt ? { resetAt: result.body.resetAt } : {})
+      };
+      failed.push(failure);
+      send({ type: "row", done, ok: false, ...failure });
+      return;
+    }
+    const report = result.body;
+    const { id: reportId, createdAt, ...metrics } = summarizeRecord({ id: report.reportId, createdAt: report.createdAt, report });
+    const links = { permalink: `/?report=${encodeURIComponent(reportId)}`, reportUrl: `/api/reports/${encodeURIComponent(reportId)}` };
+    succeeded.push({ index, ...metrics, reportId, createdAt, cached: report.cached, ...links });
+    send({ type: "row", index, address, done, ok: true, reportId, cached: report.cached, ...links, metrics });
+  });
+
+  const ranked = rank(succeeded, RANK_FIELDS[rankBy]);
+  const csvUrl = ranked.length ? `/api/reports?format=csv&ids=${ranked.map(r => encodeURIComponent(r.reportId)).join(",")}` : null;
+  const verdicts = { pass: 0, fail: 0, incomplete: 0 };
+  for (const r of succeeded) if (r.buyBoxVerdict) verdicts[r.buyBoxVerdict]++;
+  send({ type: "summary", rankBy, ranked, failed: failed.sort((a, b) => a.index - b.index), verdicts: profile ? verdicts : null, csvUrl });
+  return res.end();
+}
+
+/* ---------- Request ---------- */
+
+const invalid = error => ({ ok: false, status: 400, body: { error } });
+
+// Key, body and options checked up front: { ok: true, ... } or { ok: false, status, body }
+async function readBatch(req) {
+  const usageStore = getUsageStore();
+  const access = await authenticate(req, { store: usageStore });
+  if (!access.ok) return access;
+
+  const isCsv = /text\/(csv|plain)/i.test(String(req.headers?.["content-type"] || ""));
+  let payload;
+  try {
+    payload = isCsv ? { csv: await readTextBody(req) } : await readJsonBody(req, { strict: true });
+  } catch {
+    return invalid("Request body is not valid JSON");
+  }
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) return invalid("Request body must be a JSON object");
+
+  const rankBy = payload.rankBy ?? "capRate";
+  if (!RANK_FIELDS[rankBy]) return invalid(`rankBy must be one of ${Object.keys(RANK_FIELDS).join(", ")}`);
+
+  const { rows, ignoredColumns, error } = typeof payload.csv === "string" ? rowsFromCsv(payload.csv) : rowsFromJson(payload.rows);
+  if (error) return invalid(error);
+
+  const buyBox = await resolveBuyBox(isCsv ? req.query?.buyBox : payload.buyBox, getBuyBoxStore());
+  if (!buyBox.ok) return buyBox;
+
+  const maxRows = Number.parseInt(process.env.BATCH_MAX_ROWS ?? "50", 10) || 50;
+  if (!rows.length) return invalid("No rows to process");
+  if (rows.length > maxRows) return invalid(`At most ${maxRows} rows per batch (got ${rows.length})`);
+
+  const defaultConcurrency = Number.parseInt(process.env.BATCH_CONCURRENCY ?? "3", 10) || 3;
+  const concurrency = Math.min(10, Math.max(1, Number.parseInt(payload.concurrency ?? defaultConcurrency, 10) || 1));
+  return { ok: true, usageStore, access, payload, rankBy, rows, ignoredColumns, buyBox, concurrency };
+}
+
+/* ---------- Rows ---------- */
+
+function rowsFromJson(rows) {
+  if (!Array.isArray(rows)) return { error: "rows must be an array (or send CSV)" };
+  return {
+    rows: rows.map(r => (typeof r === "string" ? { address: r } : r && typeof r === "object" ? r : { address: "" })),
+    ignoredColumns: []
+  };
+}
+
+// CSV header -> request field; matching ignores case, spaces and underscores
+const squash = s => s.toLowerCase().replace(/[\s_]/g, "");
+const ROW_FIELDS = ["address", "purchasePrice", "currency", "locale", "areaUnit", "rentalStrategy", "dealStrategy"];
+const CSV_COLUMNS = Object.fromEntries(
+  [...ROW_FIELDS, ...Object.keys(OVERRIDE_FIELDS), ...Object.keys(HINT_FIELDS)].map(k => [squash(k), k])
+);
+CSV_COLUMNS.price = "purchasePrice";
+
+function rowsFromCsv(text) {
+  const objects = csvToObjects(text);
+  const headers = objects.length ? Object.keys(objects[0]) : [];
+  if (!headers.some(h => CSV_COLUMNS[squash(h)] === "address")) return { error: "CSV needs an address column" };
+
+  const rows = objects.map(obj => {
+    const row = { overrides: {} };
+    for (const [header, raw] of Object.entries(obj)) {
+      const key = CSV_COLUMNS[squash(header)];
+      if (!key || raw === "") continue;
+      if (ROW_FIELDS.includes(key)) row[key] = raw;
+      else row.overrides[key] = csvValue(key, raw);
+    }
+    return row;
+  });
+  return { rows, ignoredColumns: headers.filter(h => !CSV_COLUMNS[squash(h)]) };
+}
+
+// Typed cells; anything unparseable is passed through so the row fails validation with a clear message
+function csvValue(key, raw) {
+  if ((OVERRIDE_FIELDS[key] || HINT_FIELDS[key])[0] === "boolean") {
+    if (/^(true|yes|y|1)$/i.test(raw)) return true;
+    if (/^(false|no|n|0)$/i.test(raw)) return false;
+    return raw;
+  }
+  const n = Number(raw.replace(/[\s,%\p{Sc}]/gu, ""));
+  return isFinite(n) ? n : raw;
+}
+
+/* ---------- Helpers ---------- */
+
+async function mapPool(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+function rank(rows, field) {
+  const value = r => (typeof r[field] === "number" ? r[field] : -Infinity);
+  return rows
+    .sort((a, b) => value(b) - value(a) || a.index - b.index)
+    .map((r, i) => ({ rank: i + 1, ...r }));
+}
+
+function errorMessage(body) {
+  const e = body?.error;
+  return typeof e === "string" ? e : e?.message || "Generation failed";
+}
@@ -0,0 +1,39 @@
+// /api/buy-boxes/:id — one saved buy-box profile
+//   GET     -> { profile }
+//   PUT     { name, criteria, active? } -> { profile }; replaces name and criteria, active: true makes it the default
+//   DELETE  -> 204
+// PUT and DELETE need an API key or ADMIN_TOKEN (an active profile scores every report); GET is open
+
+import { checkProfileSpec, getBuyBoxStore, saveProfile } from "../_lib/buybox/index.js";
+import { getUsageStore } from "../_lib/usage/index.js";
+import { checkKeyOrAdmin } from "../_lib/auth.js";
+import { readJsonBody, sendResult, setCors } from "../_lib/http.js";
+
+export default async function handler(req, res) {
+  setCors(res, "GET, PUT, DELETE");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (!["GET", "PUT", "DELETE"].includes(req.method)) return res.status(405).json({ error: "Only GET, PUT or DELETE" });
+
+  const id = String(req.query?.id ?? "");
+  try {
+    const store = getBuyBoxStore();
+    if (req.method !== "GET") {
+      const denied = await checkKeyOrAdmin(req, { store: getUsageStore() });
+      if (denied) return sendResult(res, denied);
+    }
+    if (req.method === "DELETE") {
+      return (await store.delete(id)) ? res.status(204).end() : res.status(404).json({ error: "Buy box not found" });
+    }
+    const profile = await store.get(id);
+    if (!profile) return res.status(404).json({ error: "Buy box not found" });
+    if (req.method === "PUT") {
+      const spec = await readJsonBody(req);
+      const errors = checkProfileSpec(spec);
+      if (errors.length) return res.status(400).json({ error: "Invalid buy box", details: errors });
+      return res.status(200).json({ profile: await saveProfile(store, spec, profile) });
+    }
+    return res.status(200).json({ profile });
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
@@ -0,0 +1,32 @@
+// /api/buy-boxes — saved buy-box profiles (see public/lib/buybox.js)
+//   GET   -> { profiles, activeId }
+//   POST  { name, criteria, active? } -> 201 { profile }; active: true makes it the default for every report
+// criteria: { minCapRatePct, minDscr, minCashOnCashPct, maxPricePerUnit, minRentToPricePct, maxAgeYears, hoaAllowed },
+// each optional (null = not checked). POST needs an API key or ADMIN_TOKEN; listing is open (both UIs read it).
+
+import { checkProfileSpec, getBuyBoxStore, saveProfile } from "../_lib/buybox/index.js";
+import { getUsageStore } from "../_lib/usage/index.js";
+import { checkKeyOrAdmin } from "../_lib/auth.js";
+import { readJsonBody, sendResult, setCors } from "../_lib/http.js";
+
+export default async function handler(req, res) {
+  setCors(res, "GET, POST");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "Only GET or POST" });
+
+  try {
+    const store = getBuyBoxStore();
+    if (req.method === "POST") {
+      const denied = await checkKeyOrAdmin(req, { store: getUsageStore() });
+      if (denied) return sendResult(res, denied);
+      const spec = await readJsonBody(req);
+      const errors = checkProfileSpec(spec);
+      if (errors.length) return res.status(400).json({ error: "Invalid buy box", details: errors });
+      return res.status(201).json({ profile: await saveProfile(store, spec) });
+    }
+    const profiles = await store.list();
+    return res.status(200).json({ profiles, activeId: profiles.find(p => p.active)?.id ?? null });
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
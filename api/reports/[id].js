@@ -0,0 +1,48 @@
+// /api/reports/:id — GET: saved report { id, createdAt, request, report }; DELETE: remove it
+// (DELETE needs an API key or ADMIN_TOKEN; reading a report by id is open)
+// GET /api/reports/:id.xlsx — workbook with live formulas; GET /api/reports/:id.csv — key metrics row;
+// GET /api/reports/:id.pdf — paginated PDF of the full report
+
+import { getStore } from "../_lib/store/index.js";
+import { exportFileName, metricsCsv, reportPdf, reportWorkbook } from "../_lib/export.js";
+import { getUsageStore } from "../_lib/usage/index.js";
+import { checkKeyOrAdmin } from "../_lib/auth.js";
+import { sendResult, setCors } from "../_lib/http.js";
+
+// extension -> [content type, body builder]
+const EXPORTS = {
+  xlsx: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", reportWorkbook],
+  csv: ["text/csv; charset=utf-8", record => metricsCsv([record])],
+  pdf: ["application/pdf", reportPdf]
+};
+
+export default async function handler(req, res) {
+  setCors(res, "GET, DELETE");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "DELETE") return res.status(405).json({ error: "Only GET or DELETE" });
+
+  const [, id, format] = /^(.*?)(?:\.([a-z]+))?$/.exec(String(req.query?.id ?? ""));
+  if (format && (req.method !== "GET" || !EXPORTS[format])) {
+    return res.status(404).json({ error: `Unknown export format "${format}" (expected ${Object.keys(EXPORTS).join(", ")})` });
+  }
+  try {
+    const store = getStore();
+    if (req.method === "DELETE") {
+      const denied = await checkKeyOrAdmin(req, { store: getUsageStore() });
+      if (denied) return sendResult(res, denied);
+      return (await store.delete(id)) ? res.status(204).end() : res.status(404).json({ error: "Report not found" });
+    }
+    const record = await store.get(id);
+    if (!record) return res.status(404).json({ error: "Report not found" });
+    if (format) {
+      const [contentType, build] = EXPORTS[format];
+      res.setHeader("Content-Type", contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="${exportFileName(record, format)}"`);
+      return res.status(200).send(build(record));
+    }
+    const { cacheKey, ...publicRecord } = record;
+    return res.status(200).json(publicRecord);
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
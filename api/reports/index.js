@@ -0,0 +1,36 @@
+// /api/reports — GET: list saved reports (newest first), ?limit=1..200 (default 50)
+// ?format=csv returns one row of key metrics per report instead; ?ids=a,b,c picks specific reports.
+// Picking by id is open (ids are the permalinks); the full list needs an API key or ADMIN_TOKEN.
+
+import { getStore, summarizeRecord } from "../_lib/store/index.js";
+import { metricsCsv } from "../_lib/export.js";
+import { getUsageStore } from "../_lib/usage/index.js";
+import { checkKeyOrAdmin } from "../_lib/auth.js";
+import { sendResult, setCors } from "../_lib/http.js";
+
+export default async function handler(req, res) {
+  setCors(res, "GET");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return res.status(405).json({ error: "Only GET" });
+
+  const limit = Math.min(200, Math.max(1, Number.parseInt(req.query?.limit ?? "50", 10) || 50));
+  const ids = req.query?.ids ? String(req.query.ids).split(",").map(s => s.trim()).filter(Boolean).slice(0, 200) : null;
+  try {
+    if (!ids) {
+      const denied = await checkKeyOrAdmin(req, { store: getUsageStore() });
+      if (denied) return sendResult(res, denied);
+    }
+    const store = getStore();
+    const records = ids
+      ? (await Promise.all(ids.map(id => store.get(id)))).filter(Boolean)
+      : await store.list({ limit });
+    if (req.query?.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="reports.csv"`);
+      return res.status(200).send(metricsCsv(records));
+    }
+    return res.status(200).json({ reports: records.map(summarizeRecord) });
+  } catch (e) {
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
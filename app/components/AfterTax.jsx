@@ -0,0 +1,42 @@
+// /app/components/AfterTax.jsx — after-tax cash flows and the tax on the sale
+import { Metric } from "./Metric.jsx";
+
+const LAND_METHODS = { input: "entered", assessor: "assessor's land / improvement ratio", default: "default" };
+
+// Pro forma hold after tax: interest and depreciation by year, then the tax on the sale
+export function AfterTax({ t, fmt }){
+  const a = t.assumptions, s = t.sale, b = t.basis;
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium">After-Tax Analysis</div>
+      <div className="text-xs text-slate-500 mb-2">
+        Marginal rate {fmt.pct(a.marginalRate)} · Land {fmt.pct(a.landPct)} of price ({LAND_METHODS[a.landMethod]}) · {a.depreciationYears}-year straight line
+        {b.fiveYear + b.fifteenYear > 0 && ` · Cost segregation ${fmt.money(b.fiveYear)} 5-yr, ${fmt.money(b.fifteenYear)} 15-yr`}
+        {b.bonus > 0 && ` · Bonus ${fmt.money(b.bonus)} in year 1`} · Losses offset other income
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead><tr className="text-slate-500 text-left">
+            <th className="py-1">Year</th><th className="py-1 text-right">NOI</th><th className="py-1 text-right">Interest</th><th className="py-1 text-right">Depreciation</th>
+            <th className="py-1 text-right">Taxable Income</th><th className="py-1 text-right">Tax Savings</th><th className="py-1 text-right">Cash Flow</th><th className="py-1 text-right">After-Tax Cash Flow</th>
+          </tr></thead>
+          <tbody className="divide-y">
+            {t.years.map((y)=>(
+              <tr key={y.year}>
+                <td className="py-1">{y.year}</td><td className="py-1 text-right">{fmt.money(y.noi)}</td><td className="py-1 text-right">{fmt.money(y.interest)}</td>
+                <td className="py-1 text-right">{fmt.money(y.depreciation)}</td><td className="py-1 text-right">{fmt.money(y.taxableIncome)}</td>
+                <td className="py-1 text-right">{fmt.money(y.taxSavings)}</td><td className="py-1 text-right">{fmt.money(y.cashFlow)}</td><td className="py-1 text-right">{fmt.money(y.afterTaxCashFlow)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4 mt-4">
+        <Metric label="After-Tax IRR" value={fmt.pct(t.returns.afterTaxIrr)} sub={`After-tax CoC (yr 1) ${fmt.pct(t.returns.afterTaxCashOnCash)}`} />
+        <Metric label="Gain on Sale" value={fmt.money(s.gain)} sub={`Adjusted basis ${fmt.money(s.adjustedBasis)}`} />
+        <Metric label="Tax on Sale" value={fmt.money(s.saleTax)} sub={`Recapture ${fmt.money(s.recaptureTax)} · Capital gains ${fmt.money(s.capitalGainsTax)}`} />
+        <Metric label="After-Tax Sale Proceeds" value={fmt.money(s.afterTaxSaleProceeds)} sub={`Depreciable basis ${fmt.money(b.total - b.land)}`} />
+      </div>
+    </div>
+  );
+}
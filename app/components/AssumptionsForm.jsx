@@ -0,0 +1,102 @@
+// /app/components/AssumptionsForm.jsx — typed assumptions sent as overrides with Generate
+"use client";
+import { DEFAULTS } from "../../public/lib/underwriting.js";
+import { parseAmount } from "../../public/lib/format.js";
+import { PROFORMA_DEFAULTS } from "../../public/lib/proforma.js";
+import { STR_DEFAULTS } from "../../public/lib/str.js";
+import { VALUE_ADD_DEFAULTS } from "../../public/lib/valueadd.js";
+import { TAX_DEFAULTS } from "../../public/lib/tax.js";
+import { safeParseJSON, parseList } from "./inputs.js";
+import { WHATIF_FIELDS, STR_WHATIF_FIELDS, VALUE_ADD_WHATIF_FIELDS } from "./WhatIf.jsx";
+
+const fieldsFor = (fields, keys) => fields.filter(([key]) => keys.includes(key));
+
+// The typed assumptions form (sent as overrides with Generate), by section; STR and value-add only for those strategies
+const ASSUMPTION_GROUPS = [
+  ["Property", [["units", "Units"], ["beds", "Beds"], ["baths", "Baths"]]],
+  ["Purchase & financing", fieldsFor(WHATIF_FIELDS, ["downPaymentPct", "rateAnnualPct", "termYears", "pointsPct", "closingCostPct", "rehabBudget", "targetCapPct"])],
+  ["Operations", fieldsFor(WHATIF_FIELDS, ["vacancyPct", "managementPctOfEGI", "maintenancePctOfGrossRent", "taxesAnnual", "insuranceAnnual", "hoaAnnual", "utilitiesAnnual", "otherOpExAnnual"])],
+  ["Pro forma", fieldsFor(WHATIF_FIELDS, ["holdYears", "rentGrowthPct", "expenseInflationPct", "appreciationPct", "exitCapPct", "sellingCostPct"])],
+  ["After-tax (a marginal rate adds the section)", fieldsFor(WHATIF_FIELDS, ["marginalTaxRatePct", "landValuePct", "depreciationYears", "costSeg5YearPct", "costSeg15YearPct", "bonusDepreciationPct", "recaptureRatePct", "capitalGainsRatePct"])],
+  ["Short-term rental", STR_WHATIF_FIELDS, "str"],
+  ["Value-add / BRRRR (rehab cost is Rehab above)", VALUE_ADD_WHATIF_FIELDS, "valueAdd"]
+];
+
+// Placeholders: what the engine uses when neither the form nor the model gives a value
+const ASSUMPTION_DEFAULTS = {
+  ...DEFAULTS, ...PROFORMA_DEFAULTS, ...TAX_DEFAULTS, ...VALUE_ADD_DEFAULTS,
+  ...Object.fromEntries(STR_WHATIF_FIELDS.map(([key]) => [key, STR_DEFAULTS[{ strManagementPct: "managementPct", strUtilitiesAnnual: "utilitiesAnnual" }[key] || key]]))
+};
+
+// Typed form strings -> the overrides object POST /api/generate validates (the server checks ranges)
+export function collectOverrides(values, locale){
+  const labels = Object.fromEntries(ASSUMPTION_GROUPS.flatMap(([, fields]) => fields));
+  const out = {};
+  for (const [key, v] of Object.entries(values)) {
+    if (typeof v === "boolean") { out[key] = v; continue; }
+    const text = v.trim();
+    if (!text) continue;
+    if (key === "loans") {
+      const loans = safeParseJSON(text);
+      if (!Array.isArray(loans)) throw new Error("Loan tranches must be a JSON array.");
+      out.loans = loans;
+    } else if (key === "occupancyByMonthPct") {
+      const months = parseList(text);
+      if (months.length !== 12) throw new Error("Occupancy by month needs 12 values (Jan–Dec).");
+      out[key] = months;
+    } else if (key === "stabilizedRentsMonthly") out[key] = parseList(text);
+    else {
+      const n = parseAmount(text, locale);
+      if (isNaN(n)) throw new Error(`${labels[key] || key}: not a number`);
+      out[key] = n;
+    }
+  }
+  return out;
+}
+
+// Editable defaults: only filled-in fields are sent, so the model still decides everything left blank
+export function AssumptionsForm({ values, onChange, str, valueAdd }){
+  const set = (key, v) => onChange({ ...values, [key]: v });
+  const input = "w-full rounded-xl border bg-slate-50 px-2 py-1.5 text-sm";
+  const filled = Object.values(values).filter((v) => v === true || (typeof v === "string" && v.trim())).length;
+  return (
+    <details className="rounded-xl border border-dashed p-3">
+      <summary className="cursor-pointer text-sm text-slate-600">Assumptions{filled ? ` (${filled} set)` : " (blank = model / defaults)"}</summary>
+      {ASSUMPTION_GROUPS.filter(([, , only]) => !only || (only === "str" ? str : valueAdd)).map(([title, fields]) => (
+        <div key={title} className="mt-3">
+          <div className="text-xs font-medium text-slate-500">{title}</div>
+          <div className="grid grid-cols-2 gap-2 mt-1">
+            {fields.map(([key, label]) => (
+              <div key={key}>
+                <label className="text-xs text-slate-500">{label}</label>
+                <input className={input} inputMode="decimal" placeholder={ASSUMPTION_DEFAULTS[key] == null ? "—" : String(ASSUMPTION_DEFAULTS[key])}
+                       value={values[key] ?? ""} onChange={(e) => set(key, e.target.value)} />
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+      {str && (
+        <div className="mt-3">
+          <label className="text-xs text-slate-500">Occupancy % by month (Jan–Dec, 12 values)</label>
+          <input className={input} placeholder="65, 65, 70, 75, 80, 90, 95, 90, 75, 70, 60, 65" value={values.occupancyByMonthPct ?? ""} onChange={(e) => set("occupancyByMonthPct", e.target.value)} />
+        </div>
+      )}
+      {valueAdd && (
+        <div className="mt-3">
+          <label className="text-xs text-slate-500">Stabilized rents (per mo, by unit)</label>
+          <input className={input} placeholder="2250, 2100" value={values.stabilizedRentsMonthly ?? ""} onChange={(e) => set("stabilizedRentsMonthly", e.target.value)} />
+        </div>
+      )}
+      <div className="mt-3">
+        <label className="text-xs text-slate-500">Loan tranches (optional JSON; replaces down / rate / term)</label>
+        <textarea className={`${input} font-mono text-xs`} rows={3} value={values.loans ?? ""} onChange={(e) => set("loans", e.target.value)}
+                  placeholder='[{"name":"DSCR 1st","type":"dscr","ltvPct":75,"rateAnnualPct":7.5,"termYears":30,"minDscr":1.2}]' />
+      </div>
+      <label className="flex items-center gap-2 text-sm text-slate-600 mt-3">
+        <input type="checkbox" checked={!!values.selfManaged} onChange={(e) => set("selfManaged", e.target.checked)} />
+        Self-managed (sets management to 0%)
+      </label>
+    </details>
+  );
+}
@@ -0,0 +1,101 @@
+// /app/components/BuyBoxPicker.jsx — choose, edit and save buy box profiles
+"use client";
+import { useState } from "react";
+import { BUY_BOX_CRITERIA } from "../../public/lib/buybox.js";
+import { parseAmount } from "../../public/lib/format.js";
+import { BUY_BOXES_URL, apiError } from "./api.js";
+
+// Number criteria as typed in the editor; HOA is a select
+const BUY_BOX_FIELDS = [
+  ["minCapRatePct", "Min cap rate %"], ["minDscr", "Min DSCR"], ["minCashOnCashPct", "Min cash-on-cash %"],
+  ["maxPricePerUnit", "Max price per unit"], ["minRentToPricePct", "Min rent-to-price % (1% rule)"], ["maxAgeYears", "Max building age (yrs)"]
+];
+
+// Pick the buy box for the next report, or edit and save one (saving makes it the default; writes need an API key)
+export function BuyBoxPicker({ profiles, selectedId, onSelect, onSaved, apiKey = "" }){
+  const selected = profiles.find((p) => p.id === selectedId) || null;
+  const [draft, setDraft] = useState(null); // { name, criteria: { key: string } } while editing
+  const [status, setStatus] = useState("");
+  const startEdit = (profile) => setDraft({
+    name: profile?.name || "",
+    criteria: Object.fromEntries(Object.keys(BUY_BOX_CRITERIA).map((k) => [k, profile?.criteria?.[k] == null ? "" : String(profile.criteria[k])]))
+  });
+
+  async function call(url, init){
+    setStatus("");
+    try {
+      const key = apiKey.trim();
+      const res = await fetch(url, { ...init, headers: { ...init.headers, ...(key ? { Authorization: `Bearer ${key}` } : {}) } });
+      const data = res.status === 204 ? {} : await res.json();
+      if (!res.ok) throw new Error(apiError(data, res.status));
+      return data;
+    } catch (err) {
+      setStatus(err.message || String(err));
+      return null;
+    }
+  }
+
+  async function save(){
+    const criteria = Object.fromEntries(Object.entries(draft.criteria).map(([k, v]) => [k,
+      k === "hoaAllowed" ? (v === "false" ? false : null) : v.trim() === "" ? null : parseAmount(v)]));
+    const data = await call(selected ? `${BUY_BOXES_URL}/${encodeURIComponent(selected.id)}` : BUY_BOXES_URL, {
+      method: selected ? "PUT" : "POST", headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: draft.name.trim(), criteria, active: true })
+    });
+    if (!data) return;
+    await onSaved(data.profile.id);
+    setDraft(null);
+    setStatus("Saved; new reports are scored against it.");
+  }
+
+  async function remove(){
+    if (!selected || !await call(`${BUY_BOXES_URL}/${encodeURIComponent(selected.id)}`, { method: "DELETE" })) return;
+    await onSaved("");
+    setDraft(null);
+    setStatus("Profile deleted.");
+  }
+
+  if (!BUY_BOXES_URL) return null;
+  const input = "w-full rounded-xl border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500";
+  return (
+    <div>
+      <label className="block text-sm text-slate-600 mb-1">Buy Box</label>
+      <div className="flex gap-2">
+        <select className={input} value={selectedId} onChange={(e) => { onSelect(e.target.value); setDraft(null); }}>
+          <option value="">No buy box</option>
+          {profiles.map((p) => <option key={p.id} value={p.id}>{p.name}{p.active ? " (default)" : ""}</option>)}
+        </select>
+        <button type="button" className="rounded-xl border px-3 py-2 text-sm hover:bg-slate-50" onClick={() => (draft ? setDraft(null) : startEdit(selected))}>
+          {draft ? "Close" : selected ? "Edit" : "New"}
+        </button>
+      </div>
+      {draft && (
+        <div className="mt-2 grid grid-cols-2 gap-2 rounded-xl border bg-slate-50 p-3">
+          <div className="col-span-2">
+            <label className="text-xs text-slate-500">Name</label>
+            <input className={input} value={draft.name} placeholder="Cash-flow rentals" onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          </div>
+          {BUY_BOX_FIELDS.map(([key, label]) => (
+            <div key={key}>
+              <label className="text-xs text-slate-500">{label}</label>
+              <input className={input} inputMode="decimal" placeholder="—" value={draft.criteria[key]}
+                     onChange={(e) => setDraft({ ...draft, criteria: { ...draft.criteria, [key]: e.target.value } })} />
+            </div>
+          ))}
+          <div>
+            <label className="text-xs text-slate-500">HOA</label>
+            <select className={input} value={draft.criteria.hoaAllowed === "false" ? "false" : ""}
+                    onChange={(e) => setDraft({ ...draft, criteria: { ...draft.criteria, hoaAllowed: e.target.value } })}>
+              <option value="">Allowed</option><option value="false">Not allowed</option>
+            </select>
+          </div>
+          <div className="col-span-2 flex gap-2">
+            <button type="button" className="rounded-xl bg-indigo-600 text-white px-3 py-1.5 text-sm hover:bg-indigo-700" onClick={save}>Save</button>
+            {selected && <button type="button" className="rounded-xl border px-3 py-1.5 text-sm hover:bg-slate-50" onClick={remove}>Delete</button>}
+          </div>
+        </div>
+      )}
+      {status && <div className="text-xs text-slate-500 mt-1">{status}</div>}
+    </div>
+  );
+}
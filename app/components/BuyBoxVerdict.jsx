@@ -0,0 +1,25 @@
+// /app/components/BuyBoxVerdict.jsx — how the report scores against its buy box
+
+const VERDICTS = {
+  pass: ["Meets the buy box", "border-emerald-200 bg-emerald-50 text-emerald-800"],
+  fail: ["Outside the buy box", "border-rose-200 bg-rose-50 text-rose-800"],
+  incomplete: ["Buy box: data missing", "border-amber-200 bg-amber-50 text-amber-800"]
+};
+
+// Verdict against the report's buy box; what-if edits re-score it
+export function BuyBoxVerdict({ b }){
+  const [label, classes] = VERDICTS[b.verdict];
+  return (
+    <div className={`mt-4 rounded-2xl border p-4 ${classes}`}>
+      <div className="text-sm">
+        <span className="font-semibold">{label}</span> — {b.profile.name}
+        {b.score != null && <> · score {b.score}/100 ({b.passed} of {b.criteria.length} pass)</>}
+      </div>
+      <ul className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs">
+        {b.criteria.map((r)=>(
+          <li key={r.id}>{r.pass === true ? "✓" : r.pass === false ? "✗" : "?"} {r.label}: {r.detail}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
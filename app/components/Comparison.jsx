@@ -0,0 +1,121 @@
+// /app/components/Comparison.jsx — pinned reports side by side, with share link and CSV
+"use client";
+import React, { useMemo, useState } from "react";
+import { compareReports } from "../../public/lib/compare.js";
+import { formatterFor } from "../../public/lib/format.js";
+
+const DELTA_CLASSES = { good: "text-emerald-600", bad: "text-rose-600" };
+
+const fmtValue = (fmt, format, v) => v == null ? "-"
+  : format === "money" ? fmt.money(v) : format === "pct" ? fmt.pct(v) : format === "ratio" ? fmt.ratio(v) : format === "bool" ? (v ? "Yes" : "No") : String(v);
+// Percent deltas read as points so "+1.00 pts" is never mistaken for a relative change
+const fmtDelta = (fmt, format, v) => v == null ? "" : (v > 0 ? "+" : v < 0 ? "−" : "±")
+  + (format === "pct" ? fmt.number(Math.abs(v) * 100, 2) + " pts" : fmtValue(fmt, format, Math.abs(v)));
+// Plain numbers for spreadsheets: percents in percent units, money in whole currency units
+const csvValue = (format, v) => v == null ? "" : format === "pct" ? (v * 100).toFixed(2) : format === "money" ? Math.round(v) : format === "ratio" ? v.toFixed(2) : String(v);
+const csvCell = (v) => (/[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+const pinLabel = (p, i) => (p.address.split(",")[0] || `Deal ${i + 1}`) + (p.modified ? " (what-if)" : "");
+
+export function Comparison({ pins, setPins }){
+  const cmp = useMemo(() => compareReports(pins.map((p) => p.report)), [pins]);
+  // Each deal reads in its own currency and locale
+  const fmts = useMemo(() => pins.map((p) => formatterFor(p.report?.reportMeta)), [pins]);
+  const [allAssumptions, setAllAssumptions] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const labels = pins.map(pinLabel);
+  const sharedIds = pins.filter((p) => p.id && !p.modified).map((p) => p.id);
+  const assumptions = cmp.assumptions.filter((a) => allAssumptions || a.differs);
+
+  const deltaTone = (m, v) => (v == null || Math.abs(v) < 1e-9 ? "" : (v > 0) === (m.better === "higher") ? "good" : "bad");
+  const makeBaseline = (i) => setPins([pins[i], ...pins.filter((_, j) => j !== i)]);
+
+  function copyLink(){
+    const url = `${window.location.origin}${window.location.pathname}?compare=${sharedIds.map(encodeURIComponent).join(",")}`;
+    navigator.clipboard?.writeText(url).then(() => { setCopied(true); setTimeout(() => setCopied(false), 2000); });
+  }
+
+  function downloadCsv(){
+    const header = ["", ...labels.flatMap((l, i) => (i === 0 ? [l] : [l, `Δ vs ${labels[0]}`]))];
+    const row = (label, format, values, deltas) =>
+      [label, ...values.flatMap((v, i) => (i === 0 ? [csvValue(format, v)] : [csvValue(format, v), deltas ? csvValue(format, deltas[i]) : ""]))];
+    const lines = [header, row("Currency", "text", cmp.currencies), ...cmp.metrics.map((m) => row(m.label, m.format, m.values, m.deltas)), [], ["Assumptions"],
+      ...cmp.assumptions.map((a) => row(a.label, a.format, a.values))];
+    const blob = new Blob([lines.map((l) => l.map(csvCell).join(",")).join("\r\n") + "\r\n"], { type: "text/csv" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "deal-comparison.csv";
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+
+  return (
+    <div className="mb-6 rounded-2xl border bg-white p-6 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">Compare Deals</h2>
+        <div className="flex flex-wrap gap-2 text-sm print:hidden">
+          {sharedIds.length > 1 && <button className="rounded-xl border px-3 py-1.5 hover:bg-slate-50" onClick={copyLink}>{copied ? "Link copied" : "Copy share link"}</button>}
+          {pins.length > 1 && <button className="rounded-xl border px-3 py-1.5 hover:bg-slate-50" onClick={downloadCsv}>Download CSV</button>}
+          <button className="rounded-xl border px-3 py-1.5 hover:bg-slate-50" onClick={()=>setPins([])}>Clear</button>
+        </div>
+      </div>
+      {pins.length < 2 ? (
+        <div className="text-sm text-slate-500 mt-2">Pinned {labels[0]}. Generate or open another report and pin it to compare.</div>
+      ) : (
+        <div className="overflow-x-auto mt-3">
+          <table className="w-full text-sm">
+            <thead><tr className="text-slate-500 text-right align-bottom">
+              <th className="py-1 text-left">Metric</th>
+              {pins.map((p, i) => (
+                <React.Fragment key={p.key}>
+                  <th className="py-1 px-2">
+                    <div className="text-slate-900">{labels[i]}</div>
+                    <div className="font-normal text-xs print:hidden">
+                      {i === 0 ? "baseline" : <button className="text-indigo-600 hover:underline" onClick={()=>makeBaseline(i)}>make baseline</button>}
+                      {" · "}<button className="text-indigo-600 hover:underline" onClick={()=>setPins(pins.filter((_, j) => j !== i))}>remove</button>
+                    </div>
+                  </th>
+                  {i > 0 && <th className="py-1 px-2 font-normal text-xs">Δ vs baseline</th>}
+                </React.Fragment>
+              ))}
+            </tr></thead>
+            <tbody className="divide-y">
+              {cmp.metrics.map((m) => (
+                <tr key={m.key}>
+                  <td className="py-1">{m.label}</td>
+                  {m.values.map((v, i) => (
+                    <React.Fragment key={i}>
+                      <td className={"py-1 px-2 text-right " + (i === m.best ? "bg-emerald-50 font-semibold text-emerald-700" : i === m.worst ? "bg-rose-50 text-rose-700" : "")}>{fmtValue(fmts[i], m.format, v)}</td>
+                      {i > 0 && <td className={"py-1 px-2 text-right text-xs " + (DELTA_CLASSES[deltaTone(m, m.deltas[i])] || "text-slate-500")}>{fmtDelta(fmts[0], m.format, m.deltas[i])}</td>}
+                    </React.Fragment>
+                  ))}
+                </tr>
+              ))}
+              <tr><td colSpan={pins.length * 2} className="pt-4 pb-1 text-xs font-medium text-slate-500">
+                Assumptions{allAssumptions ? "" : " that differ"}
+                <button className="ml-2 font-normal text-indigo-600 hover:underline print:hidden" onClick={()=>setAllAssumptions(!allAssumptions)}>{allAssumptions ? "show differences only" : "show all"}</button>
+              </td></tr>
+              {assumptions.length === 0 && <tr><td colSpan={pins.length * 2} className="py-1 text-xs text-slate-500">All deals use the same assumptions.</td></tr>}
+              {assumptions.map((a) => (
+                <tr key={a.key}>
+                  <td className="py-1">{a.label}</td>
+                  {a.values.map((v, i) => (
+                    <React.Fragment key={i}>
+                      <td className={"py-1 px-2 text-right " + (i > 0 && fmtValue(fmts[0], a.format, v) !== fmtValue(fmts[0], a.format, a.values[0]) ? "bg-amber-50 text-amber-800" : "")}>{fmtValue(fmts[i], a.format, v)}</td>
+                      {i > 0 && <td />}
+                    </React.Fragment>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="text-xs text-slate-500 mt-2">
+            Green = best, red = worst across pinned deals. Δ is each deal minus the baseline; percent metrics differ in points.
+            {cmp.mixedCurrency && ` Deals are in different currencies (${[...new Set(cmp.currencies)].join(", ")}); money is not converted, so money rows are not ranked.`}
+            {pins.some((p) => p.modified || !p.id) && " What-if variants are not included in the share link."}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+// /app/components/DraftReport.jsx — a streamed report's sections before underwriting
+import { formatterFor } from "../../public/lib/format.js";
+import { PropertySnapshot } from "./PropertySnapshot.jsx";
+import { RentComps } from "./RentComps.jsx";
+
+// The model's sections as they stream in, before validation and underwriting
+export function DraftReport({ sections }){
+  const fmt = formatterFor(sections.reportMeta);
+  const snap = sections.propertySnapshot, fin = sections.financing;
+  const comps = Array.isArray(sections.rentComps) ? sections.rentComps : [];
+  return (
+    <div className="rounded-2xl border bg-white p-6 shadow-sm">
+      <h1 className="text-xl sm:text-2xl font-bold">Investment Report — {sections.subject?.address || "…"}</h1>
+      <p className="text-slate-500 mt-1">Draft as the model writes it; figures are underwritten when the report is complete.</p>
+      {snap && <PropertySnapshot snap={snap} fmt={fmt} />}
+      <RentComps comps={comps} fmt={fmt} />
+      {fin && (
+        <div className="mt-6 rounded-2xl border bg-white p-4">
+          <div className="text-sm font-medium mb-2">Financing</div>
+          <div className="grid sm:grid-cols-3 gap-2 text-sm">
+            <div>Down payment: <b>{fin.downPaymentPct == null ? "-" : fmt.pct(fin.downPaymentPct / 100)}</b></div>
+            <div>Rate: <b>{fin.rateAnnualPct == null ? "-" : fmt.pct(fin.rateAnnualPct / 100)}</b></div>
+            <div>Term: <b>{fin.termYears == null ? "-" : `${fin.termYears} years`}</b></div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+// /app/components/ExecutiveSummary.jsx — the report's headline figures
+import { Metric } from "./Metric.jsx";
+
+export function ExecutiveSummary({ d, c, fmt }){
+  return (
+    <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4 mt-4">
+      <Metric label="Purchase Price" value={fmt.money(d.purchasePrice)} />
+      <Metric label="NOI" value={fmt.money(c.noi)} sub="Net Operating Income (yr)" />
+      <Metric label="Cap Rate" value={fmt.pct(c.cap)} />
+      <Metric label="Monthly P&I" value={fmt.money(c.monthlyPI)} />
+      <Metric label="DSCR" value={fmt.ratio(c.dscr||0)} />
+      <Metric label="Cash Flow (yr)" value={fmt.money(c.cashFlow)} />
+      <Metric label="Total Cost" value={fmt.money(c.totalCost)} sub={d.rehabBudget > 0 ? `Plus ${fmt.money(d.rehabBudget)} rehab` : undefined} />
+      {c.str ? <Metric label="Booking Revenue" value={`${fmt.money(c.monthlyRent)}/mo`} sub={`${fmt.pct(c.str.occupancy)} occupancy (yr avg)`} />
+        : <Metric label="Modeled Rent (Total)" value={`${fmt.money(c.monthlyRent)}/mo`} />}
+    </div>
+  );
+}
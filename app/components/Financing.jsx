@@ -0,0 +1,73 @@
+// /app/components/Financing.jsx — loan tranches, debt service and the amortization schedule
+"use client";
+import { useMemo } from "react";
+import { blendedSchedule } from "../../public/lib/loans.js";
+import { SummaryTable } from "./SummaryTable.jsx";
+
+const LOAN_TYPE_LABELS = { fixed: "Fixed", interestOnly: "Interest-only", arm: "ARM", sellerCarry: "Seller carry", dscr: "DSCR loan" };
+
+export function Financing({ d, c, fmt }){
+  const schedule = useMemo(() => blendedSchedule(c.tranches), [c.tranches]);
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium mb-2">Financing</div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead><tr className="text-slate-500 text-left">
+            <th className="py-1">Loan</th><th className="py-1">Type</th><th className="py-1 text-right">Amount</th><th className="py-1 text-right">Rate</th><th className="py-1 text-right">Term</th>
+            <th className="py-1 text-right">Payment (mo 1)</th><th className="py-1 text-right">Debt Service (yr 1)</th><th className="py-1 text-right">DSCR (cum.)</th><th className="py-1 text-right">Lender Min</th>
+          </tr></thead>
+          <tbody className="divide-y">
+            {c.tranches.map((t,i)=>(
+              <tr key={i}>
+                <td className="py-1">{t.name}{t.balloon && <div className="text-xs text-slate-500">Balloon mo {t.balloon.month}: {fmt.money(t.balloon.amount)}</div>}</td>
+                <td className="py-1">{LOAN_TYPE_LABELS[t.type] || t.type}{t.ioMonths ? ` · ${t.ioMonths} mo IO` : ""}</td>
+                <td className="py-1 text-right">{fmt.money(t.amount)}</td>
+                <td className="py-1 text-right">{fmt.pct(t.rateAnnual)}{t.arm ? " ARM" : ""}</td>
+                <td className="py-1 text-right">{t.termMonths / 12}y</td>
+                <td className="py-1 text-right">{fmt.money(t.initialPayment)}</td>
+                <td className="py-1 text-right">{fmt.money(t.annualDebtService)}</td>
+                <td className="py-1 text-right">{fmt.ratio(t.cumulativeDscr)}</td>
+                <td className={"py-1 text-right " + (t.meetsMinDscr === false ? "text-rose-600" : t.meetsMinDscr ? "text-emerald-600" : "")}>
+                  {t.minDscr == null ? "-" : `${fmt.ratio(t.minDscr)} ${t.meetsMinDscr ? "✓" : "✗"}`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-3">
+        <SummaryTable rows={[
+          ["Down payment", fmt.money(c.downPayment) + (d.purchasePrice > 0 ? ` (${fmt.pct(c.downPayment / d.purchasePrice)})` : "")],
+          ["Total loan amount", fmt.money(c.loanAmount)],
+          ["Monthly debt service (blended, mo 1)", fmt.money(c.monthlyPI)],
+          ["Annual debt service (yr 1)", fmt.money(c.ads)],
+          ["DSCR", fmt.ratio(c.dscr || 0), true],
+          [c.str ? "Cash invested (down + closing + points + rehab + furnishing)" : "Cash invested (down + closing + points + rehab)", fmt.money(c.cashInvested), true],
+          ["Cash flow (annual)", fmt.money(c.cashFlow)],
+          ["Cash-on-cash ROI", c.coc == null ? "-" : fmt.pct(c.coc), true],
+          ["1% rule", fmt.pct(c.onePctRule)]
+        ]} />
+      </div>
+      <details className="mt-3">
+        <summary className="cursor-pointer text-sm font-medium">Amortization schedule (monthly, all loans)</summary>
+        <div className="max-h-96 overflow-auto mt-2">
+          <table className="w-full text-xs">
+            <thead><tr className="text-slate-500 text-left">
+              <th className="py-1">Month</th><th className="py-1 text-right">Payment</th><th className="py-1 text-right">Interest</th>
+              <th className="py-1 text-right">Principal</th><th className="py-1 text-right">Balloon</th><th className="py-1 text-right">Balance</th>
+            </tr></thead>
+            <tbody className="divide-y">
+              {schedule.map((r)=>(
+                <tr key={r.month}>
+                  <td className="py-0.5">{r.month}</td><td className="py-0.5 text-right">{fmt.money(r.payment)}</td><td className="py-0.5 text-right">{fmt.money(r.interest)}</td>
+                  <td className="py-0.5 text-right">{fmt.money(r.principal)}</td><td className="py-0.5 text-right">{r.balloon ? fmt.money(r.balloon) : "-"}</td><td className="py-0.5 text-right">{fmt.money(r.balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </details>
+    </div>
+  );
+}
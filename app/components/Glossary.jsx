@@ -0,0 +1,22 @@
+// /app/components/Glossary.jsx — terms used in the report
+
+const GLOSSARY = [
+  ["EGI", "Effective Gross Income: rent after vacancy."],
+  ["OpEx", "Operating Expenses: taxes, insurance, HOA, maintenance, management, utilities, other."],
+  ["NOI", "Net Operating Income: EGI minus OpEx."],
+  ["Cap", "Capitalization Rate: NOI ÷ Total Cost."],
+  ["DSCR", "Debt Service Coverage Ratio: NOI ÷ Annual Debt Service."],
+  ["CoC", "Cash-on-Cash ROI: Annual Cash Flow ÷ Cash Invested."]
+];
+
+export function Glossary(){
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium mb-2">Glossary</div>
+      <div className="grid sm:grid-cols-2 gap-2 text-sm">
+        {GLOSSARY.map(([term, text]) => <div key={term}><b>{term}</b> — {text}</div>)}
+      </div>
+      <div className="text-xs text-slate-500 mt-3">For underwriting/education only. Not legal, tax, accounting, or financial advice.</div>
+    </div>
+  );
+}
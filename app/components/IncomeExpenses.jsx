@@ -0,0 +1,33 @@
+// /app/components/IncomeExpenses.jsx — annual income and operating expenses
+import { SummaryTable } from "./SummaryTable.jsx";
+
+export function IncomeExpenses({ d, c, fmt }){
+  const income = c.str
+    ? [["Room revenue", fmt.money(c.str.roomRevenue)], ["Guest cleaning fees", fmt.money(c.str.cleaningFees)], ["Effective Gross Income (EGI)", fmt.money(c.egi), true]]
+    : [["Gross scheduled rent", fmt.money(c.annualGSR)], ["Less vacancy", fmt.money(c.vacancy)], ["Effective Gross Income (EGI)", fmt.money(c.egi), true]];
+  const management = c.str ? `Management (${fmt.pct(d.mgmtPctOfEGI)} of revenue)` : d.selfManaged ? "Management (self-managed)" : "Management";
+  return (
+    <div className="mt-6 grid sm:grid-cols-2 gap-4">
+      <div className="rounded-2xl border bg-white p-4">
+        <div className="text-sm font-medium mb-2">Income (Annual)</div>
+        <SummaryTable rows={income} />
+        <div className="text-xs text-slate-500 mt-2">{c.str ? "EGI = Booking revenue at the modeled occupancy (no separate vacancy)" : "EGI = Gross Rent × (1 − Vacancy)"}</div>
+      </div>
+      <div className="rounded-2xl border bg-white p-4">
+        <div className="text-sm font-medium mb-2">Operating Expenses (Annual)</div>
+        <SummaryTable rows={[
+          ["Property taxes", fmt.money(c.taxes)],
+          ["Insurance", fmt.money(c.insurance)],
+          ["HOA", fmt.money(c.hoa)],
+          [`Maintenance (${fmt.pct(d.maintPctOfGross)} of gross)`, fmt.money(c.maintenance)],
+          [management, fmt.money(c.management)],
+          ...(c.str ? [[`Platform fees (${fmt.pct(d.str.platformFeeRate)})`, fmt.money(c.platformFees)], ["Cleaning", fmt.money(c.cleaning)]] : []),
+          [c.str ? "Utilities" : "Utilities (LL-paid)", fmt.money(c.utilities)],
+          ["Other", fmt.money(c.other)],
+          ["Total OpEx", fmt.money(c.opEx), true]
+        ]} />
+        <div className="text-xs text-slate-500 mt-2">OpEx = Taxes + Insurance + HOA + Maintenance + Management + {c.str ? "Platform Fees + Cleaning + " : ""}Utilities + Other</div>
+      </div>
+    </div>
+  );
+}
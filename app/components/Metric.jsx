@@ -0,0 +1,11 @@
+// /app/components/Metric.jsx — a headline figure card
+
+export function Metric({label,value,sub}){
+  return (
+    <div className="rounded-2xl border bg-white p-4 shadow-sm flex flex-col gap-1">
+      <div className="text-sm text-slate-500">{label}</div>
+      <div className="text-2xl font-semibold text-slate-900">{value}</div>
+      {sub && <div className="text-xs text-slate-500">{sub}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+// /app/components/NegotiationTarget.jsx — max purchase at the target cap
+import { SummaryTable } from "./SummaryTable.jsx";
+
+export function NegotiationTarget({ c, fmt }){
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium mb-2">Negotiation Target</div>
+      <SummaryTable rows={[["Target cap", fmt.pct(c.targetCap)], ["Max purchase @ target cap", fmt.money(c.maxPurchaseAtTargetCap), true]]} />
+      <div className="text-xs text-slate-500 mt-2">= (NOI ÷ Target Cap) ÷ (1 + Closing % + Points %)</div>
+    </div>
+  );
+}
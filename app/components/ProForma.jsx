@@ -0,0 +1,36 @@
+// /app/components/ProForma.jsx — year-by-year hold, exit and returns
+import { Metric } from "./Metric.jsx";
+
+export function ProForma({ pf, fmt }){
+  const a = pf.assumptions, r = pf.returns;
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium">Pro Forma ({a.holdYears}-Year Hold)</div>
+      <div className="text-xs text-slate-500 mb-2">
+        Rent growth {fmt.pct(a.rentGrowth)}/yr · Expense inflation {fmt.pct(a.expenseInflation)}/yr · Exit {a.exitCap ? `at ${fmt.pct(a.exitCap)} cap on forward NOI` : `by ${fmt.pct(a.appreciation)}/yr appreciation`} · Selling costs {fmt.pct(a.sellingCost)}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead><tr className="text-slate-500 text-left">
+            <th className="py-1">Year</th><th className="py-1 text-right">Gross Rent</th><th className="py-1 text-right">NOI</th>
+            <th className="py-1 text-right">Debt Service</th><th className="py-1 text-right">Balloon</th><th className="py-1 text-right">Cash Flow</th><th className="py-1 text-right">Loan Balance</th>
+          </tr></thead>
+          <tbody className="divide-y">
+            {pf.years.map((y)=>(
+              <tr key={y.year}>
+                <td className="py-1">{y.year}</td><td className="py-1 text-right">{fmt.money(y.gsr)}</td><td className="py-1 text-right">{fmt.money(y.noi)}</td>
+                <td className="py-1 text-right">{fmt.money(y.debtService)}</td><td className="py-1 text-right">{y.balloon ? fmt.money(y.balloon) : "-"}</td><td className="py-1 text-right">{fmt.money(y.cashFlow)}</td><td className="py-1 text-right">{fmt.money(y.loanBalanceEnd)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4 mt-4">
+        <Metric label="Net Sale Proceeds" value={fmt.money(pf.exit.netSaleProceeds)} sub={`Sale ${fmt.money(pf.exit.salePrice)} − costs − loan payoff`} />
+        <Metric label="Levered IRR" value={fmt.pct(r.leveredIrr)} sub={`Unlevered ${fmt.pct(r.unleveredIrr)}`} />
+        <Metric label="Equity Multiple" value={fmt.ratio(r.equityMultiple)} />
+        <Metric label="Avg Cash-on-Cash" value={fmt.pct(r.averageCashOnCash)} />
+      </div>
+    </div>
+  );
+}
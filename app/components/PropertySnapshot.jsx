@@ -0,0 +1,24 @@
+// /app/components/PropertySnapshot.jsx — property facts, taxes, insurance and HOA
+
+// The snapshot's facts as generated; taxes, insurance and HOA as underwritten when c is given
+export function PropertySnapshot({ snap, c, fmt }){
+  const taxes = c ? c.taxes : snap.taxes?.annual;
+  const insurance = c ? c.insurance : snap.insurance?.dp3Annual;
+  const hoa = c ? c.hoa : snap.hoa?.annual;
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium mb-2">Property Snapshot</div>
+      <div className="grid sm:grid-cols-3 gap-2 text-sm">
+        <div>Type: <b>{snap.propertyType || "-"}</b></div>
+        <div>Unit mix: <b>{snap.unitMix || "-"}</b></div>
+        <div>Beds/Baths: <b>{snap.beds == null && snap.baths == null ? "-" : `${snap.beds}/${snap.baths}`}</b></div>
+        <div>Living area: <b>{fmt.area(snap.livingSqft)}</b></div>
+        <div>Year built: <b>{snap.yearBuilt || "-"}</b></div>
+        <div>Lot size: <b>{fmt.area(snap.lotSizeSqft)}</b></div>
+        <div>Taxes: <b>{taxes == null ? "-" : fmt.money(taxes)}</b>{snap.taxes?.year ? ` (${snap.taxes.year})` : ""}</div>
+        <div>Insurance (est.): <b>{insurance == null ? "-" : fmt.money(insurance)}</b></div>
+        <div>HOA: <b>{snap.hoa?.hasHoa ? `${fmt.money(hoa)}/yr` : "None"}</b>{snap.hoa?.name ? ` · ${snap.hoa.name}` : ""}</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+// /app/components/RentComps.jsx — long-term rental comps
+
+export function RentComps({ comps, fmt }){
+  if (!comps.length) return null;
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium">Rental Comps</div>
+      <div className="text-xs text-slate-500 mb-2">Plain text only (no links).</div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead><tr className="text-slate-500"><th className="text-left py-1">Address</th><th className="text-right">Bed/Bath</th><th className="text-right">Rent</th><th className="text-right">Distance</th><th className="text-left pl-3">Condition</th></tr></thead>
+          <tbody className="divide-y">
+            {comps.map((comp, i)=>(<tr key={i}><td className="py-1">{comp.address}</td><td className="text-right">{comp.beds}/{comp.baths}</td>
+              <td className="text-right">{fmt.money(comp.askingRent ?? 0)}</td><td className="text-right">{comp.distanceMiles == null ? "-" : `${Number(comp.distanceMiles).toFixed(1)} mi`}</td>
+              <td className="pl-3">{comp.conditionNote || ""}</td></tr>))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
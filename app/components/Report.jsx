@@ -0,0 +1,105 @@
+// /app/components/Report.jsx — a generated or saved report, every section, with what-if edits
+"use client";
+import { useMemo, useState } from "react";
+import { FileDown } from "lucide-react";
+import { inputsFromReport, underwrite } from "../../public/lib/underwriting.js";
+import { applyAssumptions, changedAssumptions } from "../../public/lib/assumptions.js";
+import { formatterFor } from "../../public/lib/format.js";
+import { assessRisks } from "../../public/lib/risks.js";
+import { scoreBuyBox } from "../../public/lib/buybox.js";
+import { REPORTS_URL } from "./api.js";
+import { WHATIF_FIELDS, STR_WHATIF_FIELDS, VALUE_ADD_WHATIF_FIELDS, WhatIf, parseEdits } from "./WhatIf.jsx";
+import { BuyBoxVerdict } from "./BuyBoxVerdict.jsx";
+import { ExecutiveSummary } from "./ExecutiveSummary.jsx";
+import { PropertySnapshot } from "./PropertySnapshot.jsx";
+import { ShortTermRental } from "./ShortTermRental.jsx";
+import { UnitsAndRents } from "./UnitsAndRents.jsx";
+import { RentComps } from "./RentComps.jsx";
+import { IncomeExpenses } from "./IncomeExpenses.jsx";
+import { Financing } from "./Financing.jsx";
+import { ValueAdd } from "./ValueAdd.jsx";
+import { Sensitivity } from "./Sensitivity.jsx";
+import { SensitivityMatrix } from "./SensitivityMatrix.jsx";
+import { ProForma } from "./ProForma.jsx";
+import { AfterTax } from "./AfterTax.jsx";
+import { NegotiationTarget } from "./NegotiationTarget.jsx";
+import { Risks } from "./Risks.jsx";
+import { Glossary } from "./Glossary.jsx";
+
+// The sections take the underwritten figures (c) of the report on screen, so what-if edits flow through.
+export function Report({ data, saved, pins, onPin }){
+  // What-if edits (raw input strings) re-run the engine on the fetched report; no model call
+  const [edits, setEdits] = useState({});
+  const changed = useMemo(() => changedAssumptions(data, parseEdits(edits)), [data, edits]);
+  const modified = Object.keys(changed).length > 0;
+  const report = useMemo(() => (modified ? applyAssumptions(data, changed) : data), [data, changed, modified]);
+  const d = useMemo(()=>inputsFromReport(report),[report]);
+  const c = useMemo(()=>underwrite(d),[d]);
+  const fmt = useMemo(() => formatterFor(data.reportMeta), [data]);
+  // Edited inputs count as user-supplied (the insurance risk rule trusts those)
+  const risks = useMemo(() => assessRisks({
+    ...report, inputSources: { ...data.inputSources, ...Object.fromEntries(Object.keys(changed).map((k) => [k, "user"])) }
+  }, data.riskRules), [report, data, changed]);
+  const buyBox = useMemo(() => scoreBuyBox(report, data.buyBoxProfile), [report, data]);
+  const address = data.subject?.address ?? "";
+  // A what-if variant pins separately from the generated report it came from
+  const pinKey = (saved?.id || address) + (modified ? ":" + JSON.stringify(changed) : "");
+  const isPinned = pins.some((p) => p.key === pinKey);
+
+  return (
+    <div className="rounded-2xl border bg-white p-6 shadow-sm">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold">Investment Report — {address}</h1>
+          <p className="text-slate-500 mt-1">
+            Prepared: {fmt.date(saved?.createdAt)}
+            {saved?.id && <> · <a className="text-indigo-600 hover:underline" href={`?report=${encodeURIComponent(saved.id)}`}>Permalink</a></>}
+            {saved?.id && REPORTS_URL && <span className="print:hidden">
+              {" · "}<a className="text-indigo-600 hover:underline" href={`${REPORTS_URL}/${encodeURIComponent(saved.id)}.xlsx`}>Excel</a>
+              {" · "}<a className="text-indigo-600 hover:underline" href={`${REPORTS_URL}/${encodeURIComponent(saved.id)}.csv`}>CSV</a>
+            </span>}
+            {saved?.cached && " · served from saved report"}
+            {modified && <> · <span className="font-medium text-amber-700">Modified from generated</span>{" "}
+              <button className="print:hidden text-indigo-600 hover:underline" onClick={()=>setEdits({})}>Reset</button></>}
+          </p>
+        </div>
+        <div className="flex gap-2 print:hidden">
+          {saved?.id && REPORTS_URL && (
+            <a className="rounded-2xl bg-indigo-600 text-white px-3 py-2 text-sm shadow hover:bg-indigo-700"
+              href={`${REPORTS_URL}/${encodeURIComponent(saved.id)}.pdf`}
+              title={modified ? "PDF of the saved report; what-if edits are not included" : undefined}>
+              <FileDown className="inline h-4 w-4 mr-1" /> Download PDF
+            </a>
+          )}
+          <button className="rounded-2xl border px-3 py-2 text-sm shadow-sm hover:bg-slate-50 disabled:opacity-60" disabled={isPinned}
+                  onClick={()=>onPin({ key: pinKey, id: saved?.id || null, address, report, modified })}>
+            {isPinned ? "Pinned" : "Pin to compare"}
+          </button>
+          <button className="rounded-2xl border px-3 py-2 text-sm shadow-sm hover:bg-slate-50" onClick={()=>window.print()}>Print</button>
+        </div>
+      </div>
+
+      {buyBox && <BuyBoxVerdict b={buyBox} />}
+
+      <WhatIf data={data} units={d.str ? [] : d.units} str={!!d.str} valueAdd={!!d.valueAdd}
+              fields={[...WHATIF_FIELDS, ...(d.str ? STR_WHATIF_FIELDS : []), ...(d.valueAdd ? VALUE_ADD_WHATIF_FIELDS : [])]} edits={edits} setEdits={setEdits} />
+
+      <ExecutiveSummary d={d} c={c} fmt={fmt} />
+      <PropertySnapshot snap={report.propertySnapshot || {}} c={c} fmt={fmt} />
+      {c.str ? <ShortTermRental d={d} c={c} comps={report.strComps || []} fmt={fmt} /> : <>
+        <UnitsAndRents units={d.units} fmt={fmt} />
+        <RentComps comps={report.rentComps || []} fmt={fmt} />
+      </>}
+      <IncomeExpenses d={d} c={c} fmt={fmt} />
+      <Financing d={d} c={c} fmt={fmt} />
+      {c.valueAdd && <ValueAdd v={c.valueAdd} saleComps={report.saleComps || []} fmt={fmt} />}
+      <Sensitivity s={c.sensitivity} fmt={fmt} />
+      <SensitivityMatrix report={report} fmt={fmt} />
+      <ProForma pf={c.proForma} fmt={fmt} />
+      {c.tax && <AfterTax t={c.tax} fmt={fmt} />}
+      <NegotiationTarget c={c} fmt={fmt} />
+      <Risks risks={risks} />
+      <Glossary />
+    </div>
+  );
+}
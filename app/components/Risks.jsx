@@ -0,0 +1,21 @@
+// /app/components/Risks.jsx — rule-flagged risks by severity
+
+const SEVERITY_CLASSES = { high: "bg-rose-100 text-rose-700", medium: "bg-amber-100 text-amber-700", low: "bg-slate-100 text-slate-600" };
+
+export function Risks({ risks }){
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium mb-2">Risks</div>
+      {risks.length === 0 && <div className="text-sm text-slate-500">No rule flagged this deal.</div>}
+      <ul className="divide-y">
+        {risks.map((r)=>(
+          <li key={r.rule} className="py-2 text-sm">
+            <span className={`mr-2 rounded-full px-2 py-0.5 text-xs font-semibold uppercase ${SEVERITY_CLASSES[r.severity]}`}>{r.severity} · {r.score}</span>
+            <span className="font-medium">{r.title}</span>
+            <div className="text-xs text-slate-500 mt-1">{r.detail}</div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+// /app/components/Sensitivity.jsx — rent and OpEx ±10% scenarios
+
+export function Sensitivity({ s, fmt }){
+  const scenarios = [["Rent −10%", s.rentMinus10], ["Base case", s.baseCase], ["Rent +10%", s.rentPlus10], ["OpEx −10%", s.opExMinus10], ["OpEx +10%", s.opExPlus10]];
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium mb-2">Sensitivity</div>
+      <table className="w-full text-sm">
+        <thead><tr className="text-slate-500"><th className="text-left py-1">Scenario</th><th className="text-right">NOI</th><th className="text-right">Cap</th><th className="text-right">DSCR</th><th className="text-right">Cash Flow</th></tr></thead>
+        <tbody className="divide-y">
+          {scenarios.map(([label, r]) => (
+            <tr key={label}><td className="py-1">{label}</td><td className="text-right">{fmt.money(r.noi)}</td><td className="text-right">{fmt.pct(r.capRate)}</td>
+              <td className="text-right">{fmt.ratio(r.dscr || 0)}</td><td className="text-right">{fmt.money(r.cashFlow)}</td></tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+// /app/components/SensitivityMatrix.jsx — two-variable sensitivity grid with banded cells
+"use client";
+import { useMemo, useState } from "react";
+import { SENSITIVITY_METRICS, SENSITIVITY_VARIABLES, DEFAULT_MATRIX, sensitivityMatrix } from "../../public/lib/sensitivity.js";
+import { parseList, toNumber } from "./inputs.js";
+
+const BAND_CLASSES = { good: "bg-emerald-100", warn: "bg-amber-100", bad: "bg-rose-100" };
+
+const fmtAxis = (fmt, variable, v) => (variable === "purchasePrice" ? fmt.money(v) : String(v));
+const fmtMetric = (fmt, metric, v) => v == null ? "-"
+  : metric === "cashFlowAnnual" || metric === "noiAnnual" ? fmt.money(v) : metric === "dscr" ? fmt.ratio(v) : fmt.pct(v / 100);
+
+export function SensitivityMatrix({ report, fmt }){
+  const [rows, setRows] = useState({ variable: DEFAULT_MATRIX.rows.variable, text: "" });
+  const [cols, setCols] = useState({ variable: DEFAULT_MATRIX.cols.variable, text: "" });
+  const [metric, setMetric] = useState(DEFAULT_MATRIX.metric);
+  // Band thresholds as typed; blank = the metric's preset
+  const [bands, setBands] = useState({ good: "", bad: "" });
+
+  const m = useMemo(() => {
+    if (rows.variable === cols.variable) return null;
+    const axis = (a) => (parseList(a.text).length ? { variable: a.variable, values: parseList(a.text) } : { variable: a.variable });
+    const good = toNumber(bands.good), bad = toNumber(bands.bad);
+    const thresholds = good === undefined || isNaN(good) ? undefined : { good, ...(bad === undefined || isNaN(bad) ? {} : { bad }) };
+    return sensitivityMatrix(report, { rows: axis(rows), cols: axis(cols), metric, ...(thresholds ? { thresholds } : {}) });
+  }, [report, rows, cols, metric, bands]);
+
+  const isBase = (ax, v) => Math.abs(v - ax.base) < 1e-6;
+  const axisControl = (label, a, set, values) => (
+    <div>
+      <label className="text-xs text-slate-500">{label}</label>
+      <select className="w-full rounded-xl border px-2 py-1.5 text-sm" value={a.variable} onChange={(e)=>set({ variable: e.target.value, text: "" })}>
+        {Object.entries(SENSITIVITY_VARIABLES).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+      </select>
+      <input className="mt-1 w-full rounded-xl border px-2 py-1.5 text-sm" placeholder={values?.join(", ")} value={a.text} onChange={(e)=>set({ ...a, text: e.target.value })} />
+    </div>
+  );
+
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium mb-2">Sensitivity Matrix</div>
+      <div className="grid sm:grid-cols-4 gap-3 print:hidden">
+        {axisControl("Rows", rows, setRows, m?.rows.values)}
+        {axisControl("Columns", cols, setCols, m?.cols.values)}
+        <div>
+          <label className="text-xs text-slate-500">Metric</label>
+          <select className="w-full rounded-xl border px-2 py-1.5 text-sm" value={metric} onChange={(e)=>{ setMetric(e.target.value); setBands({ good: "", bad: "" }); }}>
+            {Object.entries(SENSITIVITY_METRICS).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="text-xs text-slate-500">Good ≥ / Bad &lt;</label>
+          <div className="flex gap-1">
+            <input className="w-full rounded-xl border px-2 py-1.5 text-sm" inputMode="decimal" placeholder={m ? String(m.thresholds.good) : ""} value={bands.good} onChange={(e)=>setBands({ ...bands, good: e.target.value })} />
+            <input className="w-full rounded-xl border px-2 py-1.5 text-sm" inputMode="decimal" placeholder={m ? String(m.thresholds.bad ?? m.thresholds.good) : ""} value={bands.bad} onChange={(e)=>setBands({ ...bands, bad: e.target.value })} />
+          </div>
+        </div>
+      </div>
+      {!m ? <div className="text-xs text-slate-500 mt-3">Pick two different variables.</div> : (
+        <>
+          <div className="overflow-x-auto mt-3">
+            <table className="w-full text-sm text-right">
+              <thead><tr className="text-slate-500">
+                <th className="py-1 text-left">{m.rows.label} ↓ / {m.cols.label} →</th>
+                {m.cols.values.map((v) => <th key={v} className="py-1">{fmtAxis(fmt, m.cols.variable, v)}</th>)}
+              </tr></thead>
+              <tbody className="divide-y">
+                {m.cells.map((row, i) => (
+                  <tr key={i}>
+                    <th className="py-1 text-left text-slate-500">{fmtAxis(fmt, m.rows.variable, m.rows.values[i])}</th>
+                    {row.map((cell, j) => (
+                      <td key={j} className={"py-1 px-2 " + (BAND_CLASSES[cell.band] || "") + (isBase(m.rows, m.rows.values[i]) && isBase(m.cols, m.cols.values[j]) ? " ring-2 ring-inset ring-indigo-500" : "")}>
+                        {fmtMetric(fmt, m.metric, cell.value)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="text-xs text-slate-500 mt-2">
+            {m.label} · green ≥ {m.thresholds.good} · red &lt; {m.thresholds.bad ?? m.thresholds.good} · outlined cell = current assumptions
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
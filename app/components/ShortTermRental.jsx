@@ -0,0 +1,38 @@
+// /app/components/ShortTermRental.jsx — short-term rental bookings and comps
+
+// Year-one bookings at the modeled ADR and monthly occupancy, then the short-term rental comps
+export function ShortTermRental({ d, c, comps, fmt }){
+  const s = c.str;
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium mb-2">Short-Term Rental</div>
+      <div className="grid sm:grid-cols-3 gap-2 text-sm">
+        <div>ADR: <b>{fmt.money(d.str.adrNightly)}</b>/night</div>
+        <div>Occupancy: <b>{fmt.pct(s.occupancy)}</b></div>
+        <div>RevPAR: <b>{fmt.money(s.roomRevenue / 365)}</b>/night</div>
+        <div>Stays: <b>{Math.round(s.stays)}</b> ({Math.round(s.nights)} nights)</div>
+        <div>Platform fees: <b>{fmt.money(c.platformFees)}</b>/yr</div>
+        <div>Cleaning: <b>{fmt.money(c.cleaning)}</b>/yr</div>
+        <div>Furnishing: <b>{fmt.money(c.furnishing)}</b></div>
+      </div>
+      <table className="w-full text-sm mt-3">
+        <thead><tr className="text-slate-500"><th className="text-left py-1">Month</th><th className="text-right">Occupancy</th><th className="text-right">Nights</th><th className="text-right">Stays</th><th className="text-right">Revenue</th></tr></thead>
+        <tbody className="divide-y">
+          {s.months.map((m)=>(<tr key={m.month}><td className="py-1">{m.month}</td><td className="text-right">{fmt.pct(m.occupancy)}</td><td className="text-right">{m.nights.toFixed(1)}</td><td className="text-right">{m.stays.toFixed(1)}</td><td className="text-right">{fmt.money(m.revenue)}</td></tr>))}
+        </tbody>
+      </table>
+      {comps.length > 0 && <>
+        <div className="text-sm font-medium mt-4 mb-2">Short-Term Rental Comps</div>
+        <table className="w-full text-sm">
+          <thead><tr className="text-slate-500"><th className="text-left py-1">Address</th><th className="text-right">Bed/Bath</th><th className="text-right">ADR</th><th className="text-right">Occupancy</th><th className="text-right">Revenue (yr)</th><th className="text-right">Distance</th></tr></thead>
+          <tbody className="divide-y">
+            {comps.map((comp, i)=>(<tr key={i}><td className="py-1">{comp.address}</td><td className="text-right">{comp.beds}/{comp.baths}</td>
+              <td className="text-right">{fmt.money(comp.adrNightly)}</td><td className="text-right">{comp.occupancyPct == null ? "-" : fmt.pct(comp.occupancyPct / 100)}</td>
+              <td className="text-right">{comp.annualRevenue == null ? "-" : fmt.money(comp.annualRevenue)}</td>
+              <td className="text-right">{comp.distanceMiles == null ? "-" : `${Number(comp.distanceMiles).toFixed(1)} mi`}</td></tr>))}
+          </tbody>
+        </table>
+      </>}
+    </div>
+  );
+}
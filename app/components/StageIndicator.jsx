@@ -0,0 +1,21 @@
+// /app/components/StageIndicator.jsx — where a streamed Generate is
+
+const STAGES = [["accepted", "Request accepted"], ["model", "Researching"], ["validating", "Validating"], ["computing", "Underwriting"], ["saving", "Saving"], ["done", "Done"]];
+// Stages that have no step of their own: where they sit on the indicator and what it says
+const STAGE_ALIASES = { repairing: ["validating", (e) => `Repairing (attempt ${e.attempt})`], cached: ["done", () => "Served from saved report"] };
+
+export function StageIndicator({ progress }){
+  const [stage, label] = STAGE_ALIASES[progress.stage] || [progress.stage];
+  const at = STAGES.findIndex(([id]) => id === stage);
+  if (at < 0) return null;
+  const text = label ? label(progress) : progress.stage === "model" && progress.attempt > 1 ? `Researching (attempt ${progress.attempt})` : STAGES[at][1];
+  return (
+    <ol className="flex flex-wrap gap-1.5 text-xs">
+      {STAGES.map(([id, name], i) => (
+        <li key={id} className={`rounded-full border px-2.5 py-0.5 ${i < at || stage === "done" ? "border-emerald-200 text-emerald-700" : i === at ? "border-indigo-600 bg-indigo-600 text-white" : "text-slate-400"}`}>
+          {i === at ? text : name}
+        </li>
+      ))}
+    </ol>
+  );
+}
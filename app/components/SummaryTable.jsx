@@ -0,0 +1,12 @@
+// /app/components/SummaryTable.jsx — label/value table used by the report sections
+
+// Label/value rows; bold marks a total
+export function SummaryTable({ rows }){
+  return (
+    <table className="w-full text-sm"><tbody className="divide-y">
+      {rows.map(([label, value, bold]) => (
+        <tr key={label} className={bold ? "font-semibold" : undefined}><td className="py-1">{label}</td><td className="py-1 text-right">{value}</td></tr>
+      ))}
+    </tbody></table>
+  );
+}
@@ -0,0 +1,12 @@
+// /app/components/UnitsAndRents.jsx — modeled rent by unit
+
+export function UnitsAndRents({ units, fmt }){
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium mb-2">Units & Rents</div>
+      <table className="w-full text-sm"><tbody className="divide-y">
+        {units.map((u,i)=>(<tr key={i}><td className="py-1">{u.name}</td><td className="py-1 text-right">{fmt.money(u.rent)}/mo</td></tr>))}
+      </tbody></table>
+    </div>
+  );
+}
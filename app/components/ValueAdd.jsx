@@ -0,0 +1,57 @@
+// /app/components/ValueAdd.jsx — value-add / BRRRR plan
+
+const ARV_METHODS = { pricePerSqft: "median price per sqft of sale comps", medianPrice: "median sale comp price", report: "from the report", cost: "no comps: purchase + rehab" };
+
+// Value-add plan: as-is next to stabilized, then the refinance, rehab months and sale comps
+export function ValueAdd({ v, saleComps, fmt }){
+  const b = v.stages.before, a = v.stages.after;
+  const rows = [
+    ["Value", "value", fmt.money], ["Rent (mo)", "monthlyRent", fmt.money], ["NOI (yr)", "noi", fmt.money],
+    ["Loan (hard money → refinance)", "loan", fmt.money], ["Debt service (yr)", "debtService", fmt.money],
+    ["DSCR", "dscr", (n) => (n == null ? "-" : fmt.ratio(n))], ["Cash flow (yr)", "cashFlow", fmt.money],
+    ["Cash in deal", "cashInDeal", fmt.money], ["Equity", "equity", fmt.money]
+  ];
+  return (
+    <div className="mt-6 rounded-2xl border bg-white p-4">
+      <div className="text-sm font-medium mb-2">Value-Add / BRRRR</div>
+      <table className="w-full text-sm">
+        <thead><tr className="text-slate-500"><th></th><th className="text-right py-1">As-is (purchase + rehab)</th><th className="text-right">Stabilized (after refi)</th></tr></thead>
+        <tbody className="divide-y">
+          {rows.map(([label, key, f]) => (<tr key={key}><td className="py-1">{label}</td><td className="text-right">{f(b[key])}</td><td className="text-right">{f(a[key])}</td></tr>))}
+          <tr><td className="py-1">Cash-on-cash</td><td className="text-right">{b.cashOnCash == null ? "-" : fmt.pct(b.cashOnCash)}</td>
+            <td className="text-right">{v.infiniteReturn ? "∞" : fmt.pct(a.cashOnCash)}</td></tr>
+        </tbody>
+      </table>
+      <div className="grid sm:grid-cols-2 gap-2 text-sm mt-3">
+        <div>ARV: <b>{fmt.money(v.arv)}</b> <span className="text-slate-500">({ARV_METHODS[v.arvMethod]})</span></div>
+        <div>All-in cost: <b>{fmt.money(v.allInCost)}</b></div>
+        <div>Refinance loan: <b>{fmt.money(v.refinanceLoan)}</b> at {fmt.pct(v.refinanceRate)}</div>
+        <div>Cash out at refi: <b>{fmt.money(v.cashOut)}</b></div>
+        <div>Cash left in deal: <b>{fmt.money(v.cashLeftInDeal)}</b></div>
+        <div>Post-refi DSCR: <b>{fmt.ratio(v.stages.after.dscr || 0)}</b></div>
+        <div>Infinite return: <b className={v.infiniteReturn ? "text-emerald-600" : undefined}>{v.infiniteReturn ? "Yes" : "No"}</b></div>
+        <div>Yield on cost: <b>{v.yieldOnCost == null ? "-" : fmt.pct(v.yieldOnCost)}</b></div>
+      </div>
+      {v.months.length > 0 && <>
+        <div className="text-sm font-medium mt-4 mb-2">Rehab Timeline</div>
+        <table className="w-full text-sm">
+          <thead><tr className="text-slate-500"><th className="text-left py-1">Month</th><th className="text-right">Rehab spend</th><th className="text-right">Hard money balance</th><th className="text-right">Interest</th><th className="text-right">Holding</th><th className="text-right">Cash in</th></tr></thead>
+          <tbody className="divide-y">
+            {v.months.map((m) => (<tr key={m.month}><td className="py-1">{m.month}</td><td className="text-right">{fmt.money(m.rehabSpend)}</td><td className="text-right">{fmt.money(m.loanBalance)}</td>
+              <td className="text-right">{fmt.money(m.interest)}</td><td className="text-right">{fmt.money(m.holdingCosts)}</td><td className="text-right">{fmt.money(m.cashIn)}</td></tr>))}
+          </tbody>
+        </table>
+      </>}
+      {saleComps.length > 0 && <>
+        <div className="text-sm font-medium mt-4 mb-2">Sale Comps</div>
+        <table className="w-full text-sm">
+          <thead><tr className="text-slate-500"><th className="text-left py-1">Address</th><th className="text-right">Bed/Bath</th><th className="text-right">Area</th><th className="text-right">Sale price</th><th className="text-right">Sold</th></tr></thead>
+          <tbody className="divide-y">
+            {saleComps.map((s, i) => (<tr key={i}><td className="py-1">{s.address}</td><td className="text-right">{s.beds}/{s.baths}</td><td className="text-right">{fmt.area(s.sqft)}</td>
+              <td className="text-right">{fmt.money(s.salePrice)}</td><td className="text-right">{s.saleDate ? fmt.date(s.saleDate) : "-"}</td></tr>))}
+          </tbody>
+        </table>
+      </>}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+// /app/components/WhatIf.jsx — what-if edits that re-run the engine on a fetched report
+"use client";
+import { useMemo } from "react";
+import { assumptionValues } from "../../public/lib/assumptions.js";
+import { safeParseJSON, toNumber, parseList } from "./inputs.js";
+
+export const WHATIF_FIELDS = [
+  ["purchasePrice", "Price"], ["downPaymentPct", "Down %"], ["rateAnnualPct", "Rate %"], ["termYears", "Term (yrs)"],
+  ["pointsPct", "Points %"], ["closingCostPct", "Closing %"], ["rehabBudget", "Rehab"], ["vacancyPct", "Vacancy %"],
+  ["managementPctOfEGI", "Mgmt % of EGI"], ["maintenancePctOfGrossRent", "Maint % of gross"], ["taxesAnnual", "Taxes (per yr)"],
+  ["insuranceAnnual", "Insurance (per yr)"], ["hoaAnnual", "HOA (per yr)"], ["utilitiesAnnual", "Utilities (per yr)"],
+  ["otherOpExAnnual", "Other OpEx (per yr)"], ["targetCapPct", "Target cap %"], ["holdYears", "Hold (yrs)"],
+  ["rentGrowthPct", "Rent growth %"], ["expenseInflationPct", "Expense infl. %"], ["appreciationPct", "Appreciation %"],
+  ["exitCapPct", "Exit cap %"], ["sellingCostPct", "Selling costs %"],
+  // A marginal rate turns on the after-tax section
+  ["marginalTaxRatePct", "Marginal tax %"], ["landValuePct", "Land % of price"], ["depreciationYears", "Depreciation (yrs)"],
+  ["costSeg5YearPct", "Cost seg 5-yr %"], ["costSeg15YearPct", "Cost seg 15-yr %"], ["bonusDepreciationPct", "Bonus dep. %"],
+  ["recaptureRatePct", "Recapture %"], ["capitalGainsRatePct", "Cap gains %"]
+];
+// Short-term rental reports replace unit rents with these (utilities and management read from report.str)
+export const STR_WHATIF_FIELDS = [
+  ["adrNightly", "ADR (per night)"], ["averageStayNights", "Avg stay (nights)"], ["cleaningFeePerStay", "Cleaning fee (per stay)"],
+  ["cleaningCostPerStay", "Cleaning cost (per stay)"], ["platformFeePct", "Platform fee %"], ["strManagementPct", "STR mgmt %"],
+  ["furnishingBudget", "Furnishing"], ["strUtilitiesAnnual", "STR utilities (per yr)"]
+];
+// Value-add reports add the rehab and refinance terms (stabilized rents are edited per unit)
+export const VALUE_ADD_WHATIF_FIELDS = [
+  ["arv", "ARV"], ["rehabMonths", "Rehab (months)"], ["holdingCostsMonthly", "Holding (per mo)"],
+  ["hardMoneyLoanToCostPct", "Hard money % of cost"], ["hardMoneyRatePct", "Hard money rate %"], ["hardMoneyPointsPct", "Hard money points %"],
+  ["refinanceLtvPct", "Refi LTV %"], ["refinanceRatePct", "Refi rate %"], ["refinanceTermYears", "Refi term (yrs)"], ["refinanceClosingCostPct", "Refi closing %"]
+];
+
+// Raw input strings -> assumption values; blank or unparseable inputs fall back to the report
+// (blank loans drop the tranches, back to the financing block)
+export function parseEdits(edits){
+  const out = {};
+  for (const [key, v] of Object.entries(edits)) {
+    if (key === "unitRents" || key === "stabilizedRentsMonthly") out[key] = v.map((r) => { const n = toNumber(r); return n === undefined || isNaN(n) ? null : n; });
+    else if (key === "loans") { const loans = v.trim() ? safeParseJSON(v) : null; if (loans === null || Array.isArray(loans)) out.loans = loans; }
+    else if (key === "occupancyByMonthPct") { const values = parseList(v); if (values.length === 12) out[key] = values; }
+    else if (typeof v === "boolean") out[key] = v;
+    else { const n = toNumber(v); if (n !== undefined && !isNaN(n)) out[key] = n; }
+  }
+  return out;
+}
+
+export function WhatIf({ data, units, str, valueAdd, fields, edits, setEdits }){
+  const generated = useMemo(() => assumptionValues(data), [data]);
+  const shown = (key) => edits[key] ?? (generated[key] == null ? "" : String(generated[key]));
+  const shownList = (key, text) => edits[key] ?? (generated[key] ? text(generated[key]) : "");
+  const setUnitRent = (i, value) => {
+    const rents = units.map((_, j) => edits.unitRents?.[j] ?? String(generated.unitRents[j] ?? ""));
+    rents[i] = value;
+    setEdits({ ...edits, unitRents: rents });
+  };
+  const stabilizedRent = (i) => edits.stabilizedRentsMonthly?.[i] ?? String(generated.stabilizedRentsMonthly?.[i] ?? "");
+  const setStabilizedRent = (i, value) => {
+    const rents = units.map((_, j) => stabilizedRent(j));
+    rents[i] = value;
+    setEdits({ ...edits, stabilizedRentsMonthly: rents });
+  };
+  return (
+    <details className="mt-4 rounded-2xl border bg-slate-50 p-4 print:hidden">
+      <summary className="cursor-pointer text-sm font-medium">What-if (recalculates instantly, no model call)</summary>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-3">
+        {fields.map(([key, label]) => (
+          <div key={key}>
+            <label className="text-xs text-slate-500">{label}</label>
+            <input className="w-full rounded-xl border px-2 py-1.5 text-sm" inputMode="decimal" value={shown(key)}
+                   onChange={(e)=>setEdits({ ...edits, [key]: e.target.value })} />
+          </div>
+        ))}
+        {units.map((u, i) => (
+          <div key={"unit" + i}>
+            <label className="text-xs text-slate-500">{u.name} rent (per mo)</label>
+            <input className="w-full rounded-xl border px-2 py-1.5 text-sm" inputMode="decimal"
+                   value={edits.unitRents?.[i] ?? String(generated.unitRents[i] ?? "")} onChange={(e)=>setUnitRent(i, e.target.value)} />
+          </div>
+        ))}
+        {valueAdd && units.map((u, i) => (
+          <div key={"stabilized" + i}>
+            <label className="text-xs text-slate-500">{u.name} rent after rehab</label>
+            <input className="w-full rounded-xl border px-2 py-1.5 text-sm" inputMode="decimal" placeholder="current rent"
+                   value={stabilizedRent(i)} onChange={(e)=>setStabilizedRent(i, e.target.value)} />
+          </div>
+        ))}
+        <label className="flex items-center gap-2 text-sm text-slate-600 mt-5">
+          <input type="checkbox" checked={edits.selfManaged ?? !!generated.selfManaged} onChange={(e)=>setEdits({ ...edits, selfManaged: e.target.checked })} />
+          Self-managed
+        </label>
+        {str && (
+          <div className="col-span-2 sm:col-span-4">
+            <label className="text-xs text-slate-500">Occupancy % by month (Jan–Dec, 12 values)</label>
+            <input className="w-full rounded-xl border px-2 py-1.5 text-sm" value={shownList("occupancyByMonthPct", (v) => v.join(", "))}
+                   onChange={(e)=>setEdits({ ...edits, occupancyByMonthPct: e.target.value })} />
+          </div>
+        )}
+        <div className="col-span-2 sm:col-span-4">
+          <label className="text-xs text-slate-500">Loan tranches (JSON; replaces down / rate / term)</label>
+          <textarea className="w-full rounded-xl border px-2 py-1.5 font-mono text-xs" rows={3} value={shownList("loans", JSON.stringify)}
+                    onChange={(e)=>setEdits({ ...edits, loans: e.target.value })} />
+        </div>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,8 @@
+// /app/components/api.js — where the report API lives, and how its errors read
+
+export const API_URL = process.env.NEXT_PUBLIC_API_URL; // set in Vercel
+// Saved reports live next to the generate route: …/api/generate -> …/api/reports
+export const REPORTS_URL = API_URL ? new URL("reports", API_URL).toString() : null;
+export const BUY_BOXES_URL = API_URL ? new URL("buy-boxes", API_URL).toString() : null;
+// "Message: path problem; ..." from an API error body
+export const apiError = (data, status) => (data?.error || `API error ${status}`) + (Array.isArray(data?.details) ? ": " + data.details.map((e) => `${e.path} ${e.message}`).join("; ") : "");
@@ -0,0 +1,5 @@
+// /app/components/inputs.js — typed input strings -> numbers, lists and JSON
+
+export const safeParseJSON = (s) => { try { return JSON.parse(s); } catch { return undefined; } };
+export const toNumber = (v) => (v == null || String(v).trim() === "" ? undefined : Number(String(v).replace(/[\s,\p{Sc}]/gu, "")));
+export const parseList = (s) => s.split(/[,\s]+/).filter(Boolean).map(Number).filter((n) => isFinite(n));
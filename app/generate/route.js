@@ -0,0 +1,40 @@
+// /app/generate/route.js — same-origin proxy from the page to the report API's /generate
+//
+// The site's own key stays on the server: SITE_API_KEY (never NEXT_PUBLIC_*, so it is not in the bundle)
+// is sent as the bearer key when the browser brings none; a key typed into the page is forwarded
+// as is. Only browser posts from this site are proxied (Origin must match the host), and the
+// response, event stream included, is passed through unbuffered. Give SITE_API_KEY a rate limit and
+// quotas (see api/_lib/auth.js): whoever can load the page can spend them.
+
+export const dynamic = "force-dynamic";
+
+const PASSED_HEADERS = ["content-type", "cache-control", "retry-after", "www-authenticate", "x-ratelimit-limit", "x-ratelimit-remaining", "x-ratelimit-reset"];
+
+export async function POST(request) {
+  const upstream = process.env.API_URL || process.env.NEXT_PUBLIC_API_URL;
+  if (!upstream) return Response.json({ error: "Set API_URL (or NEXT_PUBLIC_API_URL) for the report API" }, { status: 500 });
+
+  const origin = request.headers.get("origin");
+  const host = request.headers.get("x-forwarded-host") || request.headers.get("host");
+  let sameOrigin = false;
+  try { sameOrigin = !!origin && new URL(origin).host === host; } catch { /* malformed Origin */ }
+  if (!sameOrigin) return Response.json({ error: "Only this site's pages may use this endpoint" }, { status: 403 });
+
+  const presented = request.headers.get("authorization");
+  const key = presented ? null : process.env.SITE_API_KEY;
+  const headers = {
+    "Content-Type": request.headers.get("content-type") || "application/json",
+    Accept: request.headers.get("accept") || "application/json",
+    ...(presented ? { Authorization: presented } : key ? { Authorization: `Bearer ${key}` } : {})
+  };
+
+  let res;
+  try {
+    res = await fetch(upstream, { method: "POST", headers, body: await request.text(), cache: "no-store" });
+  } catch (e) {
+    return Response.json({ error: `Report API unreachable: ${e?.message || e}` }, { status: 502 });
+  }
+  const out = new Headers();
+  for (const name of PASSED_HEADERS) if (res.headers.has(name)) out.set(name, res.headers.get(name));
+  return new Response(res.body, { status: res.status, headers: out });
+}
@@ -1,43 +1,151 @@
 "use client";
-import React, { useMemo, useState } from "react";
-import { ArrowRight, Loader2, FileDown } from "lucide-react";
+import { useEffect, useRef, useState } from "react";
+import { ArrowRight, Loader2 } from "lucide-react";
+import { parseAmount } from "../public/lib/format.js";
+import { readEventStream } from "../public/lib/sse.js";
+import { API_URL, REPORTS_URL, BUY_BOXES_URL, apiError } from "./components/api.js";
+import { AssumptionsForm, collectOverrides } from "./components/AssumptionsForm.jsx";
+import { BuyBoxPicker } from "./components/BuyBoxPicker.jsx";
+import { StageIndicator } from "./components/StageIndicator.jsx";
+import { DraftReport } from "./components/DraftReport.jsx";
+import { Report } from "./components/Report.jsx";
+import { Comparison } from "./components/Comparison.jsx";
 
-const API_URL = process.env.NEXT_PUBLIC_API_URL; // set in Vercel
+// Reports are generated through this app's own route, which adds the site's key on the server (app/generate/route.js)
+const GENERATE_URL = "/generate";
 
-const fmtUSD = (n) =>
-  n == null || isNaN(n)
-    ? "-"
-    : Number(n).toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 0 });
-const pct = (n) => (n * 100).toFixed(2) + "%";
+const PINS_KEY = "pinnedReports";
+// Same sessionStorage key as the static page; a typed key lasts until the tab closes
+const API_KEY_STORAGE = "apiKey";
 
 export default function Page() {
   const [address, setAddress] = useState("");
   const [price, setPrice] = useState("");
-  const [overrides, setOverrides] = useState("");
+  // Typed assumptions sent as overrides (raw input strings by override field; blank = left to the model)
+  const [assumptions, setAssumptions] = useState({});
+  const [apiKey, setApiKey] = useState("");
+  // Display settings: how money, dates and areas are written (the model prices in this currency)
+  const [display, setDisplay] = useState({ currency: "", locale: "", areaUnit: "" });
+  const [strategy, setStrategy] = useState("");
+  const [deal, setDeal] = useState("");
+  const [refresh, setRefresh] = useState(false);
+  // Saved buy boxes; buyBoxId null = the server's default until the list loads, "" = none
+  const [buyBoxes, setBuyBoxes] = useState([]);
+  const [buyBoxId, setBuyBoxId] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  // A streamed Generate: the latest stage event, and the model's sections as they arrive
+  const [progress, setProgress] = useState(null);
+  const [draft, setDraft] = useState(null); // { attempt, sections }
   const [requestJSON, setRequestJSON] = useState(null);
   const [responseJSON, setResponseJSON] = useState(null);
+  const [saved, setSaved] = useState(null);
+  // Reports pinned for side-by-side comparison: { key, id, address, report, modified }
+  const [pins, setPins] = useState([]);
+  const pinsLoaded = useRef(false);
+
+  // ?report=<id> renders a saved report without calling the model
+  useEffect(() => {
+    const id = new URLSearchParams(window.location.search).get("report");
+    if (!id || !REPORTS_URL) return;
+    setLoading(true);
+    fetch(`${REPORTS_URL}/${encodeURIComponent(id)}`)
+      .then(async (res) => {
+        const rec = await res.json();
+        if (!res.ok) throw new Error(rec?.error || `API error ${res.status}`);
+        setAddress(rec.request?.address || rec.report?.subject?.address || "");
+        setResponseJSON(rec.report);
+        setSaved({ id: rec.id, createdAt: rec.createdAt, cached: false });
+      })
+      .catch((err) => setError(err.message || String(err)))
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => { loadBuyBoxes().catch((err) => setError(err.message || String(err))); }, []);
+
+  useEffect(() => {
+    // Keys kept by earlier versions in localStorage are dropped, not migrated
+    try { localStorage.removeItem(API_KEY_STORAGE); setApiKey(sessionStorage.getItem(API_KEY_STORAGE) || ""); } catch { /* storage disabled */ }
+  }, []);
+
+  async function loadBuyBoxes(selectId){
+    if (!BUY_BOXES_URL) return;
+    const res = await fetch(BUY_BOXES_URL);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || `Buy boxes unavailable (${res.status})`);
+    setBuyBoxes(data.profiles || []);
+    setBuyBoxId(selectId ?? data.activeId ?? "");
+  }
+
+  // ?compare=<id>,<id> restores a shared comparison; otherwise pins survive reloads in localStorage
+  useEffect(() => {
+    const ids = (new URLSearchParams(window.location.search).get("compare") || "").split(",").filter(Boolean);
+    if (!ids.length || !REPORTS_URL) {
+      try { setPins(JSON.parse(localStorage.getItem(PINS_KEY)) || []); } catch { /* unreadable pins start empty */ }
+      pinsLoaded.current = true;
+      return;
+    }
+    Promise.all(ids.map((id) => fetch(`${REPORTS_URL}/${encodeURIComponent(id)}`).then((res) => (res.ok ? res.json() : null))))
+      .then((records) => setPins(records.filter(Boolean).map((rec) => ({
+        key: rec.id, id: rec.id, address: rec.report?.subject?.address || rec.request?.address || "", report: rec.report, modified: false
+      }))))
+      .catch((err) => setError(err.message || String(err)))
+      .finally(() => { pinsLoaded.current = true; });
+  }, []);
+
+  useEffect(() => {
+    if (!pinsLoaded.current) return;
+    try { localStorage.setItem(PINS_KEY, JSON.stringify(pins)); } catch { /* storage full or disabled */ }
+  }, [pins]);
+
+  function pin(entry) {
+    setPins((prev) => (prev.some((p) => p.key === entry.key) ? prev : [...prev, entry]));
+  }
 
   async function handleSubmit(e) {
     e.preventDefault();
     setError("");
     setLoading(true);
-    const numericPrice = Number((price || "").toString().replace(/[$,\s]/g, "")) || undefined;
-    const payload = { address: address.trim(), purchasePrice: numericPrice, overrides: overrides.trim() || undefined };
-    setRequestJSON(payload);
+    setProgress(null);
+    setDraft(null);
+    const locale = display.locale.trim() || undefined;
+    const numericPrice = parseAmount(price || "", locale) || undefined;
+    const settings = Object.fromEntries(Object.entries(display).map(([k, v]) => [k, v.trim()]).filter(([, v]) => v));
     try {
-      const res = await fetch(API_URL, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(payload) });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data?.error || `API error ${res.status}`);
-      setResponseJSON(mapFromSchema(data));
+      const payload = { address: address.trim(), purchasePrice: numericPrice, ...settings, rentalStrategy: strategy || undefined, dealStrategy: deal || undefined,
+        overrides: collectOverrides(assumptions, locale), buyBox: buyBoxId == null ? undefined : buyBoxId || false, refresh: refresh || undefined };
+      setRequestJSON(payload);
+      const key = apiKey.trim();
+      try { key ? sessionStorage.setItem(API_KEY_STORAGE, key) : sessionStorage.removeItem(API_KEY_STORAGE); } catch { /* storage disabled: key only lasts this page */ }
+      const headers = { "Content-Type": "application/json", Accept: "text/event-stream", ...(key ? { Authorization: `Bearer ${key}` } : {}) };
+      const res = await fetch(GENERATE_URL, { method: "POST", headers, body: JSON.stringify({ ...payload, stream: true }) });
+      // Key and rate-limit failures come back as plain JSON before any stream opens
+      const streamed = res.ok && (res.headers.get("Content-Type") || "").includes("text/event-stream");
+      const data = streamed ? await readStreamedReport(res) : await res.json();
+      if (!res.ok) throw new Error(apiError(data, res.status));
+      setResponseJSON(data);
+      setSaved(data.reportId ? { id: data.reportId, createdAt: data.createdAt, cached: data.cached } : null);
+      if (data.reportId) window.history.replaceState(null, "", `?report=${encodeURIComponent(data.reportId)}`);
     } catch (err) {
       setError(err.message || String(err));
     } finally {
       setLoading(false);
+      setDraft(null);
     }
   }
 
+  async function readStreamedReport(res){
+    for await (const { event, data } of readEventStream(res)) {
+      const body = JSON.parse(data);
+      if (event === "stage") setProgress(body);
+      // A repair attempt starts the draft over
+      else if (event === "section") setDraft((prev) => ({ attempt: body.attempt, sections: { ...(prev?.attempt === body.attempt ? prev.sections : {}), [body.key]: body.value } }));
+      else if (event === "report") { setProgress({ stage: body.cached ? "cached" : "done" }); return body; }
+      else if (event === "error") throw new Error(apiError(body, body.status));
+    }
+    throw new Error("The report stream ended before the report arrived.");
+  }
+
   return (
     <div className="min-h-screen p-6">
       <div className="max-w-6xl mx-auto grid lg:grid-cols-3 gap-6">
@@ -52,18 +160,60 @@ export default function Page() {
                        value={address} onChange={(e) => setAddress(e.target.value)} required />
               </div>
               <div>
-                <label className="block text-sm text-slate-600 mb-1">Purchase Price (USD)</label>
+                <label className="block text-sm text-slate-600 mb-1">Purchase Price</label>
                 <input className="w-full rounded-xl border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
                        placeholder="$500,000" value={price} onChange={(e) => setPrice(e.target.value)} inputMode="decimal" />
               </div>
+              <div className="grid grid-cols-3 gap-2">
+                <div>
+                  <label className="block text-sm text-slate-600 mb-1">Currency</label>
+                  <input className="w-full rounded-xl border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                         placeholder="USD" value={display.currency} onChange={(e) => setDisplay({ ...display, currency: e.target.value })} />
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-600 mb-1">Locale</label>
+                  <input className="w-full rounded-xl border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                         placeholder="en-US" value={display.locale} onChange={(e) => setDisplay({ ...display, locale: e.target.value })} />
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-600 mb-1">Area</label>
+                  <select className="w-full rounded-xl border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                          value={display.areaUnit} onChange={(e) => setDisplay({ ...display, areaUnit: e.target.value })}>
+                    <option value="">sqft</option><option value="m2">m²</option>
+                  </select>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm text-slate-600 mb-1">Rental Strategy</label>
+                  <select className="w-full rounded-xl border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                          value={strategy} onChange={(e) => setStrategy(e.target.value)}>
+                    <option value="">Long-term rental</option><option value="str">Short-term rental (STR)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-600 mb-1">Deal Strategy</label>
+                  <select className="w-full rounded-xl border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                          value={deal} onChange={(e) => setDeal(e.target.value)}>
+                    <option value="">Buy and hold</option><option value="valueAdd">Value-add (BRRRR)</option>
+                  </select>
+                </div>
+              </div>
+              <AssumptionsForm values={assumptions} onChange={setAssumptions} str={strategy === "str"} valueAdd={deal === "valueAdd"} />
+              <BuyBoxPicker profiles={buyBoxes} selectedId={buyBoxId ?? ""} onSelect={setBuyBoxId} onSaved={loadBuyBoxes} apiKey={apiKey} />
               <div>
-                <label className="block text-sm text-slate-600 mb-1">Overrides (optional)</label>
-                <input className="w-full rounded-xl border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
-                       placeholder="self-managed; rate 7.6%; down 25%" value={overrides} onChange={(e) => setOverrides(e.target.value)} />
+                <label className="block text-sm text-slate-600 mb-1">API Key</label>
+                <input className="w-full rounded-xl border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500" type="password" autoComplete="off"
+                       placeholder="optional: this site's key is used when blank" value={apiKey} onChange={(e) => setApiKey(e.target.value)} />
               </div>
+              <label className="flex items-center gap-2 text-sm text-slate-600">
+                <input type="checkbox" checked={refresh} onChange={(e) => setRefresh(e.target.checked)} />
+                Force refresh (skip saved report for identical inputs)
+              </label>
               <button type="submit" className="w-full inline-flex items-center justify-center gap-2 rounded-xl bg-indigo-600 text-white px-4 py-2 text-sm shadow hover:bg-indigo-700 disabled:opacity-60" disabled={loading || !API_URL}>
                 {loading ? (<><Loader2 className="h-4 w-4 animate-spin" /> Generating…</>) : (<>Generate <ArrowRight className="h-4 w-4" /></>)}
               </button>
+              {progress && <StageIndicator progress={progress} />}
               {!API_URL && <div className="text-xs text-rose-600 mt-2">Set NEXT_PUBLIC_API_URL in Vercel</div>}
               {error && <div className="mt-3 rounded-xl border border-rose-200 bg-rose-50 p-3 text-sm text-rose-700">{error}</div>}
             </form>
@@ -74,13 +224,14 @@ export default function Page() {
               <pre className="text-xs overflow-auto whitespace-pre-wrap">{requestJSON ? JSON.stringify(requestJSON, null, 2) : "(submit form to see)"}</pre>
             </div>
             <div className="rounded-2xl border bg-white p-4 shadow-sm">
-              <div className="text-sm font-medium mb-2">JSON Response (mapped → report)</div>
+              <div className="text-sm font-medium mb-2">JSON Response</div>
               <pre className="text-xs overflow-auto whitespace-pre-wrap">{responseJSON ? JSON.stringify(responseJSON, null, 2) : "(awaiting response)"}</pre>
             </div>
           </div>
         </div>
         <div className="lg:col-span-2">
-          {responseJSON ? <Report data={responseJSON} /> : (
+          {pins.length > 0 && <Comparison pins={pins} setPins={setPins} />}
+          {loading && draft ? <DraftReport sections={draft.sections} /> : responseJSON ? <Report key={saved?.id || responseJSON.subject?.address} data={responseJSON} saved={saved} pins={pins} onPin={pin} /> : (
             <div className="rounded-2xl border bg-white p-10 shadow-sm text-center text-slate-500">The report will render here after you Generate.</div>
           )}
         </div>
@@ -88,117 +239,3 @@ export default function Page() {
     </div>
   );
 }
-
-function mapFromSchema(x){
-  const pctToDec = (n,def=0)=> typeof n==="number"? n/100 : def;
-  const yearsToMonths = (y,def=30)=> typeof y==="number"? y*12 : def*12;
-  const units = Array.isArray(x.units)&&x.units.length? x.units.map(u=>({ name: u.name, rent: u.modeledRentMonthly ?? 0 })) : [{ name:"Unit A", rent:0 }];
-  const comps = Array.isArray(x.rentComps)? x.rentComps.map(c=>({ label: c.address, rent: c.askingRent ?? 0, beds: `${c.beds}/${c.baths}`, dist: c.distanceMiles ?? 0, condition: c.conditionNote })) : [];
-  return {
-    address: x.subject?.address ?? "",
-    purchasePrice: x.purchase?.purchasePrice ?? 0,
-    closingPct: x.purchase?.closingCostPct ?? 0.02,
-    pointsOnLoanPctOfPrice: x.purchase?.pointsPct ?? 0,
-    vacancyRate: pctToDec(x.operatingAssumptions?.vacancyPct, 0.05),
-    maintPctOfGrossRent: pctToDec(x.operatingAssumptions?.maintenancePctOfGrossRent, 0.08),
-    mgmtPctOfEGI: pctToDec(x.operatingAssumptions?.managementPctOfEGI, 0.08),
-    insuranceAnnual: x.propertySnapshot?.insurance?.dp3Annual ?? 0,
-    taxesAnnual: x.propertySnapshot?.taxes?.annual ?? 0,
-    hoaAnnual: x.propertySnapshot?.hoa?.annual ?? 0,
-    utilsAnnualLL: x.operatingAssumptions?.utilitiesLandlordPaidAnnual ?? 0,
-    otherAnnual: x.operatingAssumptions?.otherOpExAnnual ?? 0,
-    units,
-    financing: {
-      downPct: pctToDec(x.financing?.downPaymentPct, 0.25),
-      rateAnnual: pctToDec(x.financing?.rateAnnualPct, 0.077),
-      termMonths: yearsToMonths(x.financing?.termYears, 30),
-    },
-    comps
-  };
-}
-
-function withDefaults(x){
-  const d = {
-    address: x.address || "",
-    purchasePrice: x.purchasePrice ?? 0,
-    closingPct: x.closingPct ?? 0.03,
-    pointsOnLoanPctOfPrice: x.pointsOnLoanPctOfPrice ?? 0.0075,
-    vacancyRate: x.vacancyRate ?? 0.05,
-    maintPctOfGrossRent: x.maintPctOfGrossRent ?? 0.08,
-    mgmtPctOfEGI: x.mgmtPctOfEGI ?? 0.08,
-    insuranceAnnual: x.insuranceAnnual ?? 0,
-    taxesAnnual: x.taxesAnnual ?? 0,
-    otherAnnual: x.otherAnnual ?? 0,
-    hoaAnnual: x.hoaAnnual ?? 0,
-    utilsAnnualLL: x.utilsAnnualLL ?? 0,
-    units: Array.isArray(x.units)&&x.units.length? x.units : [{ name:"Unit A", rent:0 }],
-    financing: { downPct: x.financing?.downPct ?? 0.25, rateAnnual: x.financing?.rateAnnual ?? 0.077, termMonths: x.financing?.termMonths ?? 360 },
-    comps: x.comps ?? [],
-  };
-  return d;
-}
-
-function Report({ data }){
-  const d = useMemo(()=>withDefaults(data),[data]);
-  const monthlyRent = d.units.reduce((s,u)=>s+(u.rent||0),0);
-  const annualGSR = monthlyRent*12;
-  const vacancy = annualGSR*d.vacancyRate;
-  const egi = annualGSR - vacancy;
-  const maint = annualGSR*d.maintPctOfGrossRent;
-  const mgmt = egi*d.mgmtPctOfEGI;
-  const opEx = d.taxesAnnual + d.insuranceAnnual + d.hoaAnnual + maint + mgmt + d.utilsAnnualLL + d.otherAnnual;
-  const noi = egi - opEx;
-  const closingCost = d.purchasePrice * d.closingPct;
-  const totalCost = d.purchasePrice + closingCost;
-  const loanAmount = d.purchasePrice * (1 - d.financing.downPct);
-  const r = d.financing.rateAnnual/12;
-  const n = d.financing.termMonths;
-  const monthlyPI = (loanAmount*r) / (1 - Math.pow(1+r,-n));
-  const annualDebtService = monthlyPI*12;
-  const dscr = noi/annualDebtService;
-  const pointsCost = d.purchasePrice * d.pointsOnLoanPctOfPrice;
-  const cashInvested = d.purchasePrice*d.financing.downPct + closingCost + pointsCost;
-  const cashFlow = noi - annualDebtService;
-  const capRate = noi/totalCost;
-
-  return (
-    <div className="rounded-2xl border bg-white p-6 shadow-sm">
-      <div className="flex items-start justify-between gap-4">
-        <div>
-          <h1 className="text-xl sm:text-2xl font-bold">Investment Report — {d.address}</h1>
-          <p className="text-slate-500 mt-1">Prepared: {new Date().toLocaleDateString()}</p>
-        </div>
-        <button className="rounded-2xl bg-indigo-600 text-white px-3 py-2 text-sm shadow hover:bg-indigo-700" onClick={()=>window.print()}>
-          <FileDown className="inline h-4 w-4 mr-1" /> Download / Print PDF
-        </button>
-      </div>
-
-      <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4 mt-4">
-        <Metric label="Purchase Price" value={fmtUSD(d.purchasePrice)} />
-        <Metric label="NOI" value={fmtUSD(noi)} sub="Net Operating Income (yr)" />
-        <Metric label="Cap Rate" value={pct(capRate)} />
-        <Metric label="Monthly P&I" value={fmtUSD(monthlyPI)} />
-        <Metric label="DSCR" value={(dscr||0).toFixed(2)+"×"} />
-        <Metric label="Cash Flow (yr)" value={fmtUSD(cashFlow)} />
-        <Metric label="Total Cost" value={fmtUSD(totalCost)} />
-      </div>
-
-      <div className="mt-6 rounded-2xl border bg-white p-4">
-        <div className="text-sm font-medium mb-2">Units & Rents</div>
-        <table className="w-full text-sm"><tbody className="divide-y">
-          {d.units.map((u,i)=>(<tr key={i}><td className="py-1">{u.name}</td><td className="py-1 text-right">{fmtUSD(u.rent)}/mo</td></tr>))}
-        </tbody></table>
-      </div>
-    </div>
-  );
-}
-
-function Metric({label,value,sub}){
-  return (
-    <div className="rounded-2xl border bg-white p-4 shadow-sm flex flex-col gap-1">
-      <div className="text-sm text-slate-500">{label}</div>
-      <div className="text-2xl font-semibold text-slate-900">{value}</div>
-      {sub && <div className="text-xs text-slate-500">{sub}</div>}
-    </div>
-  );
-}
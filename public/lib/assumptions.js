@@ -0,0 +1,129 @@
+// /lib/assumptions.js — editable underwriting inputs and where they live in the report (ESM, no dependencies)
+// The server writes user overrides over the generated report with these paths (api/_lib/overrides.js);
+// the what-if panels in both frontends apply the same edits to the already-fetched report and
+// re-run the engine locally instead of calling the model again.
+
+// field -> [type, min, max, path in the report schema]
+export const ASSUMPTION_FIELDS = {
+  purchasePrice:             ["number",  0, Infinity, ["purchase", "purchasePrice"]],
+  downPaymentPct:            ["number",  0, 100,      ["financing", "downPaymentPct"]],
+  rateAnnualPct:             ["number",  0, 100,      ["financing", "rateAnnualPct"]],
+  termYears:                 ["integer", 1, 50,       ["financing", "termYears"]],
+  pointsPct:                 ["number",  0, 100,      ["purchase", "pointsPct"]],
+  closingCostPct:            ["number",  0, 100,      ["purchase", "closingCostPct"]],
+  rehabBudget:               ["number",  0, Infinity, ["purchase", "rehabBudget"]],
+  vacancyPct:                ["number",  0, 100,      ["operatingAssumptions", "vacancyPct"]],
+  managementPctOfEGI:        ["number",  0, 100,      ["operatingAssumptions", "managementPctOfEGI"]],
+  maintenancePctOfGrossRent: ["number",  0, 100,      ["operatingAssumptions", "maintenancePctOfGrossRent"]],
+  selfManaged:               ["boolean", 0, 0,        ["operatingAssumptions", "selfManaged"]],
+  taxesAnnual:               ["number",  0, Infinity, ["propertySnapshot", "taxes", "annual"]],
+  insuranceAnnual:           ["number",  0, Infinity, ["propertySnapshot", "insurance", "dp3Annual"]],
+  hoaAnnual:                 ["number",  0, Infinity, ["propertySnapshot", "hoa", "annual"]],
+  utilitiesAnnual:           ["number",  0, Infinity, ["operatingAssumptions", "utilitiesLandlordPaidAnnual"]],
+  otherOpExAnnual:           ["number",  0, Infinity, ["operatingAssumptions", "otherOpExAnnual"]],
+  targetCapPct:              ["number",  0, 100,      ["reportMeta", "targetCapPct"]],
+  // Short-term rental inputs; only read when reportMeta.rentalStrategy is "str" (see str.js)
+  adrNightly:                ["number",  0, Infinity, ["str", "adrNightly"]],
+  averageStayNights:         ["number",  1, 365,      ["str", "averageStayNights"]],
+  cleaningFeePerStay:        ["number",  0, Infinity, ["str", "cleaningFeePerStay"]],
+  cleaningCostPerStay:       ["number",  0, Infinity, ["str", "cleaningCostPerStay"]],
+  platformFeePct:            ["number",  0, 100,      ["str", "platformFeePct"]],
+  strManagementPct:          ["number",  0, 100,      ["str", "managementPct"]],
+  furnishingBudget:          ["number",  0, Infinity, ["str", "furnishingBudget"]],
+  strUtilitiesAnnual:        ["number",  0, Infinity, ["str", "utilitiesAnnual"]],
+  // Value-add plan; only read when reportMeta.dealStrategy is "valueAdd" (see valueadd.js)
+  arv:                       ["number",  0, Infinity, ["valueAdd", "arv"]],
+  rehabMonths:               ["integer", 0, 60,       ["valueAdd", "rehabMonths"]],
+  holdingCostsMonthly:       ["number",  0, Infinity, ["valueAdd", "holdingCostsMonthly"]],
+  hardMoneyLoanToCostPct:    ["number",  0, 100,      ["valueAdd", "hardMoney", "loanToCostPct"]],
+  hardMoneyRatePct:          ["number",  0, 100,      ["valueAdd", "hardMoney", "rateAnnualPct"]],
+  hardMoneyPointsPct:        ["number",  0, 100,      ["valueAdd", "hardMoney", "pointsPct"]],
+  refinanceLtvPct:           ["number",  0, 100,      ["valueAdd", "refinance", "ltvPct"]],
+  refinanceRatePct:          ["number",  0, 100,      ["valueAdd", "refinance", "rateAnnualPct"]],
+  refinanceTermYears:        ["integer", 1, 50,       ["valueAdd", "refinance", "termYears"]],
+  refinanceClosingCostPct:   ["number",  0, 100,      ["valueAdd", "refinance", "closingCostPct"]],
+  // Pro forma assumptions are computed locally only and never sent to the model
+  holdYears:                 ["integer", 1, 50,       ["proForma", "assumptions", "holdYears"]],
+  rentGrowthPct:             ["number", -50, 50,      ["proForma", "assumptions", "rentGrowthPct"]],
+  expenseInflationPct:       ["number", -50, 50,      ["proForma", "assumptions", "expenseInflationPct"]],
+  appreciationPct:           ["number", -50, 50,      ["proForma", "assumptions", "appreciationPct"]],
+  exitCapPct:                ["number",  0, 100,      ["proForma", "assumptions", "exitCapPct"]],
+  sellingCostPct:            ["number",  0, 100,      ["proForma", "assumptions", "sellingCostPct"]],
+  // After-tax analysis, local like the pro forma; on when marginalTaxRatePct is set (see tax.js)
+  marginalTaxRatePct:        ["number",  0, 100,      ["tax", "assumptions", "marginalTaxRatePct"]],
+  landValuePct:              ["number",  0, 100,      ["tax", "assumptions", "landValuePct"]],
+  depreciationYears:         ["number",  1, 50,       ["tax", "assumptions", "depreciationYears"]],
+  costSeg5YearPct:           ["number",  0, 100,      ["tax", "assumptions", "costSeg5YearPct"]],
+  costSeg15YearPct:          ["number",  0, 100,      ["tax", "assumptions", "costSeg15YearPct"]],
+  bonusDepreciationPct:      ["number",  0, 100,      ["tax", "assumptions", "bonusDepreciationPct"]],
+  recaptureRatePct:          ["number",  0, 100,      ["tax", "assumptions", "recaptureRatePct"]],
+  capitalGainsRatePct:       ["number",  0, 100,      ["tax", "assumptions", "capitalGainsRatePct"]]
+};
+
+export const LOANS_PATH = ["financing", "loans"];
+export const OCCUPANCY_PATH = ["str", "occupancyByMonthPct"];
+export const STABILIZED_RENTS_PATH = ["valueAdd", "stabilizedRentsMonthly"];
+
+export const getPath = (obj, path) => path.reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+export function setPath(obj, path, value) {
+  const [head, ...rest] = path;
+  if (!rest.length) return { ...obj, [head]: value };
+  return { ...obj, [head]: setPath(obj?.[head] || {}, rest, value) };
+}
+
+/** Current value of every editable input in a report; unitRents follows the engine's unit list. */
+export function assumptionValues(report) {
+  const out = {};
+  for (const [key, [, , , path]] of Object.entries(ASSUMPTION_FIELDS)) out[key] = getPath(report, path) ?? null;
+  out.loans = getPath(report, LOANS_PATH) ?? null;
+  out.occupancyByMonthPct = getPath(report, OCCUPANCY_PATH) ?? null;
+  out.stabilizedRentsMonthly = getPath(report, STABILIZED_RENTS_PATH) ?? null;
+  out.unitRents = Array.isArray(report.units) && report.units.length
+    ? report.units.map(u => u.modeledRentMonthly ?? null)
+    : [report.rents?.modeledMarketRentMonthly ?? null];
+  return out;
+}
+
+/**
+ * Copy of the report with the given inputs written over it.
+ * values: any ASSUMPTION_FIELDS key, loans (tranche array), occupancyByMonthPct (12 STR percents),
+ * stabilizedRentsMonthly (value-add rents after rehab, by unit index), unitRents (monthly, by unit index).
+ */
+export function applyAssumptions(report, values) {
+  let out = report;
+  for (const [key, [, , , path]] of Object.entries(ASSUMPTION_FIELDS)) {
+    if (key in values) out = setPath(out, path, values[key]);
+  }
+  if ("loans" in values) out = setPath(out, LOANS_PATH, values.loans);
+  if ("occupancyByMonthPct" in values) out = setPath(out, OCCUPANCY_PATH, values.occupancyByMonthPct);
+  if ("stabilizedRentsMonthly" in values) out = setPath(out, STABILIZED_RENTS_PATH, values.stabilizedRentsMonthly);
+  if ("hoaAnnual" in values) {
+    out = setPath(out, ["propertySnapshot", "hoa", "hasHoa"], values.hoaAnnual > 0);
+    out = setPath(out, ["propertySnapshot", "hoa", "monthly"], Math.round((values.hoaAnnual / 12) * 100) / 100);
+  }
+  if (Array.isArray(values.unitRents)) {
+    if (Array.isArray(out.units) && out.units.length) {
+      out = { ...out, units: out.units.map((u, i) => (values.unitRents[i] == null ? u : { ...u, modeledRentMonthly: values.unitRents[i] })) };
+    } else if (values.unitRents[0] != null) {
+      out = setPath(out, ["rents", "modeledMarketRentMonthly"], values.unitRents[0]);
+    }
+  }
+  return out;
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/** The subset of values that actually differs from the report (empty = unmodified). */
+export function changedAssumptions(report, values) {
+  const current = assumptionValues(report);
+  const out = {};
+  for (const [key, v] of Object.entries(values)) {
+    if (!(key in current) || v === undefined) continue;
+    if (key === "unitRents") {
+      const rents = current.unitRents.map((r, i) => (v[i] == null || v[i] === r ? null : v[i]));
+      if (rents.some(r => r != null)) out.unitRents = rents;
+    } else if (!same(v, current[key])) out[key] = v;
+  }
+  return out;
+}
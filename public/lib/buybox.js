@@ -0,0 +1,88 @@
+// /lib/buybox.js — investor "buy box": a saved set of thresholds and a pass/fail scorecard (ESM, no dependencies)
+//
+// A profile is { id?, name, criteria }, criteria keyed by BUY_BOX_CRITERIA id, percent units:
+//   { minCapRatePct, minDscr, minCashOnCashPct, maxPricePerUnit, minRentToPricePct, maxAgeYears, hoaAllowed }
+// An omitted or null criterion is not checked; hoaAllowed is only a constraint when false.
+// minRentToPricePct 1 is the 1% rule (monthly rent >= 1% of the price).
+//
+// scoreBuyBox(report, profile) -> { profile: { id, name }, criteria: [{ id, label, threshold, actual, pass, detail }],
+//   passed, failed, unknown, score, verdict }
+// pass is null when the report lacks the figure (e.g. no year built). score is the share of checked
+// criteria that pass, 0-100. verdict: "pass" (all pass), "fail" (any fails), "incomplete" (none fail,
+// some unknown). Metrics come from the shared engine, so what-if edits move the verdict.
+
+import { inputsFromReport, underwrite } from "./underwriting.js";
+import { formatterFor } from "./format.js";
+
+const finite = v => typeof v === "number" && isFinite(v);
+
+// id -> { label, type: "number" | "boolean", kind: "min" | "max" | "allowed", unit (for display), actual(ctx) -> number | boolean | null }
+export const BUY_BOX_CRITERIA = {
+  minCapRatePct: { label: "Cap rate", type: "number", kind: "min", unit: "pct", actual: ({ c }) => c.cap * 100 },
+  minDscr: { label: "DSCR", type: "number", kind: "min", unit: "ratio", actual: ({ c }) => (c.ads ? c.dscr : null) },
+  minCashOnCashPct: { label: "Cash-on-cash", type: "number", kind: "min", unit: "pct", actual: ({ c }) => (c.coc == null ? null : c.coc * 100) },
+  maxPricePerUnit: { label: "Price per unit", type: "number", kind: "max", unit: "money", actual: ({ d }) => (d.units.length ? d.purchasePrice / d.units.length : null) },
+  minRentToPricePct: { label: "Rent-to-price (1% rule)", type: "number", kind: "min", unit: "pct", actual: ({ c, d }) => (d.purchasePrice > 0 ? c.onePctRule * 100 : null) },
+  maxAgeYears: { label: "Building age", type: "number", kind: "max", unit: "years", actual: ({ snap, year }) => (finite(snap.yearBuilt) ? year - snap.yearBuilt : null) },
+  hoaAllowed: { label: "HOA", type: "boolean", kind: "allowed", unit: null, actual: ({ snap, d }) => !!snap.hoa?.hasHoa || d.hoaAnnual > 0 }
+};
+
+/** Validate a profile { name?, criteria }; returns [{ path, message }] (empty when usable). */
+export function checkBuyBox(profile, path = "buyBox") {
+  const at = p => (path ? `${path}.${p}` : p);
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) return [{ path: path || "body", message: "must be an object with criteria" }];
+  const errors = [];
+  if (profile.name != null && typeof profile.name !== "string") errors.push({ path: at("name"), message: "must be a string" });
+  const criteria = profile.criteria;
+  if (!criteria || typeof criteria !== "object" || Array.isArray(criteria)) return [...errors, { path: at("criteria"), message: "must be an object keyed by criterion id" }];
+  for (const [id, v] of Object.entries(criteria)) {
+    const def = BUY_BOX_CRITERIA[id];
+    if (!def) errors.push({ path: at(`criteria.${id}`), message: `unknown criterion (expected ${Object.keys(BUY_BOX_CRITERIA).join(", ")})` });
+    else if (v == null) continue;
+    else if (def.type === "boolean" && typeof v !== "boolean") errors.push({ path: at(`criteria.${id}`), message: "must be true, false or null" });
+    else if (def.type === "number" && !(finite(v) && v >= 0)) errors.push({ path: at(`criteria.${id}`), message: "must be a number >= 0 or null" });
+  }
+  return errors;
+}
+
+/** Checked criteria of a profile: [[id, threshold]] in BUY_BOX_CRITERIA order */
+function activeCriteria(profile) {
+  const criteria = profile?.criteria || {};
+  return Object.keys(BUY_BOX_CRITERIA)
+    .filter(id => criteria[id] != null && !(id === "hoaAllowed" && criteria[id] === true))
+    .map(id => [id, criteria[id]]);
+}
+
+// "7.10% (min 6.00%)", "Has an HOA (not allowed)", "Not in the report (max 40 yrs)"
+function describe(def, threshold, actual, fmt) {
+  if (def.kind === "allowed") return actual ? "Has an HOA (not allowed)" : "No HOA";
+  const show = v => (def.unit === "pct" ? fmt.pct(v / 100) : def.unit === "ratio" ? fmt.ratio(v) : def.unit === "money" ? fmt.money(v) : `${fmt.number(v)} yrs`);
+  const limit = `${def.kind} ${show(threshold)}`;
+  return actual == null ? `Not in the report (${limit})` : `${show(actual)} (${limit})`;
+}
+
+export function scoreBuyBox(report, profile) {
+  if (!profile) return null;
+  const d = inputsFromReport(report);
+  const ctx = { d, c: underwrite(d), snap: report.propertySnapshot || {}, year: new Date().getFullYear() };
+  const fmt = formatterFor(report.reportMeta);
+  const criteria = activeCriteria(profile).map(([id, threshold]) => {
+    const def = BUY_BOX_CRITERIA[id];
+    const actual = def.actual(ctx);
+    const pass = actual == null ? null
+      : def.kind === "min" ? actual >= threshold
+      : def.kind === "max" ? actual <= threshold
+      : !actual; // hoaAllowed: false
+    return { id, label: def.label, threshold, actual, pass, detail: describe(def, threshold, actual, fmt) };
+  });
+  const passed = criteria.filter(r => r.pass === true).length;
+  const failed = criteria.filter(r => r.pass === false).length;
+  const unknown = criteria.length - passed - failed;
+  return {
+    profile: { id: profile.id ?? null, name: profile.name || "Buy box" },
+    criteria,
+    passed, failed, unknown,
+    score: criteria.length ? Math.round((passed / criteria.length) * 100) : null,
+    verdict: failed ? "fail" : unknown ? "incomplete" : "pass"
+  };
+}
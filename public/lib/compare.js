@@ -0,0 +1,101 @@
+// /lib/compare.js — side-by-side comparison of several reports (ESM, no dependencies)
+// Every deal runs through the shared engine, so a report carrying what-if edits compares
+// exactly as it renders. The first deal is the baseline that deltas are measured against.
+//
+// compareReports(reports) -> {
+//   metrics:     [{ key, label, format, better, values, deltas, best, worst }],
+//   assumptions: [{ key, label, format, values, differs }],
+//   currencies:  ["USD", ...], mixedCurrency
+// }
+// format is "money" | "pct" | "ratio" | "num" | "bool" | "text" (pct values are decimals); best / worst are
+// deal indexes, null when fewer than two deals have the metric or they are all equal. Money in
+// different currencies is not converted, so with mixedCurrency money metrics get no deltas or ranks.
+
+import { inputsFromReport, underwrite } from "./underwriting.js";
+import { displaySettings } from "./format.js";
+
+// key -> [label, format, better, read(d, c)]
+export const COMPARE_METRICS = {
+  purchasePrice:          ["Purchase price", "money", "lower", d => d.purchasePrice],
+  noi:                    ["NOI (yr 1)", "money", "higher", (d, c) => c.noi],
+  capRate:                ["Cap rate", "pct", "higher", (d, c) => c.cap],
+  dscr:                   ["DSCR", "ratio", "higher", (d, c) => c.dscr],
+  cashFlow:               ["Cash flow (yr 1)", "money", "higher", (d, c) => c.cashFlow],
+  cashOnCash:             ["Cash-on-cash", "pct", "higher", (d, c) => c.coc],
+  maxPurchaseAtTargetCap: ["Max price @ target cap", "money", "higher", (d, c) => c.maxPurchaseAtTargetCap],
+  cashInvested:           ["Cash invested", "money", "lower", (d, c) => c.cashInvested],
+  leveredIrr:             ["Levered IRR", "pct", "higher", (d, c) => c.proForma.returns.leveredIrr],
+  // Value-add deals only (null for buy-and-hold)
+  cashLeftInDeal:         ["Cash left in deal (after refi)", "money", "lower", (d, c) => c.valueAdd?.cashLeftInDeal ?? null],
+  postRefiDscr:           ["DSCR after refi", "ratio", "higher", (d, c) => c.valueAdd?.stages.after.dscr ?? null],
+  // After-tax reports only (a marginal tax rate is set)
+  afterTaxCashFlow:       ["After-tax cash flow (yr 1)", "money", "higher", (d, c) => c.tax?.years[0].afterTaxCashFlow ?? null],
+  afterTaxIrr:            ["After-tax IRR", "pct", "higher", (d, c) => c.tax?.returns.afterTaxIrr ?? null]
+};
+
+// key -> [label, format, read(d, c)]; effective values, so engine defaults compare too
+export const COMPARE_ASSUMPTIONS = {
+  strategy:        ["Rental strategy", "text", d => (d.str ? "Short-term" : "Long-term")],
+  dealStrategy:    ["Deal strategy", "text", d => (d.valueAdd ? "Value-add" : "Buy and hold")],
+  downPayment:     ["Down payment", "pct", (d, c) => (d.purchasePrice > 0 ? c.downPayment / d.purchasePrice : null)],
+  loans:           ["Loan tranches", "num", d => d.loans.length],
+  rate:            ["Rate (senior loan)", "pct", d => d.loans[0]?.rateAnnual ?? null],
+  termYears:       ["Term (senior loan, yrs)", "num", d => (d.loans[0] ? d.loans[0].termMonths / 12 : null)],
+  closing:         ["Closing costs", "pct", d => d.closingPct],
+  points:          ["Points", "pct", d => d.pointsPct],
+  rehabBudget:     ["Rehab budget", "money", d => d.rehabBudget],
+  arv:             ["After-repair value", "money", (d, c) => c.valueAdd?.arv ?? null],
+  vacancy:         ["Vacancy", "pct", d => d.vacancyRate],
+  maintenance:     ["Maintenance (% of gross)", "pct", d => d.maintPctOfGross],
+  management:      ["Management (% of EGI)", "pct", d => d.mgmtPctOfEGI],
+  selfManaged:     ["Self-managed", "bool", d => d.selfManaged],
+  taxes:           ["Taxes (yr)", "money", d => d.taxesAnnual],
+  insurance:       ["Insurance (yr)", "money", d => d.insuranceAnnual],
+  hoa:             ["HOA (yr)", "money", d => d.hoaAnnual],
+  utilities:       ["Utilities (yr)", "money", d => d.utilitiesAnnual],
+  other:           ["Other OpEx (yr)", "money", d => d.otherAnnual],
+  monthlyRent:     ["Modeled rent (mo)", "money", (d, c) => c.monthlyRent],
+  adr:             ["STR nightly rate", "money", d => d.str?.adrNightly ?? null],
+  occupancy:       ["STR occupancy", "pct", (d, c) => c.str?.occupancy ?? null],
+  targetCap:       ["Target cap", "pct", d => d.targetCap],
+  holdYears:       ["Hold (yrs)", "num", d => d.proForma.holdYears],
+  rentGrowth:      ["Rent growth", "pct", d => d.proForma.rentGrowth],
+  exitCap:         ["Exit cap", "pct", d => d.proForma.exitCap],
+  appreciation:    ["Appreciation", "pct", d => d.proForma.appreciation],
+  marginalTaxRate: ["Marginal tax rate", "pct", d => d.tax?.marginalRate ?? null]
+};
+
+const isNum = v => typeof v === "number" && isFinite(v);
+const same = (a, b) => (isNum(a) && isNum(b) ? Math.abs(a - b) < 1e-9 : a === b);
+
+export function compareReports(reports) {
+  const deals = reports.map(report => {
+    const d = inputsFromReport(report);
+    return { d, c: underwrite(d) };
+  });
+  const currencies = reports.map(report => displaySettings(report?.reportMeta).currency);
+  const mixedCurrency = currencies.some(code => code !== currencies[0]);
+
+  const metrics = Object.entries(COMPARE_METRICS).map(([key, [label, format, better, read]]) => {
+    const values = deals.map(({ d, c }) => {
+      const v = read(d, c);
+      return isNum(v) ? v : null;
+    });
+    const comparable = !(mixedCurrency && format === "money");
+    const ranked = values.map((v, i) => [v, i]).filter(([v]) => v != null).sort((a, b) => (better === "higher" ? b[0] - a[0] : a[0] - b[0]));
+    const spread = comparable && ranked.length > 1 && !same(ranked[0][0], ranked[ranked.length - 1][0]);
+    return {
+      key, label, format, better, values,
+      deltas: values.map((v, i) => (!comparable || i === 0 || v == null || values[0] == null ? null : v - values[0])),
+      best: spread ? ranked[0][1] : null,
+      worst: spread ? ranked[ranked.length - 1][1] : null
+    };
+  });
+
+  const assumptions = Object.entries(COMPARE_ASSUMPTIONS).map(([key, [label, format, read]]) => {
+    const values = deals.map(({ d, c }) => read(d, c));
+    return { key, label, format, values, differs: values.some(v => !same(v, values[0])) };
+  });
+
+  return { metrics, assumptions, currencies, mixedCurrency };
+}
@@ -0,0 +1,28 @@
+// /lib/finance.js — time-value-of-money helpers shared by the underwriting modules (ESM, no dependencies)
+// Rates are decimals (0.077), periods are months unless noted.
+
+export function monthlyPayment(principal, rateAnnual, termMonths) {
+  if (!(principal > 0) || !(termMonths > 0)) return 0;
+  const r = rateAnnual / 12;
+  if (!(r > 0)) return principal / termMonths;
+  return (principal * r) / (1 - Math.pow(1 + r, -termMonths));
+}
+
+export function npv(rate, cashFlows) {
+  return cashFlows.reduce((s, cf, t) => s + cf / Math.pow(1 + rate, t), 0);
+}
+
+// Periodic IRR by bisection; null when the flows never change sign or no root in (-99%, 1000%)
+export function irr(cashFlows) {
+  if (!cashFlows.some(cf => cf > 0) || !cashFlows.some(cf => cf < 0)) return null;
+  let lo = -0.99, hi = 10;
+  let fLo = npv(lo, cashFlows), fHi = npv(hi, cashFlows);
+  if (fLo * fHi > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npv(mid, cashFlows);
+    if (Math.abs(fMid) < 1e-7) return mid;
+    if (fLo * fMid < 0) { hi = mid; fHi = fMid; } else { lo = mid; fLo = fMid; }
+  }
+  return (lo + hi) / 2;
+}
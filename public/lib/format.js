@@ -0,0 +1,83 @@
+// /lib/format.js — locale-aware display formatting driven by report.reportMeta (ESM, no dependencies)
+// Shared by both frontends and the server exports so a report reads the same everywhere.
+// Money is in reportMeta.currency, dates and numbers follow reportMeta.locale. Area fields in the
+// schema (livingSqft, lotSizeSqft, units[].sqft, saleComps[].sqft) are always square feet; reportMeta.areaUnit only
+// changes how they are displayed.
+
+export const DISPLAY_DEFAULTS = { currency: "USD", locale: "en-US", areaUnit: "sqft" };
+
+// unit -> [label, display units per square foot]
+export const AREA_UNITS = {
+  sqft: ["sqft", 1],
+  m2: ["m²", 0.09290304]
+};
+
+export function isCurrencyCode(code) {
+  if (typeof code !== "string" || !/^[A-Za-z]{3}$/.test(code)) return false;
+  return typeof Intl.supportedValuesOf !== "function" || Intl.supportedValuesOf("currency").includes(code.toUpperCase());
+}
+
+export function isLocaleTag(tag) {
+  if (typeof tag !== "string" || !tag.trim()) return false;
+  try { return Intl.getCanonicalLocales(tag).length === 1; } catch { return false; }
+}
+
+/** Check requested display settings; returns [{ path, message }] (empty when usable). */
+export function checkDisplaySettings({ currency, locale, areaUnit } = {}) {
+  const errors = [];
+  if (currency != null && !isCurrencyCode(currency)) errors.push({ path: "currency", message: "must be an ISO 4217 code such as USD, CAD or GBP" });
+  if (locale != null && !isLocaleTag(locale)) errors.push({ path: "locale", message: "must be a BCP 47 language tag such as en-US, en-CA or en-GB" });
+  if (areaUnit != null && !AREA_UNITS[areaUnit]) errors.push({ path: "areaUnit", message: `must be one of ${Object.keys(AREA_UNITS).join(", ")}` });
+  return errors;
+}
+
+/** Normalized { currency, locale, areaUnit }; anything unusable falls back to DISPLAY_DEFAULTS */
+export function displaySettings(meta = {}) {
+  return {
+    currency: isCurrencyCode(meta?.currency) ? meta.currency.toUpperCase() : DISPLAY_DEFAULTS.currency,
+    locale: isLocaleTag(meta?.locale) ? Intl.getCanonicalLocales(meta.locale)[0] : DISPLAY_DEFAULTS.locale,
+    areaUnit: AREA_UNITS[meta?.areaUnit] ? meta.areaUnit : DISPLAY_DEFAULTS.areaUnit
+  };
+}
+
+/**
+ * Typed amount -> number, reading group and decimal separators the way locale writes them
+ * ("$1,250,000" in en-US, "1.250.000 €" in de-DE); NaN when it is not a number.
+ */
+export function parseAmount(str, locale = DISPLAY_DEFAULTS.locale) {
+  const parts = new Intl.NumberFormat(displaySettings({ locale }).locale).formatToParts(12345.6);
+  const group = parts.find(p => p.type === "group")?.value ?? ",";
+  const decimal = parts.find(p => p.type === "decimal")?.value ?? ".";
+  const bare = String(str).replace(/[\s\p{Sc}]/gu, "").split(group.trim() || group).join("");
+  return bare ? Number(bare.split(decimal).join(".")) : NaN;
+}
+
+/**
+ * Formatters for one report: formatterFor(report.reportMeta).
+ * pct takes decimals (0.077 -> "7.70%"); missing values render as "-".
+ */
+export function formatterFor(meta) {
+  const { currency, locale, areaUnit } = displaySettings(meta);
+  const moneyFmt = new Intl.NumberFormat(locale, { style: "currency", currency, maximumFractionDigits: 0 });
+  const pctFmt = new Intl.NumberFormat(locale, { style: "percent", minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const numFmts = {};
+  const missing = n => n == null || n === "" || isNaN(n);
+  const number = (n, digits = 0) => {
+    if (missing(n)) return "-";
+    numFmts[digits] ??= new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    return numFmts[digits].format(Number(n));
+  };
+  const [areaLabel, perSqft] = AREA_UNITS[areaUnit];
+
+  return {
+    currency, locale, areaUnit, areaLabel,
+    currencySymbol: moneyFmt.formatToParts(0).find(p => p.type === "currency")?.value ?? currency,
+    money: n => (missing(n) ? "-" : moneyFmt.format(Number(n))),
+    pct: n => (missing(n) ? "-" : pctFmt.format(Number(n))),
+    number,
+    ratio: n => (missing(n) ? "-" : number(n, 2) + "×"),
+    date: value => new Date(value ?? Date.now()).toLocaleDateString(locale, { year: "numeric", month: "short", day: "numeric" }),
+    /** square feet in, display unit out: "1,800 sqft" / "167 m²" */
+    area: sqft => (missing(sqft) || !sqft ? "-" : `${number(sqft * perSqft)} ${areaLabel}`)
+  };
+}
@@ -0,0 +1,125 @@
+// /lib/loans.js — loan tranches and month-by-month amortization (ESM, no dependencies)
+//
+// report.financing.loans (percent units) is an ordered list of tranches, senior lien first:
+//   { name, type: "fixed"|"interestOnly"|"arm"|"sellerCarry"|"dscr",
+//     amount | ltvPct, rateAnnualPct, termYears, interestOnlyMonths, balloonYears,
+//     arm: { initialFixedYears, adjustmentIntervalMonths, indexedRatePct, initialCapPct, periodicCapPct, lifetimeCapPct },
+//     minDscr }
+// Without loans, the legacy downPaymentPct / rateAnnualPct / termYears describe one fixed loan.
+
+import { monthlyPayment } from "./finance.js";
+
+export const LOAN_TYPES = ["fixed", "interestOnly", "arm", "sellerCarry", "dscr"];
+
+const num = (v, def) => (typeof v === "number" && isFinite(v) ? v : def);
+
+// Type-specific defaults fill in whatever structure the tranche leaves out
+const TYPE_DEFAULTS = {
+  interestOnly: { interestOnlyMonths: 120 },
+  arm: { arm: { initialFixedYears: 5, adjustmentIntervalMonths: 12, initialCapPct: 2, periodicCapPct: 2, lifetimeCapPct: 5 } },
+  dscr: { minDscr: 1.25 }
+};
+
+/** Normalize tranches to decimals/months; amounts resolved against the purchase price. */
+export function normalizeLoans(loans, purchasePrice) {
+  return loans.map((l, i) => {
+    const type = LOAN_TYPES.includes(l.type) ? l.type : "fixed";
+    const t = TYPE_DEFAULTS[type] || {};
+    const rateAnnual = num(l.rateAnnualPct, 0) / 100;
+    const armIn = l.arm || t.arm || null;
+    return {
+      name: l.name || (i === 0 ? "First Mortgage" : `Loan ${i + 1}`),
+      type,
+      amount: Math.max(0, num(l.amount, purchasePrice * num(l.ltvPct, 0) / 100)),
+      rateAnnual,
+      termMonths: Math.max(1, Math.round(num(l.termYears, 30) * 12)),
+      ioMonths: Math.max(0, Math.round(num(l.interestOnlyMonths, t.interestOnlyMonths ?? 0))),
+      balloonMonth: l.balloonYears > 0 ? Math.round(l.balloonYears * 12) : null,
+      arm: armIn && type === "arm" ? {
+        initialFixedMonths: Math.round(num(armIn.initialFixedYears, 5) * 12),
+        intervalMonths: Math.max(1, Math.round(num(armIn.adjustmentIntervalMonths, 12))),
+        indexedRate: num(armIn.indexedRatePct, l.rateAnnualPct) / 100,
+        initialCap: num(armIn.initialCapPct, 2) / 100,
+        periodicCap: num(armIn.periodicCapPct, 2) / 100,
+        lifetimeCap: num(armIn.lifetimeCapPct, 5) / 100
+      } : null,
+      minDscr: num(l.minDscr, t.minDscr ?? null)
+    };
+  });
+}
+
+/** The single fixed loan implied by the legacy financing fields. */
+export function legacyLoan(purchasePrice, downPct, rateAnnual, termMonths) {
+  return {
+    name: "First Mortgage", type: "fixed",
+    amount: purchasePrice * (1 - downPct),
+    rateAnnual, termMonths, ioMonths: 0, balloonMonth: null, arm: null, minDscr: null
+  };
+}
+
+// ARM: step toward the fully indexed rate at each reset, limited by the caps
+function armRate(loan, month, prevRate) {
+  const a = loan.arm;
+  if (month <= a.initialFixedMonths) return loan.rateAnnual;
+  const sinceFirst = month - a.initialFixedMonths - 1;
+  if (sinceFirst % a.intervalMonths !== 0) return prevRate;
+  const cap = sinceFirst === 0 ? a.initialCap : a.periodicCap;
+  const stepped = Math.min(prevRate + cap, Math.max(prevRate - cap, a.indexedRate));
+  const floor = Math.max(0, loan.rateAnnual - a.lifetimeCap);
+  return Math.min(loan.rateAnnual + a.lifetimeCap, Math.max(floor, stepped));
+}
+
+/**
+ * Month-by-month schedule until payoff or balloon.
+ * Whatever is still owed in the last month (a balloon note, or interest-only through the whole
+ * term) is paid there as the balloon, so every schedule ends at a zero balance.
+ * Rows: { month, rate, payment, interest, principal, balloon, balance }
+ */
+export function amortizationSchedule(loan) {
+  const rows = [];
+  let balance = loan.amount;
+  let rate = loan.rateAnnual;
+  let payment = 0;
+  const last = loan.balloonMonth ? Math.min(loan.balloonMonth, loan.termMonths) : loan.termMonths;
+
+  for (let m = 1; m <= last && balance > 0.005; m++) {
+    const prevRate = rate;
+    rate = loan.arm ? armRate(loan, m, rate) : loan.rateAnnual;
+    const interest = balance * rate / 12;
+    if (m <= loan.ioMonths) payment = interest;
+    else if (m === loan.ioMonths + 1 || rate !== prevRate) payment = monthlyPayment(balance, rate, loan.termMonths - m + 1);
+    const principal = Math.min(balance, Math.max(0, payment - interest));
+    balance -= principal;
+    const balloon = m === last && balance > 0.005 ? balance : 0;
+    balance -= balloon;
+    rows.push({ month: m, rate, payment: interest + principal, interest, principal, balloon, balance });
+  }
+  return rows;
+}
+
+/** Sum of every tranche's schedule for loan-year y (months 12y-11 .. 12y). */
+export function debtForYear(loans, y) {
+  let debtService = 0, interest = 0, balloon = 0, balanceEnd = 0;
+  for (const l of loans) {
+    for (const r of l.schedule.slice((y - 1) * 12, y * 12)) { debtService += r.payment; interest += r.interest; balloon += r.balloon; }
+    balanceEnd += l.schedule.length >= y * 12 ? l.schedule[y * 12 - 1].balance : 0;
+  }
+  return { debtService, interest, balloon, balanceEnd };
+}
+
+/** Blended monthly schedule across tranches (for display / export). */
+export function blendedSchedule(loans) {
+  const months = Math.max(0, ...loans.map(l => l.schedule.length));
+  const out = [];
+  for (let i = 0; i < months; i++) {
+    const row = { month: i + 1, payment: 0, interest: 0, principal: 0, balloon: 0, balance: 0 };
+    for (const l of loans) {
+      const r = l.schedule[i];
+      if (!r) continue;
+      row.payment += r.payment; row.interest += r.interest; row.principal += r.principal;
+      row.balloon += r.balloon; row.balance += r.balance;
+    }
+    out.push(row);
+  }
+  return out;
+}
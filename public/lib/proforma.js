@@ -0,0 +1,91 @@
+// /lib/proforma.js — multi-year hold projection, exit and returns (ESM, no dependencies)
+// Year 1 matches the single-year underwriting; later years grow rent and fixed expenses,
+// debt service and loan balance follow each tranche's real amortization schedule.
+
+import { irr } from "./finance.js";
+import { debtForYear } from "./loans.js";
+
+export const PROFORMA_DEFAULTS = {
+  holdYears: 10,
+  rentGrowthPct: 3,
+  expenseInflationPct: 3,
+  appreciationPct: 3,
+  exitCapPct: null, // null = value the exit by appreciation instead of NOI ÷ exit cap
+  sellingCostPct: 6
+};
+
+const num = (v, def) => (typeof v === "number" && isFinite(v) ? v : def);
+
+/** report.proForma.assumptions (percent units) -> decimals */
+export function proFormaAssumptions(x = {}) {
+  const a = x.proForma?.assumptions || {};
+  const exitCapPct = num(a.exitCapPct, PROFORMA_DEFAULTS.exitCapPct);
+  return {
+    holdYears: Math.max(1, Math.min(50, Math.round(num(a.holdYears, PROFORMA_DEFAULTS.holdYears)))),
+    rentGrowth: num(a.rentGrowthPct, PROFORMA_DEFAULTS.rentGrowthPct) / 100,
+    expenseInflation: num(a.expenseInflationPct, PROFORMA_DEFAULTS.expenseInflationPct) / 100,
+    appreciation: num(a.appreciationPct, PROFORMA_DEFAULTS.appreciationPct) / 100,
+    exitCap: exitCapPct > 0 ? exitCapPct / 100 : null,
+    sellingCost: num(a.sellingCostPct, PROFORMA_DEFAULTS.sellingCostPct) / 100
+  };
+}
+
+/**
+ * @param d normalized inputs (inputsFromReport)
+ * @param c single-year results (underwrite)
+ * @param a assumptions (proFormaAssumptions)
+ * @param operate (rentMult, opExMult) -> year-one operating statement scaled (underwrite's own)
+ */
+export function projectProForma(d, c, a, operate) {
+  const operatingYear = y => {
+    const { gsr, egi, opEx, noi } = operate(Math.pow(1 + a.rentGrowth, y - 1), Math.pow(1 + a.expenseInflation, y - 1));
+    return { gsr, egi, opEx, noi };
+  };
+
+  const years = [];
+  for (let y = 1; y <= a.holdYears; y++) {
+    const op = operatingYear(y);
+    const debt = debtForYear(c.tranches, y);
+    years.push({
+      year: y,
+      ...op,
+      debtService: debt.debtService,
+      balloon: debt.balloon, // seller-carry / balloon notes coming due inside the hold
+      cashFlow: op.noi - debt.debtService - debt.balloon,
+      loanBalanceEnd: debt.balanceEnd
+    });
+  }
+
+  // Exit at the end of the hold: buyer prices forward (year N+1) NOI at the exit cap
+  const last = years[years.length - 1];
+  const salePrice = a.exitCap
+    ? operatingYear(a.holdYears + 1).noi / a.exitCap
+    : d.purchasePrice * Math.pow(1 + a.appreciation, a.holdYears);
+  const sellingCosts = salePrice * a.sellingCost;
+  const netSaleBeforeDebt = salePrice - sellingCosts;
+  const loanPayoff = last.loanBalanceEnd;
+  const netSaleProceeds = netSaleBeforeDebt - loanPayoff;
+
+  const allIn = d.purchasePrice + c.closing + d.rehabBudget + c.furnishing;
+  const unleveredFlows = [-allIn, ...years.map(y => y.noi)];
+  unleveredFlows[a.holdYears] += netSaleBeforeDebt;
+  const leveredFlows = [-c.cashInvested, ...years.map(y => y.cashFlow)];
+  leveredFlows[a.holdYears] += netSaleProceeds;
+
+  const distributions = years.reduce((s, y) => s + y.cashFlow, 0) + netSaleProceeds;
+
+  return {
+    assumptions: a,
+    years,
+    exit: {
+      method: a.exitCap ? "exitCap" : "appreciation",
+      salePrice, sellingCosts, loanPayoff, netSaleProceeds
+    },
+    returns: {
+      leveredIrr: irr(leveredFlows),
+      unleveredIrr: irr(unleveredFlows),
+      equityMultiple: c.cashInvested > 0 ? distributions / c.cashInvested : null,
+      averageCashOnCash: c.cashInvested > 0 ? years.reduce((s, y) => s + y.cashFlow, 0) / years.length / c.cashInvested : null
+    }
+  };
+}
@@ -0,0 +1,249 @@
+// /lib/risks.js — rule-based risk flags from a report's own data (ESM, no dependencies)
+//
+// assessRisks(report, config?) -> [{ rule, title, severity, score, detail, evidence }], highest score first.
+// score is 0-100; severity follows it: high >= 70, medium >= 40, low below. Every rule reads the
+// report (schema shape, percent units) through the shared engine, so a what-if edit that moves
+// DSCR or rent moves the flags with it.
+//
+// Short-term rentals (reportMeta.rentalStrategy "str") are judged on strComps, and on nightly
+// rate against the comps' median ADR instead of monthly rent against the benchmark.
+//
+// config tunes or disables rules by id, e.g. { dscr: { warn: 1.3 }, hoa: false }; only the
+// parameters listed in each rule's defaults are accepted (see checkRiskRules).
+
+import { inputsFromReport, underwrite } from "./underwriting.js";
+import { formatterFor } from "./format.js";
+
+// 40 at the warn threshold, 70 at the high threshold, linear beyond (either direction), 40-100
+function ramp(value, warn, high) {
+  const t = (value - warn) / (high - warn);
+  return Math.round(Math.min(100, Math.max(40, 40 + 30 * t)));
+}
+const INFO = 20;
+
+const severityOf = score => (score >= 70 ? "high" : score >= 40 ? "medium" : "low");
+// First term the text mentions, skipping mentions their own clause negates ("no rental cap", "not subject to a minimum lease")
+const NEGATION = /\b(no|not|without|none|never)\b/;
+function mentions(text, terms) {
+  const lower = String(text || "").toLowerCase();
+  for (const t of terms) {
+    const term = t.toLowerCase();
+    for (let at = lower.indexOf(term); at >= 0; at = lower.indexOf(term, at + 1)) {
+      if (!NEGATION.test(lower.slice(0, at).split(/[.;,:!?\n]|\bbut\b/).pop())) return t;
+    }
+  }
+  return null;
+}
+
+// rule id -> { label, defaults, evaluate(ctx, params) -> null | { title, score, detail, evidence } }
+export const RISK_RULES = {
+  systemAge: {
+    label: "Building and system age",
+    defaults: { warnYears: 30, highYears: 50 },
+    evaluate({ snap, year }, p) {
+      const updates = (snap.recentUpdates || []).filter(Boolean);
+      const noted = updates.length ? ` Reported updates: ${updates.join("; ")}.` : "";
+      if (snap.yearBuilt == null) {
+        return { title: "Year built unknown", score: INFO, detail: `Confirm the age of the roof, HVAC, plumbing and electrical before pricing capex.${noted}`, evidence: { yearBuilt: null } };
+      }
+      const age = year - snap.yearBuilt;
+      if (age < p.warnYears) return null;
+      return {
+        title: `Built ${snap.yearBuilt} (${age} years old)`,
+        score: ramp(age, p.warnYears, p.highYears),
+        detail: `Original systems past ${p.warnYears} years often need replacement; budget capex and expect more vacancy during work.${noted}`,
+        evidence: { yearBuilt: snap.yearBuilt, ageYears: age, warnYears: p.warnYears, highYears: p.highYears }
+      };
+    }
+  },
+
+  hoa: {
+    label: "HOA and rental restrictions",
+    defaults: {
+      feeWarnPct: 10,
+      feeHighPct: 20,
+      // Phrases that restrict renting, not bare words: "leasing allowed" or "no rental restrictions" must not match
+      restrictionTerms: [
+        "rental cap", "leasing cap", "cap on rentals", "rental restriction", "leasing restriction", "lease restriction",
+        "minimum lease", "minimum rental", "minimum term", "owner-occupancy required", "owner occupancy required", "owner-occupied only",
+        "no short-term", "no rentals", "no leasing", "rentals prohibited", "leasing prohibited", "rentals not allowed", "leasing not allowed",
+        "board approval", "approval required", "waiting period"
+      ]
+    },
+    evaluate({ snap, d, c, fmt }, p) {
+      const hoa = snap.hoa || {};
+      if (!hoa.hasHoa) return null;
+      const term = mentions(hoa.notes, p.restrictionTerms);
+      const feePct = c.annualGSR > 0 ? (d.hoaAnnual / c.annualGSR) * 100 : null;
+      const evidence = { hoaName: hoa.name || null, hoaAnnual: d.hoaAnnual, feePctOfGrossRent: feePct, matchedTerm: term };
+      if (term) {
+        return { title: "HOA notes mention rental rules", score: 75, detail: `HOA notes: "${hoa.notes.trim()}". Get the governing documents and confirm leasing is allowed on your terms before closing.`, evidence };
+      }
+      if (feePct != null && feePct >= p.feeWarnPct) {
+        return { title: `HOA dues take ${fmt.number(feePct, 1)}% of gross rent`, score: ramp(feePct, p.feeWarnPct, p.feeHighPct), detail: `${fmt.money(d.hoaAnnual)}/yr in dues; increases and special assessments come straight out of cash flow.`, evidence };
+      }
+      return { title: `HOA${hoa.name ? ` (${hoa.name})` : ""}`, score: INFO, detail: "Review bylaws for leasing rules, reserves and pending special assessments.", evidence };
+    }
+  },
+
+  taxToRent: {
+    label: "Property tax burden",
+    defaults: { warnPct: 15, highPct: 25 },
+    evaluate({ d, c, snap, fmt }, p) {
+      if (!(c.annualGSR > 0) || !(d.taxesAnnual > 0)) return null;
+      const pct = (d.taxesAnnual / c.annualGSR) * 100;
+      if (pct < p.warnPct) return null;
+      return {
+        title: `Taxes are ${fmt.number(pct, 1)}% of gross rent`,
+        score: ramp(pct, p.warnPct, p.highPct),
+        detail: `${fmt.money(d.taxesAnnual)}/yr${snap.taxes?.year ? ` (${snap.taxes.year})` : ""} against ${fmt.money(c.annualGSR)}/yr of rent; a sale can also trigger reassessment.`,
+        evidence: { taxesAnnual: d.taxesAnnual, grossRentAnnual: c.annualGSR, pctOfGrossRent: pct, warnPct: p.warnPct, highPct: p.highPct }
+      };
+    }
+  },
+
+  dscr: {
+    label: "Debt coverage",
+    defaults: { warn: 1.25, high: 1 },
+    evaluate({ c, fmt }, p) {
+      if (!(c.ads > 0) || c.dscr == null || c.dscr >= p.warn) return null;
+      return {
+        title: `DSCR ${fmt.ratio(c.dscr)}`,
+        score: ramp(c.dscr, p.warn, p.high),
+        detail: c.dscr < 1
+          ? `NOI does not cover debt service; the deal needs ${fmt.money(c.ads - c.noi)}/yr from elsewhere and most lenders will not fund it.`
+          : `Below the ${fmt.ratio(p.warn)} most lenders want; a small rent or expense miss turns cash flow negative.`,
+        evidence: { dscr: c.dscr, noiAnnual: c.noi, annualDebtService: c.ads, warn: p.warn, high: p.high }
+      };
+    }
+  },
+
+  comps: {
+    label: "Rent comp coverage",
+    defaults: { minCount: 3, warnAvgMiles: 1.5, highAvgMiles: 3 },
+    evaluate({ comps, fmt }, p) {
+      const distances = comps.map(r => r.distanceMiles).filter(n => typeof n === "number" && isFinite(n));
+      const avgMiles = distances.length ? distances.reduce((s, n) => s + n, 0) / distances.length : null;
+      const few = comps.length < p.minCount;
+      const far = avgMiles != null && avgMiles >= p.warnAvgMiles;
+      if (!few && !far) return null;
+      const scores = [few ? (comps.length ? 50 : 75) : 0, far ? ramp(avgMiles, p.warnAvgMiles, p.highAvgMiles) : 0];
+      const parts = [
+        few && (comps.length ? `only ${comps.length} rent comp${comps.length > 1 ? "s" : ""}` : "no rent comps"),
+        far && `comps average ${fmt.number(avgMiles, 1)} mi away`
+      ].filter(Boolean);
+      return {
+        title: parts[0].charAt(0).toUpperCase() + parts.join(" and ").slice(1),
+        score: Math.max(...scores),
+        detail: "Modeled rent rests on thin or distant evidence; pull closer, recent leases before relying on it.",
+        evidence: { count: comps.length, avgDistanceMiles: avgMiles, minCount: p.minCount, warnAvgMiles: p.warnAvgMiles }
+      };
+    }
+  },
+
+  rentVsBenchmark: {
+    label: "Rent above market",
+    defaults: { warnPct: 10, highPct: 20 },
+    evaluate({ report, d, comps, fmt }, p) {
+      if (d.str) {
+        const adrs = comps.map(r => r.adrNightly).filter(n => n > 0).sort((a, b) => a - b);
+        if (!adrs.length || !(d.str.adrNightly > 0)) return null;
+        const mid = adrs.length >> 1;
+        const median = adrs.length % 2 ? adrs[mid] : (adrs[mid - 1] + adrs[mid]) / 2;
+        const abovePct = (d.str.adrNightly / median - 1) * 100;
+        if (abovePct < p.warnPct) return null;
+        return {
+          title: `Modeled ADR ${fmt.number(abovePct, 0)}% above the comp median`,
+          score: ramp(abovePct, p.warnPct, p.highPct),
+          detail: `${fmt.money(d.str.adrNightly)}/night vs. a ${fmt.money(median)}/night median across ${adrs.length} short-term rental comps; revenue assumes that premium holds all year.`,
+          evidence: { adrNightly: d.str.adrNightly, compMedianAdr: median, abovePct, warnPct: p.warnPct, highPct: p.highPct }
+        };
+      }
+      const benchmark = report.rents?.benchmarkMedian;
+      const rents = d.units.map(u => u.rent).filter(r => r > 0);
+      if (!(benchmark > 0) || !rents.length) return null;
+      const avgRent = rents.reduce((s, r) => s + r, 0) / rents.length;
+      const abovePct = (avgRent / benchmark - 1) * 100;
+      if (abovePct < p.warnPct) return null;
+      return {
+        title: `Modeled rent ${fmt.number(abovePct, 0)}% above the benchmark median`,
+        score: ramp(abovePct, p.warnPct, p.highPct),
+        detail: `Average modeled rent ${fmt.money(avgRent)}/mo per unit vs. a ${fmt.money(benchmark)}/mo median; every figure downstream assumes that premium holds.`,
+        evidence: { avgUnitRentMonthly: avgRent, benchmarkMedian: benchmark, abovePct, warnPct: p.warnPct, highPct: p.highPct }
+      };
+    }
+  },
+
+  insurance: {
+    label: "Insurance estimate",
+    defaults: { estimateTerms: ["estimate", "assum", "approx", "typical", "placeholder", "ballpark", "quote needed", "no quote"] },
+    evaluate({ snap, d, sources, fmt }, p) {
+      const notes = snap.insurance?.notes || "";
+      if (!(d.insuranceAnnual > 0)) {
+        return { title: "No insurance cost in the model", score: 75, detail: `Insurance is ${fmt.money(0)} in the numbers; get a quote, since premiums and deductibles vary widely by location and building age.`, evidence: { insuranceAnnual: d.insuranceAnnual, notes } };
+      }
+      if (sources.insuranceAnnual === "user") return null;
+      const term = mentions(notes, p.estimateTerms);
+      if (!term && sources.insuranceAnnual !== "default") return null;
+      return {
+        title: "Insurance is an estimate",
+        score: 45,
+        detail: `${fmt.money(d.insuranceAnnual)}/yr is not a quote${notes ? ` ("${notes.trim()}")` : ""}; replace it with a bound quote before committing.`,
+        evidence: { insuranceAnnual: d.insuranceAnnual, notes, matchedTerm: term, source: sources.insuranceAnnual ?? null }
+      };
+    }
+  }
+};
+
+/** Check a rule config; returns [{ path, message }] (empty when usable). */
+export function checkRiskRules(config, path = "riskRules") {
+  if (config == null) return [];
+  if (typeof config !== "object" || Array.isArray(config)) return [{ path, message: "must be an object keyed by rule id" }];
+  const errors = [];
+  for (const [id, value] of Object.entries(config)) {
+    const rule = RISK_RULES[id];
+    if (!rule) { errors.push({ path: `${path}.${id}`, message: `unknown rule (expected ${Object.keys(RISK_RULES).join(", ")})` }); continue; }
+    if (typeof value === "boolean") continue;
+    if (!value || typeof value !== "object" || Array.isArray(value)) { errors.push({ path: `${path}.${id}`, message: "must be true, false or an object of parameters" }); continue; }
+    for (const [param, v] of Object.entries(value)) {
+      const def = rule.defaults[param];
+      const ok = Array.isArray(def) ? Array.isArray(v) && v.every(t => typeof t === "string" && t) : typeof def === "number" && typeof v === "number" && isFinite(v);
+      if (def === undefined) errors.push({ path: `${path}.${id}.${param}`, message: `unknown parameter (expected ${Object.keys(rule.defaults).join(", ")})` });
+      else if (!ok) errors.push({ path: `${path}.${id}.${param}`, message: Array.isArray(def) ? "must be an array of strings" : "must be a number" });
+    }
+  }
+  return errors;
+}
+
+/** Layer rule configs left to right (later wins); false disables a rule, true re-enables it */
+export function mergeRiskRules(...configs) {
+  const out = {};
+  for (const config of configs) {
+    for (const [id, value] of Object.entries(config || {})) {
+      out[id] = typeof value === "boolean" ? value : { ...(typeof out[id] === "object" ? out[id] : {}), ...value };
+    }
+  }
+  return out;
+}
+
+export function assessRisks(report, config = {}) {
+  const d = inputsFromReport(report);
+  const ctx = {
+    report,
+    d,
+    c: underwrite(d),
+    snap: report.propertySnapshot || {},
+    comps: (d.str ? report.strComps : report.rentComps) || [],
+    sources: report.inputSources || {},
+    fmt: formatterFor(report.reportMeta),
+    year: new Date().getFullYear()
+  };
+  const flags = [];
+  for (const [id, rule] of Object.entries(RISK_RULES)) {
+    const setting = config?.[id];
+    if (setting === false) continue;
+    const flag = rule.evaluate(ctx, { ...rule.defaults, ...(typeof setting === "object" ? setting : {}) });
+    if (flag) flags.push({ rule: id, title: flag.title, severity: severityOf(flag.score), score: flag.score, detail: flag.detail, evidence: flag.evidence });
+  }
+  return flags.sort((a, b) => b.score - a.score);
+}
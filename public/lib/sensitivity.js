@@ -0,0 +1,214 @@
+// /lib/sensitivity.js — two-dimensional sensitivity matrices with configurable axes (ESM, no dependencies)
+//
+// A matrix spec (percent units, like the report schema):
+//   { rows: Axis, cols: Axis, metric, thresholds?: { good, bad } }   good >= bad (every metric is higher-is-better)
+//   Axis = { variable, values: [..] }               absolute values
+//        | { variable, deltas: [..] }               offsets from the report's base value
+//        | { variable, deltasPct: [..] }            percent changes of the base value
+//        | { variable, from, to, step }             inclusive range
+//        | { variable }                             AXIS_PRESETS[variable]
+// Every cell re-runs the full underwriting on a copy of the report with both variables applied,
+// so financing tranches, pro forma and IRR all respond exactly as they would in a real report.
+
+import { inputsFromReport, underwrite } from "./underwriting.js";
+import { setPath } from "./assumptions.js";
+
+const MAX_AXIS_VALUES = 15;
+
+const scale = (v, f) => (typeof v === "number" ? v * f : v);
+
+// variable -> { label, base(d), apply(report, value) }
+export const SENSITIVITY_VARIABLES = {
+  rentChangePct: {
+    label: "Rent change %",
+    base: () => 0,
+    // Short-term rentals: nightly rate and guest cleaning fee
+    apply: (x, v) => ({
+      ...x,
+      units: (x.units || []).map(u => ({ ...u, modeledRentMonthly: scale(u.modeledRentMonthly, 1 + v / 100) })),
+      rents: { ...x.rents, modeledMarketRentMonthly: scale(x.rents?.modeledMarketRentMonthly, 1 + v / 100) },
+      ...(x.str ? { str: { ...x.str, adrNightly: scale(x.str.adrNightly, 1 + v / 100), cleaningFeePerStay: scale(x.str.cleaningFeePerStay, 1 + v / 100) } } : {})
+    })
+  },
+  occupancyPct: {
+    label: "STR occupancy %",
+    base: d => (d.str ? d.str.occupancyByMonth.reduce((s, m) => s + m, 0) / 12 * 100 : 0),
+    // Shifts every month by the same number of points, keeping the seasonal shape
+    apply: (x, v) => {
+      const months = x.str?.occupancyByMonthPct;
+      if (!Array.isArray(months) || months.length !== 12) return setPath(x, ["str", "occupancyByMonthPct"], Array(12).fill(v));
+      const avg = months.reduce((s, m) => s + m, 0) / 12;
+      return setPath(x, ["str", "occupancyByMonthPct"], months.map(m => Math.min(100, Math.max(0, m + v - avg))));
+    }
+  },
+  opExChangePct: {
+    label: "Fixed OpEx change %",
+    base: () => 0,
+    apply: (x, v) => {
+      const f = 1 + v / 100;
+      let out = setPath(x, ["propertySnapshot", "taxes", "annual"], scale(x.propertySnapshot?.taxes?.annual, f));
+      out = setPath(out, ["propertySnapshot", "insurance", "dp3Annual"], scale(x.propertySnapshot?.insurance?.dp3Annual, f));
+      out = setPath(out, ["propertySnapshot", "hoa", "annual"], scale(x.propertySnapshot?.hoa?.annual, f));
+      out = setPath(out, ["operatingAssumptions", "utilitiesLandlordPaidAnnual"], scale(x.operatingAssumptions?.utilitiesLandlordPaidAnnual, f));
+      return setPath(out, ["operatingAssumptions", "otherOpExAnnual"], scale(x.operatingAssumptions?.otherOpExAnnual, f));
+    }
+  },
+  rateAnnualPct: {
+    label: "Interest rate %",
+    base: d => d.loans[0] ? d.loans[0].rateAnnual * 100 : d.rateAnnual * 100,
+    // Senior tranche when tranches are given, otherwise the legacy single loan
+    apply: (x, v) => {
+      const loans = x.financing?.loans;
+      if (Array.isArray(loans) && loans.length) {
+        return setPath(x, ["financing", "loans"], loans.map((l, i) => (i === 0 ? { ...l, rateAnnualPct: v } : l)));
+      }
+      return setPath(x, ["financing", "rateAnnualPct"], v);
+    }
+  },
+  purchasePrice: {
+    label: "Purchase price",
+    base: d => d.purchasePrice,
+    apply: (x, v) => setPath(x, ["purchase", "purchasePrice"], v)
+  },
+  vacancyPct: {
+    label: "Vacancy %",
+    base: d => d.vacancyRate * 100,
+    apply: (x, v) => setPath(x, ["operatingAssumptions", "vacancyPct"], v)
+  },
+  exitCapPct: {
+    label: "Exit cap %",
+    base: (d, c) => (d.proForma.exitCap ?? c.cap) * 100,
+    apply: (x, v) => setPath(x, ["proForma", "assumptions", "exitCapPct"], v)
+  },
+  holdYears: {
+    label: "Hold (years)",
+    base: d => d.proForma.holdYears,
+    apply: (x, v) => setPath(x, ["proForma", "assumptions", "holdYears"], v)
+  }
+};
+
+// metric -> { label, read(c), default thresholds (higher is better for all) }
+export const SENSITIVITY_METRICS = {
+  cashFlowAnnual: { label: "Cash flow (yr 1)", read: c => c.cashFlow, thresholds: () => ({ good: 0, bad: 0 }) },
+  dscr: { label: "DSCR", read: c => c.dscr, thresholds: () => ({ good: 1.25, bad: 1 }) },
+  capRatePct: { label: "Cap rate %", read: c => c.cap * 100, thresholds: d => ({ good: d.targetCap * 100, bad: d.targetCap * 100 - 2 }) },
+  cashOnCashPct: { label: "Cash-on-cash %", read: c => (c.coc == null ? null : c.coc * 100), thresholds: () => ({ good: 8, bad: 4 }) },
+  leveredIrrPct: {
+    label: "Levered IRR %",
+    read: c => (c.proForma.returns.leveredIrr == null ? null : c.proForma.returns.leveredIrr * 100),
+    thresholds: () => ({ good: 15, bad: 10 })
+  },
+  noiAnnual: { label: "NOI (yr 1)", read: c => c.noi, thresholds: () => ({ good: 0, bad: 0 }) }
+};
+
+// Axis used when a caller names only the variable
+export const AXIS_PRESETS = {
+  rentChangePct: { values: [-10, -5, 0, 5, 10] },
+  opExChangePct: { values: [-10, -5, 0, 5, 10] },
+  rateAnnualPct: { deltas: [-1, -0.5, 0, 0.5, 1] },
+  purchasePrice: { deltasPct: [-10, -5, 0, 5, 10] },
+  vacancyPct: { values: [0, 5, 10, 15, 20] },
+  occupancyPct: { deltas: [-15, -10, -5, 0, 5, 10] },
+  exitCapPct: { deltas: [-1, -0.5, 0, 0.5, 1] },
+  holdYears: { values: [3, 5, 7, 10, 15] }
+};
+
+export const DEFAULT_MATRIX = {
+  rows: { variable: "rentChangePct", values: [-10, -5, 0, 5, 10] },
+  cols: { variable: "rateAnnualPct", deltas: [-1, -0.5, 0, 0.5, 1] },
+  metric: "cashFlowAnnual"
+};
+
+const roundAxis = v => Math.round(v * 1e6) / 1e6;
+
+function axisValues(axis, base) {
+  if (!["values", "deltas", "deltasPct", "from"].some(k => axis[k] != null)) axis = { ...axis, ...AXIS_PRESETS[axis.variable] };
+  if (Array.isArray(axis.values)) return axis.values.slice();
+  if (Array.isArray(axis.deltas)) return axis.deltas.map(dv => roundAxis(base + dv));
+  if (Array.isArray(axis.deltasPct)) return axis.deltasPct.map(p => roundAxis(base * (1 + p / 100)));
+  const out = [];
+  if (axis.step > 0 && axis.to >= axis.from) {
+    for (let v = axis.from; v <= axis.to + 1e-9 && out.length <= MAX_AXIS_VALUES; v += axis.step) out.push(roundAxis(v));
+  }
+  return out;
+}
+
+/** Check a spec; returns [{ path, message }] (empty when usable). */
+export function checkMatrixSpec(spec, path = "") {
+  const errors = [];
+  const at = k => (path ? `${path}.${k}` : k);
+  if (!spec || typeof spec !== "object") return [{ path: path || "(root)", message: "must be an object" }];
+  if (!SENSITIVITY_METRICS[spec.metric]) {
+    errors.push({ path: at("metric"), message: `must be one of ${Object.keys(SENSITIVITY_METRICS).join(", ")}` });
+  }
+  for (const key of ["rows", "cols"]) {
+    const axis = spec[key];
+    if (!axis || !SENSITIVITY_VARIABLES[axis.variable]) {
+      errors.push({ path: at(`${key}.variable`), message: `must be one of ${Object.keys(SENSITIVITY_VARIABLES).join(", ")}` });
+      continue;
+    }
+    const list = axis.values ?? axis.deltas ?? axis.deltasPct;
+    const range = [axis.from, axis.to, axis.step];
+    if (list != null && (!Array.isArray(list) || !list.every(v => typeof v === "number" && isFinite(v)))) {
+      errors.push({ path: at(key), message: "values/deltas/deltasPct must be an array of numbers" });
+    } else if (list == null && range.some(v => v != null) && !range.every(v => typeof v === "number" && isFinite(v))) {
+      errors.push({ path: at(key), message: "from/to/step must all be numbers" });
+    } else if (list != null || axis.from != null) {
+      const n = list ? list.length : Math.floor((axis.to - axis.from) / axis.step) + 1;
+      if (!(n >= 1 && n <= MAX_AXIS_VALUES)) errors.push({ path: at(key), message: `must produce 1-${MAX_AXIS_VALUES} values` });
+    }
+  }
+  if (spec.rows?.variable && spec.rows.variable === spec.cols?.variable) {
+    errors.push({ path: at("cols.variable"), message: "must differ from rows.variable" });
+  }
+  if (spec.thresholds !== undefined) {
+    const t = spec.thresholds;
+    if (!t || typeof t !== "object" || Array.isArray(t)) errors.push({ path: at("thresholds"), message: "must be an object { good, bad }" });
+    else {
+      const notNumbers = ["good", "bad"].filter(k => typeof t[k] !== "number" || !isFinite(t[k]));
+      for (const k of notNumbers) errors.push({ path: at(`thresholds.${k}`), message: "must be a number" });
+      if (!notNumbers.length && t.good < t.bad) errors.push({ path: at("thresholds.good"), message: "must be >= thresholds.bad (higher is better)" });
+    }
+  }
+  return errors;
+}
+
+function band(value, t) {
+  if (value == null || !isFinite(value)) return null;
+  if (value >= t.good) return "good";
+  if (value < (t.bad ?? t.good)) return "bad";
+  return "warn";
+}
+
+/**
+ * Compute one matrix for a report (schema shape, percent units).
+ * @returns {{ rows, cols, metric, label, thresholds, cells: {value, band}[][] }}
+ */
+export function sensitivityMatrix(report, spec) {
+  const d = inputsFromReport(report);
+  const c = underwrite(d);
+  const rowVar = SENSITIVITY_VARIABLES[spec.rows.variable];
+  const colVar = SENSITIVITY_VARIABLES[spec.cols.variable];
+  const metric = SENSITIVITY_METRICS[spec.metric];
+  const thresholds = { ...metric.thresholds(d), ...(spec.thresholds || {}) };
+  // Only good given (the what-if panels): the preset bad never sits above it, so the bands stay ordered
+  thresholds.bad = Math.min(thresholds.bad, thresholds.good);
+
+  const rowValues = axisValues(spec.rows, rowVar.base(d, c));
+  const colValues = axisValues(spec.cols, colVar.base(d, c));
+
+  const cells = rowValues.map(rv => colValues.map(cv => {
+    const scenario = colVar.apply(rowVar.apply(report, rv), cv);
+    const value = metric.read(underwrite(inputsFromReport(scenario)));
+    return { value, band: band(value, thresholds) };
+  }));
+
+  return {
+    rows: { variable: spec.rows.variable, label: rowVar.label, values: rowValues, base: rowVar.base(d, c) },
+    cols: { variable: spec.cols.variable, label: colVar.label, values: colValues, base: colVar.base(d, c) },
+    metric: spec.metric,
+    label: metric.label,
+    thresholds,
+    cells
+  };
+}
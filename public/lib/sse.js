@@ -0,0 +1,34 @@
+// /lib/sse.js — Server-Sent Events reader for a streamed fetch Response (ESM, no dependencies)
+// Used by the server to read a provider's stream and by both frontends to read /api/generate's.
+
+/** Streamed fetch Response -> async iterable of { event, data } (data is the raw string; "message" when unnamed) */
+export async function* readEventStream(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    for (const block of blocks) {
+      const event = parseBlock(block);
+      if (event) yield event;
+    }
+  }
+  const last = parseBlock(buffer + decoder.decode());
+  if (last) yield last;
+}
+
+function parseBlock(block) {
+  let event = "message";
+  const data = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(":")) continue;
+    const [, field, value = ""] = /^([^:]*):? ?(.*)$/.exec(line);
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+  }
+  return data.length ? { event, data: data.join("\n") } : null;
+}
@@ -0,0 +1,78 @@
+// /lib/str.js — short-term rental (vacation rental) revenue model (ESM, no dependencies)
+//
+// A report underwrites as a short-term rental when reportMeta.rentalStrategy is "str"; its income
+// then comes from report.str instead of units[].modeledRentMonthly (percent units, like the schema):
+//   { adrNightly, occupancyByMonthPct: [12 values, Jan..Dec], averageStayNights,
+//     cleaningFeePerStay, cleaningCostPerStay, platformFeePct, managementPct,
+//     furnishingBudget, utilitiesAnnual }
+// Occupancy is already in the revenue, so STR vacancy is zero; platform fees scale with booking
+// revenue, cleaning costs with the number of stays. The engine turns the result into the same
+// EGI / OpEx / NOI statement as a long-term rental (see underwriting.js).
+
+export const RENTAL_STRATEGIES = ["ltr", "str"];
+
+export const STR_DEFAULTS = {
+  adrNightly: 0,
+  occupancyPct: 65, // every month without a value in occupancyByMonthPct
+  averageStayNights: 3,
+  cleaningFeePerStay: 0,
+  cleaningCostPerStay: 0,
+  platformFeePct: 3,
+  managementPct: 20,
+  furnishingBudget: 0,
+  utilitiesAnnual: 0
+};
+
+export const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const num = (v, def = 0) => (typeof v === "number" && isFinite(v) ? v : def);
+const clamp01 = v => Math.min(1, Math.max(0, v));
+
+export const rentalStrategy = x => (x?.reportMeta?.rentalStrategy === "str" ? "str" : "ltr");
+
+/** report.str (percent units) -> decimals; null for long-term rentals */
+export function strInputs(x = {}) {
+  if (rentalStrategy(x) !== "str") return null;
+  const s = x.str || {};
+  const byMonth = Array.isArray(s.occupancyByMonthPct) && s.occupancyByMonthPct.length === 12 ? s.occupancyByMonthPct : null;
+  return {
+    adrNightly: num(s.adrNightly, STR_DEFAULTS.adrNightly),
+    occupancyByMonth: MONTHS.map((_, i) => clamp01(num(byMonth?.[i], STR_DEFAULTS.occupancyPct) / 100)),
+    averageStayNights: Math.max(1, num(s.averageStayNights, STR_DEFAULTS.averageStayNights)),
+    cleaningFeePerStay: num(s.cleaningFeePerStay, STR_DEFAULTS.cleaningFeePerStay),
+    cleaningCostPerStay: num(s.cleaningCostPerStay, STR_DEFAULTS.cleaningCostPerStay),
+    platformFeeRate: num(s.platformFeePct, STR_DEFAULTS.platformFeePct) / 100,
+    managementRate: num(s.managementPct, STR_DEFAULTS.managementPct) / 100,
+    furnishingBudget: num(s.furnishingBudget, STR_DEFAULTS.furnishingBudget),
+    utilitiesAnnual: num(s.utilitiesAnnual, STR_DEFAULTS.utilitiesAnnual)
+  };
+}
+
+/**
+ * Year-one bookings by month at the modeled occupancy.
+ * @returns {{ months: object[], nights, stays, occupancy, roomRevenue, cleaningFees, revenue, cleaningCosts }}
+ *   occupancy is booked nights over the 365 available; revenue = room revenue + guest cleaning fees
+ */
+export function strRevenue(s) {
+  const months = MONTHS.map((label, i) => {
+    const nights = DAYS_IN_MONTH[i] * s.occupancyByMonth[i];
+    const stays = nights / s.averageStayNights;
+    const roomRevenue = nights * s.adrNightly;
+    const cleaningFees = stays * s.cleaningFeePerStay;
+    return { month: label, days: DAYS_IN_MONTH[i], occupancy: s.occupancyByMonth[i], nights, stays, roomRevenue, cleaningFees, revenue: roomRevenue + cleaningFees };
+  });
+  const total = key => months.reduce((sum, m) => sum + m[key], 0);
+  const nights = total("nights");
+  const stays = total("stays");
+  return {
+    months,
+    nights,
+    stays,
+    occupancy: nights / 365,
+    roomRevenue: total("roomRevenue"),
+    cleaningFees: total("cleaningFees"),
+    revenue: total("revenue"),
+    cleaningCosts: stays * s.cleaningCostPerStay
+  };
+}
@@ -0,0 +1,138 @@
+// /lib/tax.js — after-tax analysis: depreciation, interest deduction, after-tax cash flow and sale (ESM, no dependencies)
+//
+// Optional: a report is analyzed after tax when report.tax.assumptions.marginalTaxRatePct is set.
+// Inputs live in report.tax.assumptions (percent units, like proForma.assumptions):
+//   { marginalTaxRatePct, landValuePct: number|null, depreciationYears,
+//     costSeg5YearPct, costSeg15YearPct, bonusDepreciationPct,
+//     recaptureRatePct, capitalGainsRatePct }
+// Land is a share of the purchase price: landValuePct when given, else the assessor's land /
+// (land + improvement) ratio from propertySnapshot.taxes, else 20%. The depreciable basis is the
+// rest of the price plus closing costs and rehab, over 27.5 years (39 for nonresidential), with a
+// full first year. Cost segregation moves shares of that basis into 5- and 15-year property
+// (STR furnishing is 5-year property too); bonus depreciation takes part of those buckets in year 1.
+// Taxable income = NOI − mortgage interest (from the amortization schedule) − depreciation; a loss is
+// a tax saving at the marginal rate (passive-loss limits are not modeled). At the exit, gain up to the
+// 5/15-year depreciation is recaptured at the marginal rate, up to the building depreciation at the
+// recapture rate (unrecaptured §1250, 25%), and the rest is taxed as a capital gain.
+
+import { irr } from "./finance.js";
+import { debtForYear } from "./loans.js";
+
+export const TAX_DEFAULTS = {
+  marginalTaxRatePct: null, // null = pre-tax only
+  landValuePct: 20, // when neither the report nor the assessor gives a split
+  depreciationYears: 27.5,
+  costSeg5YearPct: 0,
+  costSeg15YearPct: 0,
+  bonusDepreciationPct: 0,
+  recaptureRatePct: 25,
+  capitalGainsRatePct: 15
+};
+
+const num = (v, def) => (typeof v === "number" && isFinite(v) ? v : def);
+const clamp01 = v => Math.min(1, Math.max(0, v));
+
+/** Land share of the price and where it came from: "input" | "assessor" | "default" */
+export function landAllocation(x = {}) {
+  const given = x.tax?.assumptions?.landValuePct;
+  if (typeof given === "number" && isFinite(given)) return { landPct: clamp01(given / 100), method: "input" };
+  const t = x.propertySnapshot?.taxes || {};
+  const land = num(t.assessedLandValue, null);
+  const improvement = num(t.assessedImprovementValue, null);
+  if (land != null && improvement != null && land + improvement > 0) return { landPct: land / (land + improvement), method: "assessor" };
+  return { landPct: TAX_DEFAULTS.landValuePct / 100, method: "default" };
+}
+
+/** report.tax.assumptions (percent units) -> decimals; null when no marginal tax rate is set */
+export function taxInputs(x = {}) {
+  const a = x.tax?.assumptions || {};
+  const marginal = num(a.marginalTaxRatePct, TAX_DEFAULTS.marginalTaxRatePct);
+  if (marginal == null) return null;
+  const land = landAllocation(x);
+  const fiveYear = clamp01(num(a.costSeg5YearPct, TAX_DEFAULTS.costSeg5YearPct) / 100);
+  return {
+    marginalRate: clamp01(marginal / 100),
+    landPct: land.landPct,
+    landMethod: land.method,
+    depreciationYears: Math.max(1, num(a.depreciationYears, TAX_DEFAULTS.depreciationYears)),
+    costSeg5Year: fiveYear,
+    costSeg15Year: Math.min(1 - fiveYear, clamp01(num(a.costSeg15YearPct, TAX_DEFAULTS.costSeg15YearPct) / 100)),
+    bonusRate: clamp01(num(a.bonusDepreciationPct, TAX_DEFAULTS.bonusDepreciationPct) / 100),
+    recaptureRate: clamp01(num(a.recaptureRatePct, TAX_DEFAULTS.recaptureRatePct) / 100),
+    capitalGainsRate: clamp01(num(a.capitalGainsRatePct, TAX_DEFAULTS.capitalGainsRatePct) / 100)
+  };
+}
+
+// Straight-line share of `amount` for year y of a `life`-year recovery (a half year ends a 27.5)
+const straightLine = (amount, life, y) => Math.max(0, Math.min(amount / life, amount - (amount / life) * (y - 1)));
+
+/**
+ * Yearly taxable income and after-tax cash flow over the pro forma hold, plus the tax on the sale.
+ * @param d normalized inputs (tax set)
+ * @param c single-year results with c.proForma (underwrite)
+ */
+export function afterTax(d, c) {
+  const t = d.tax;
+  const pf = c.proForma;
+
+  const land = d.purchasePrice * t.landPct;
+  const basis = d.purchasePrice + c.closing + d.rehabBudget;
+  const improvements = basis - land;
+  const fiveYear = improvements * t.costSeg5Year + c.furnishing;
+  const fifteenYear = improvements * t.costSeg15Year;
+  const building = improvements * (1 - t.costSeg5Year - t.costSeg15Year);
+  const bonus = (fiveYear + fifteenYear) * t.bonusRate;
+
+  let accumulated = 0, personalAccumulated = 0;
+  const years = pf.years.map(yr => {
+    const y = yr.year;
+    const personal = (y === 1 ? bonus : 0)
+      + straightLine(fiveYear * (1 - t.bonusRate), 5, y)
+      + straightLine(fifteenYear * (1 - t.bonusRate), 15, y);
+    const structure = straightLine(building, t.depreciationYears, y);
+    const depreciation = personal + structure;
+    accumulated += depreciation;
+    personalAccumulated += personal;
+    const interest = debtForYear(c.tranches, y).interest;
+    const taxableIncome = yr.noi - interest - depreciation;
+    const tax = taxableIncome * t.marginalRate; // negative = saving against other income
+    return {
+      year: y, noi: yr.noi, interest,
+      buildingDepreciation: structure, costSegDepreciation: personal, depreciation,
+      taxableIncome, tax, taxSavings: -tax,
+      cashFlow: yr.cashFlow, afterTaxCashFlow: yr.cashFlow - tax
+    };
+  });
+
+  // Sale at the pro forma exit: recapture first, then capital gain; a loss saves at the marginal rate
+  const amountRealized = pf.exit.salePrice - pf.exit.sellingCosts;
+  const adjustedBasis = basis + c.furnishing - accumulated;
+  const gain = amountRealized - adjustedBasis;
+  const ordinaryRecapture = Math.min(Math.max(0, gain), personalAccumulated);
+  const unrecaptured1250 = Math.min(Math.max(0, gain) - ordinaryRecapture, accumulated - personalAccumulated);
+  const capitalGain = Math.max(0, gain) - ordinaryRecapture - unrecaptured1250;
+  const saleTax = gain > 0
+    ? ordinaryRecapture * t.marginalRate + unrecaptured1250 * t.recaptureRate + capitalGain * t.capitalGainsRate
+    : gain * t.marginalRate;
+  const afterTaxSaleProceeds = pf.exit.netSaleProceeds - saleTax;
+
+  const flows = [-c.cashInvested, ...years.map(y => y.afterTaxCashFlow)];
+  flows[years.length] += afterTaxSaleProceeds;
+
+  return {
+    assumptions: t,
+    basis: { total: basis + c.furnishing, land, improvements, building, fiveYear, fifteenYear, bonus },
+    years,
+    sale: {
+      amountRealized, adjustedBasis, accumulatedDepreciation: accumulated, gain,
+      ordinaryRecapture, unrecaptured1250, capitalGain,
+      recaptureTax: ordinaryRecapture * t.marginalRate + unrecaptured1250 * t.recaptureRate,
+      capitalGainsTax: capitalGain * t.capitalGainsRate,
+      saleTax, afterTaxSaleProceeds
+    },
+    returns: {
+      afterTaxIrr: irr(flows),
+      afterTaxCashOnCash: c.cashInvested > 0 ? years[0].afterTaxCashFlow / c.cashInvested : null
+    }
+  };
+}
@@ -0,0 +1,416 @@
+// /lib/underwriting.js — deterministic underwriting engine (ESM, no dependencies)
+// Shared by /api/generate (server) and both frontends (public/index.html, the Next app under app/)
+// so every consumer derives identical numbers from the same raw inputs.
+//
+// Convention: fields named *Pct in the report schema are percents (7.7 = 7.7%);
+// the normalized inputs and results below use decimals (0.077).
+//
+// Short-term rentals (reportMeta.rentalStrategy "str") take income from report.str (see str.js)
+// and add platform fees and cleaning to OpEx; everything from EGI down is the same statement,
+// so STR and long-term scenarios compare on the same NOI, cap, DSCR and cash flow.
+//
+// Value-add deals (reportMeta.dealStrategy "valueAdd") keep the as-is numbers as the headline and
+// add c.valueAdd: rehab on hard money, refinance at ARV, and the stabilized stage (see valueadd.js).
+//
+// With a marginal tax rate in report.tax.assumptions, c.tax adds depreciation, the interest
+// deduction and after-tax cash flow over the pro forma hold (see tax.js); everything else stays pre-tax.
+
+import { proFormaAssumptions, projectProForma } from "./proforma.js";
+import { amortizationSchedule, blendedSchedule, legacyLoan, normalizeLoans } from "./loans.js";
+import { rentalStrategy, strInputs, strRevenue } from "./str.js";
+import { stabilizedInputs, valueAddInputs, valueAddPlan } from "./valueadd.js";
+import { afterTax, taxInputs } from "./tax.js";
+
+export const DEFAULTS = {
+  closingCostPct: 2,
+  pointsPct: 0,
+  rehabBudget: 0,
+  vacancyPct: 5,
+  maintenancePctOfGrossRent: 8,
+  managementPctOfEGI: 8,
+  downPaymentPct: 25,
+  rateAnnualPct: 7.7,
+  termYears: 30,
+  targetCapPct: 8
+};
+
+const num = (v, def = 0) => (typeof v === "number" && isFinite(v) ? v : def);
+const pctToDec = (v, def) => num(v, def) / 100;
+const sum = a => a.reduce((s, x) => s + (x || 0), 0);
+const round = (n, dp = 2) => (n == null || !isFinite(n) ? null : Math.round(n * 10 ** dp) / 10 ** dp);
+
+/* ---------- Report (schema) -> normalized inputs ---------- */
+export function inputsFromReport(x = {}) {
+  const snap = x.propertySnapshot || {};
+  const ops = x.operatingAssumptions || {};
+  const fin = x.financing || {};
+  const purchase = x.purchase || {};
+  const str = strInputs(x);
+
+  const units = Array.isArray(x.units) && x.units.length
+    ? x.units.map((u, i) => ({ name: u.name || ("Unit " + (i + 1)), rent: num(u.modeledRentMonthly) }))
+    : [{ name: "Subject Unit", rent: num(x.rents?.modeledMarketRentMonthly) }];
+
+  const hoa = snap.hoa || {};
+  const hoaAnnual = hoa.hasHoa === false ? 0 : num(hoa.annual, num(hoa.monthly) * 12);
+
+  // Explicit tranches win; otherwise the legacy down% / rate / term describe one fixed loan
+  const purchasePrice = num(purchase.purchasePrice);
+  const downPct = pctToDec(fin.downPaymentPct, DEFAULTS.downPaymentPct);
+  const rateAnnual = pctToDec(fin.rateAnnualPct, DEFAULTS.rateAnnualPct);
+  const termMonths = Math.round(num(fin.termYears, DEFAULTS.termYears) * 12);
+  const loans = Array.isArray(fin.loans) && fin.loans.length
+    ? normalizeLoans(fin.loans, purchasePrice)
+    : [legacyLoan(purchasePrice, downPct, rateAnnual, termMonths)];
+
+  return {
+    strategy: rentalStrategy(x),
+    str,
+    valueAdd: valueAddInputs(x),
+    purchasePrice,
+    rehabBudget: num(purchase.rehabBudget, DEFAULTS.rehabBudget),
+    closingPct: pctToDec(purchase.closingCostPct, DEFAULTS.closingCostPct),
+    pointsPct: pctToDec(purchase.pointsPct, DEFAULTS.pointsPct),
+    units,
+    vacancyRate: pctToDec(ops.vacancyPct, DEFAULTS.vacancyPct),
+    maintPctOfGross: pctToDec(ops.maintenancePctOfGrossRent, DEFAULTS.maintenancePctOfGrossRent),
+    mgmtPctOfEGI: str ? str.managementRate : pctToDec(ops.managementPctOfEGI, DEFAULTS.managementPctOfEGI),
+    selfManaged: !!ops.selfManaged,
+    taxesAnnual: num(snap.taxes?.annual),
+    insuranceAnnual: num(snap.insurance?.dp3Annual),
+    hoaAnnual,
+    utilitiesAnnual: str ? str.utilitiesAnnual : num(ops.utilitiesLandlordPaidAnnual),
+    otherAnnual: num(ops.otherOpExAnnual),
+    downPct,
+    rateAnnual,
+    termMonths,
+    loans,
+    targetCap: pctToDec(x.reportMeta?.targetCapPct ?? x.negotiation?.targetCapPct, DEFAULTS.targetCapPct),
+    proForma: proFormaAssumptions(x),
+    tax: taxInputs(x)
+  };
+}
+
+/* ---------- Calculations ---------- */
+export function underwrite(d) {
+  // STR: booked revenue at the modeled occupancy stands in for rent, with no further vacancy
+  const strYear = d.str ? strRevenue(d.str) : null;
+  const monthlyRent = strYear ? strYear.revenue / 12 : sum(d.units.map(u => u.rent));
+  const annualGSR = monthlyRent * 12;
+  const vacancyRate = strYear ? 0 : d.vacancyRate;
+  const furnishing = d.str?.furnishingBudget ?? 0;
+  const mgmtRate = d.selfManaged ? 0 : d.mgmtPctOfEGI;
+  const fixedOpEx = d.taxesAnnual + d.insuranceAnnual + d.hoaAnnual + d.utilitiesAnnual + d.otherAnnual;
+
+  const closing = d.purchasePrice * d.closingPct;
+  const pointsCost = d.purchasePrice * d.pointsPct;
+  const totalCost = d.purchasePrice + closing; // keep points and rehab out of basis for cap calc
+
+  // Debt: every tranche on its own schedule; year-one totals drive DSCR and cash flow
+  const loans = d.loans.map(l => ({ ...l, schedule: amortizationSchedule(l) }));
+  const loanAmount = sum(loans.map(l => l.amount));
+  const monthlyPI = sum(loans.map(l => l.schedule[0]?.payment));
+  const yearOne = l => sum(l.schedule.slice(0, 12).map(r => r.payment));
+  const ads = sum(loans.map(yearOne));
+  const downPayment = Math.max(0, d.purchasePrice - loanAmount);
+  const cashInvested = downPayment + closing + pointsCost + d.rehabBudget + furnishing;
+
+  // Operating statement for a given rent / fixed-OpEx multiplier (1,1 = base case);
+  // STR platform fees follow revenue, cleaning costs move with the expense multiplier
+  const operate = (rentMult = 1, opExMult = 1) => {
+    const gsr = annualGSR * rentMult;
+    const vacancy = gsr * vacancyRate;
+    const egi = gsr - vacancy;
+    const maintenance = gsr * d.maintPctOfGross;
+    const management = egi * mgmtRate;
+    const platformFees = strYear ? egi * d.str.platformFeeRate : 0;
+    const cleaning = strYear ? strYear.cleaningCosts * opExMult : 0;
+    const opEx = fixedOpEx * opExMult + maintenance + management + platformFees + cleaning;
+    const noi = egi - opEx;
+    return {
+      gsr, vacancy, egi, maintenance, management, platformFees, cleaning, opEx, noi,
+      capRate: totalCost ? noi / totalCost : 0,
+      dscr: ads ? noi / ads : 0,
+      cashFlow: noi - ads
+    };
+  };
+
+  const base = operate();
+
+  // Each lender underwrites its own lien plus everything senior to it (cumulative DSCR)
+  let seniorDebtService = 0;
+  const tranches = loans.map(l => {
+    const annualDebtService = yearOne(l);
+    seniorDebtService += annualDebtService;
+    const dscr = seniorDebtService ? base.noi / seniorDebtService : null;
+    const balloonRow = l.schedule.find(r => r.balloon > 0);
+    return {
+      ...l,
+      initialPayment: l.schedule[0]?.payment ?? 0,
+      annualDebtService,
+      cumulativeDscr: dscr,
+      meetsMinDscr: l.minDscr == null || dscr == null ? null : dscr >= l.minDscr,
+      balloon: balloonRow ? { month: balloonRow.month, amount: balloonRow.balloon } : null
+    };
+  });
+
+  const loaded = 1 + d.closingPct + d.pointsPct;
+  const maxPurchaseAtTargetCap = d.targetCap > 0 ? (base.noi / d.targetCap) / loaded : null;
+
+  const c = {
+    strategy: d.strategy,
+    str: strYear,
+    monthlyRent, annualGSR,
+    vacancy: base.vacancy, egi: base.egi,
+    taxes: d.taxesAnnual, insurance: d.insuranceAnnual, hoa: d.hoaAnnual,
+    utilities: d.utilitiesAnnual, other: d.otherAnnual,
+    maintenance: base.maintenance, management: base.management,
+    platformFees: base.platformFees, cleaning: base.cleaning, furnishing,
+    opEx: base.opEx, noi: base.noi,
+    closing, pointsCost, totalCost,
+    loanAmount, downPayment, monthlyPI, ads, tranches,
+    dscr: base.dscr, cap: base.capRate, cashFlow: base.cashFlow,
+    cashInvested,
+    coc: cashInvested > 0 ? base.cashFlow / cashInvested : null,
+    onePctRule: d.purchasePrice > 0 ? monthlyRent / d.purchasePrice : 0,
+    sensitivity: {
+      rentMinus10: operate(0.9, 1),
+      baseCase: base,
+      rentPlus10: operate(1.1, 1),
+      opExMinus10: operate(1, 0.9),
+      opExPlus10: operate(1, 1.1)
+    },
+    targetCap: d.targetCap,
+    maxPurchaseAtTargetCap
+  };
+  c.proForma = projectProForma(d, c, d.proForma, operate);
+  if (d.tax) c.tax = afterTax(d, c);
+  if (d.valueAdd) c.valueAdd = valueAddPlan(d, c, underwrite(stabilizedInputs(d)));
+  return c;
+}
+
+/* ---------- Overwrite every derived field of a report ---------- */
+export function applyUnderwriting(report) {
+  const d = inputsFromReport(report);
+  const c = underwrite(d);
+  const pct = n => round(n * 100);
+  const scenario = s => ({ noiAnnual: round(s.noi), capRatePct: pct(s.capRate), dscr: round(s.dscr), cashFlowAnnual: round(s.cashFlow) });
+
+  return {
+    ...report,
+    reportMeta: { ...report.reportMeta, targetCapPct: pct(d.targetCap) },
+    purchase: { ...report.purchase, totalCost: round(c.totalCost) },
+    rents: { ...report.rents, grossScheduledRentMonthly: round(c.monthlyRent) },
+    financing: {
+      ...report.financing,
+      downPaymentPct: d.purchasePrice > 0 ? pct(c.downPayment / d.purchasePrice) : report.financing?.downPaymentPct,
+      loanAmount: round(c.loanAmount),
+      monthlyPI: round(c.monthlyPI),
+      annualDebtService: round(c.ads),
+      tranches: c.tranches.map(t => ({
+        name: t.name,
+        type: t.type,
+        amount: round(t.amount),
+        rateAnnualPct: pct(t.rateAnnual),
+        termYears: round(t.termMonths / 12),
+        interestOnlyMonths: t.ioMonths,
+        initialMonthlyPayment: round(t.initialPayment),
+        annualDebtService: round(t.annualDebtService),
+        balloonMonth: t.balloon?.month ?? null,
+        balloonPayment: t.balloon ? round(t.balloon.amount) : null,
+        minDscr: t.minDscr,
+        cumulativeDscr: round(t.cumulativeDscr),
+        meetsMinDscr: t.meetsMinDscr
+      })),
+      amortizationSchedule: blendedSchedule(c.tranches).map(r => ({
+        month: r.month,
+        payment: round(r.payment),
+        interest: round(r.interest),
+        principal: round(r.principal),
+        balloon: round(r.balloon),
+        balance: round(r.balance)
+      }))
+    },
+    totals: {
+      egiAnnual: round(c.egi),
+      opExAnnual: round(c.opEx),
+      noiAnnual: round(c.noi),
+      capRatePct: pct(c.cap),
+      dscr: round(c.dscr),
+      cashFlowAnnual: round(c.cashFlow),
+      cashOnCashRoiPct: c.coc == null ? null : pct(c.coc),
+      onePercentRulePct: pct(c.onePctRule)
+    },
+    sensitivity: Object.fromEntries(Object.entries(c.sensitivity).map(([k, s]) => [k, scenario(s)])),
+    negotiation: {
+      ...report.negotiation,
+      targetCapPct: pct(d.targetCap),
+      maxPurchasePriceAtTargetCap: round(c.maxPurchaseAtTargetCap),
+      assumptions: { closingCostPct: pct(d.closingPct), pointsPct: pct(d.pointsPct) }
+    },
+    proForma: formatProForma(c.proForma),
+    ...(c.str ? { strTotals: formatStrTotals(c) } : {}),
+    ...(c.valueAdd ? { valueAddTotals: formatValueAddTotals(c.valueAdd) } : {}),
+    ...(c.tax ? { tax: formatTax(c.tax, report.tax) } : {})
+  };
+}
+
+// After-tax analysis; landValuePct stays as entered (null = derived, see landAllocation)
+function formatTax(t, input = {}) {
+  const pct = n => (n == null ? null : round(n * 100));
+  const a = t.assumptions;
+  return {
+    assumptions: {
+      marginalTaxRatePct: pct(a.marginalRate),
+      landValuePct: input.assumptions?.landValuePct ?? null,
+      depreciationYears: a.depreciationYears,
+      costSeg5YearPct: pct(a.costSeg5Year),
+      costSeg15YearPct: pct(a.costSeg15Year),
+      bonusDepreciationPct: pct(a.bonusRate),
+      recaptureRatePct: pct(a.recaptureRate),
+      capitalGainsRatePct: pct(a.capitalGainsRate)
+    },
+    landAllocation: { method: a.landMethod, landPct: pct(a.landPct), landValue: round(t.basis.land) },
+    depreciableBasis: {
+      total: round(t.basis.total - t.basis.land),
+      building: round(t.basis.building),
+      fiveYear: round(t.basis.fiveYear),
+      fifteenYear: round(t.basis.fifteenYear),
+      bonusYear1: round(t.basis.bonus)
+    },
+    years: t.years.map(y => ({
+      year: y.year,
+      noiAnnual: round(y.noi),
+      mortgageInterest: round(y.interest),
+      buildingDepreciation: round(y.buildingDepreciation),
+      costSegDepreciation: round(y.costSegDepreciation),
+      depreciation: round(y.depreciation),
+      taxableIncome: round(y.taxableIncome),
+      taxSavings: round(y.taxSavings),
+      cashFlowAnnual: round(y.cashFlow),
+      afterTaxCashFlow: round(y.afterTaxCashFlow)
+    })),
+    sale: {
+      amountRealized: round(t.sale.amountRealized),
+      adjustedBasis: round(t.sale.adjustedBasis),
+      accumulatedDepreciation: round(t.sale.accumulatedDepreciation),
+      gain: round(t.sale.gain),
+      depreciationRecaptureTax: round(t.sale.recaptureTax),
+      capitalGainsTax: round(t.sale.capitalGainsTax),
+      totalTax: round(t.sale.saleTax),
+      afterTaxSaleProceeds: round(t.sale.afterTaxSaleProceeds)
+    },
+    returns: {
+      afterTaxIrrPct: pct(t.returns.afterTaxIrr),
+      afterTaxCashOnCashPct: pct(t.returns.afterTaxCashOnCash)
+    }
+  };
+}
+
+// Value-add: rehab timeline, refinance and the before / after stages
+function formatValueAddTotals(v) {
+  const pct = n => (n == null ? null : round(n * 100));
+  const stage = s => ({
+    value: round(s.value),
+    monthlyRent: round(s.monthlyRent),
+    noiAnnual: round(s.noi),
+    loanAmount: round(s.loan),
+    debtServiceAnnual: round(s.debtService),
+    dscr: round(s.dscr),
+    cashFlowAnnual: round(s.cashFlow),
+    cashInDeal: round(s.cashInDeal),
+    equity: round(s.equity),
+    cashOnCashRoiPct: pct(s.cashOnCash)
+  });
+  return {
+    arv: round(v.arv),
+    arvMethod: v.arvMethod,
+    saleCompCount: v.saleCompCount,
+    rehabMonths: v.rehabMonths,
+    hardMoneyLoan: round(v.hardMoneyLoan),
+    hardMoneyPoints: round(v.hardMoneyPoints),
+    hardMoneyInterest: round(v.hardMoneyInterest),
+    holdingCosts: round(v.holdingCosts),
+    allInCost: round(v.allInCost),
+    cashBeforeRefinance: round(v.cashBeforeRefinance),
+    refinanceLoan: round(v.refinanceLoan),
+    refinanceRatePct: pct(v.refinanceRate),
+    refinanceClosingCosts: round(v.refinanceClosing),
+    cashOut: round(v.cashOut),
+    cashLeftInDeal: round(v.cashLeftInDeal),
+    infiniteReturn: v.infiniteReturn,
+    postRefiDscr: round(v.stages.after.dscr),
+    yieldOnCostPct: pct(v.yieldOnCost),
+    stages: { before: stage(v.stages.before), after: stage(v.stages.after) },
+    months: v.months.map(m => ({
+      month: m.month,
+      rehabSpend: round(m.rehabSpend),
+      loanBalance: round(m.loanBalance),
+      interest: round(m.interest),
+      holdingCosts: round(m.holdingCosts),
+      cashIn: round(m.cashIn)
+    }))
+  };
+}
+
+// Short-term rental year one: bookings by month and the STR-only expense lines
+function formatStrTotals(c) {
+  const pct = n => round(n * 100);
+  return {
+    occupancyPct: pct(c.str.occupancy),
+    bookedNights: round(c.str.nights, 1),
+    stays: round(c.str.stays, 1),
+    roomRevenueAnnual: round(c.str.roomRevenue),
+    cleaningFeesAnnual: round(c.str.cleaningFees),
+    grossBookingRevenueAnnual: round(c.str.revenue),
+    revParNightly: round(c.str.roomRevenue / 365),
+    platformFeesAnnual: round(c.platformFees),
+    cleaningCostsAnnual: round(c.cleaning),
+    furnishingBudget: round(c.furnishing),
+    months: c.str.months.map(m => ({
+      month: m.month,
+      occupancyPct: pct(m.occupancy),
+      bookedNights: round(m.nights, 1),
+      revenue: round(m.revenue)
+    }))
+  };
+}
+
+function formatProForma(pf) {
+  const pct = n => (n == null ? null : round(n * 100));
+  const a = pf.assumptions;
+  return {
+    assumptions: {
+      holdYears: a.holdYears,
+      rentGrowthPct: pct(a.rentGrowth),
+      expenseInflationPct: pct(a.expenseInflation),
+      appreciationPct: pct(a.appreciation),
+      exitCapPct: pct(a.exitCap),
+      sellingCostPct: pct(a.sellingCost)
+    },
+    years: pf.years.map(y => ({
+      year: y.year,
+      grossRentAnnual: round(y.gsr),
+      egiAnnual: round(y.egi),
+      opExAnnual: round(y.opEx),
+      noiAnnual: round(y.noi),
+      debtServiceAnnual: round(y.debtService),
+      balloonPayment: round(y.balloon),
+      cashFlowAnnual: round(y.cashFlow),
+      loanBalanceEnd: round(y.loanBalanceEnd)
+    })),
+    exit: {
+      method: pf.exit.method,
+      salePrice: round(pf.exit.salePrice),
+      sellingCosts: round(pf.exit.sellingCosts),
+      loanPayoff: round(pf.exit.loanPayoff),
+      netSaleProceeds: round(pf.exit.netSaleProceeds)
+    },
+    returns: {
+      leveredIrrPct: pct(pf.returns.leveredIrr),
+      unleveredIrrPct: pct(pf.returns.unleveredIrr),
+      equityMultiple: round(pf.returns.equityMultiple),
+      averageCashOnCashPct: pct(pf.returns.averageCashOnCash)
+    }
+  };
+}
@@ -0,0 +1,167 @@
+// /lib/valueadd.js — value-add / BRRRR plan: buy, rehab, rent, refinance (ESM, no dependencies)
+//
+// A report is underwritten as a value-add deal when reportMeta.dealStrategy is "valueAdd"; the
+// plan reads report.valueAdd (percent units, like the schema):
+//   { arv: number|null, rehabMonths, holdingCostsMonthly: number|null,
+//     stabilizedRentsMonthly: [by unit index, null = current rent],
+//     hardMoney: { loanToCostPct, rateAnnualPct, pointsPct },
+//     refinance: { ltvPct, rateAnnualPct, termYears, closingCostPct } }
+// A null arv is derived from report.saleComps (median price per sqft x the subject's living
+// area, else the median sale price). Null holding costs are taxes + insurance + HOA + utilities.
+// The hard-money loan funds its share of the price at closing and of the rehab in equal monthly
+// draws, interest-only; the refinance pays it off at the after-repair value.
+// purchase.rehabBudget stays the rehab cost; the report's own financing is the as-is hold.
+
+export const DEAL_STRATEGIES = ["hold", "valueAdd"];
+
+export const VALUE_ADD_DEFAULTS = {
+  rehabMonths: 4,
+  hardMoneyLoanToCostPct: 85,
+  hardMoneyRatePct: 11,
+  hardMoneyPointsPct: 2,
+  refinanceLtvPct: 75,
+  refinanceRatePct: null, // null = the report's financing rate
+  refinanceTermYears: 30,
+  refinanceClosingCostPct: 2
+};
+
+const num = (v, def = 0) => (typeof v === "number" && isFinite(v) ? v : def);
+const median = a => {
+  const s = [...a].sort((x, y) => x - y);
+  return s.length ? (s.length % 2 ? s[(s.length - 1) / 2] : (s[s.length / 2 - 1] + s[s.length / 2]) / 2) : null;
+};
+
+export const dealStrategy = x => (x?.reportMeta?.dealStrategy === "valueAdd" ? "valueAdd" : "hold");
+
+/** ARV from sale comps: median price per sqft x subject living area, else median sale price. */
+export function arvFromComps(comps, livingSqft) {
+  const sales = (Array.isArray(comps) ? comps : []).filter(s => num(s.salePrice) > 0);
+  const perSqft = sales.filter(s => num(s.sqft) > 0).map(s => s.salePrice / s.sqft);
+  if (perSqft.length && num(livingSqft) > 0) {
+    return { value: median(perSqft) * livingSqft, method: "pricePerSqft", count: perSqft.length, medianPricePerSqft: median(perSqft) };
+  }
+  if (sales.length) return { value: median(sales.map(s => s.salePrice)), method: "medianPrice", count: sales.length, medianPricePerSqft: null };
+  return { value: null, method: null, count: 0, medianPricePerSqft: null };
+}
+
+/** report.valueAdd (percent units) -> decimals; null for buy-and-hold reports */
+export function valueAddInputs(x = {}) {
+  if (dealStrategy(x) !== "valueAdd") return null;
+  const v = x.valueAdd || {};
+  const hm = v.hardMoney || {};
+  const refi = v.refinance || {};
+  const comps = arvFromComps(x.saleComps, x.propertySnapshot?.livingSqft);
+  const explicitArv = typeof v.arv === "number" && isFinite(v.arv) && v.arv > 0;
+  const refiRatePct = num(refi.rateAnnualPct, VALUE_ADD_DEFAULTS.refinanceRatePct);
+  return {
+    arv: explicitArv ? v.arv : comps.value,
+    arvMethod: explicitArv ? "report" : comps.method,
+    saleCompCount: comps.count,
+    medianPricePerSqft: comps.medianPricePerSqft,
+    rehabMonths: Math.max(0, Math.round(num(v.rehabMonths, VALUE_ADD_DEFAULTS.rehabMonths))),
+    holdingCostsMonthly: typeof v.holdingCostsMonthly === "number" && isFinite(v.holdingCostsMonthly) ? v.holdingCostsMonthly : null,
+    stabilizedRents: Array.isArray(v.stabilizedRentsMonthly) ? v.stabilizedRentsMonthly.map(r => (typeof r === "number" && isFinite(r) ? r : null)) : [],
+    hardMoneyLtc: num(hm.loanToCostPct, VALUE_ADD_DEFAULTS.hardMoneyLoanToCostPct) / 100,
+    hardMoneyRate: num(hm.rateAnnualPct, VALUE_ADD_DEFAULTS.hardMoneyRatePct) / 100,
+    hardMoneyPoints: num(hm.pointsPct, VALUE_ADD_DEFAULTS.hardMoneyPointsPct) / 100,
+    refinanceLtv: num(refi.ltvPct, VALUE_ADD_DEFAULTS.refinanceLtvPct) / 100,
+    refinanceRate: refiRatePct == null ? null : refiRatePct / 100,
+    refinanceTermMonths: Math.max(12, Math.round(num(refi.termYears, VALUE_ADD_DEFAULTS.refinanceTermYears) * 12)),
+    refinanceClosingPct: num(refi.closingCostPct, VALUE_ADD_DEFAULTS.refinanceClosingCostPct) / 100
+  };
+}
+
+/** Loan placed at the refinance: a plain fixed loan on the after-repair value. */
+export function refinanceLoan(d) {
+  const v = d.valueAdd;
+  const arv = v.arv ?? d.purchasePrice + d.rehabBudget;
+  return {
+    name: "Refinance", type: "fixed",
+    amount: arv * v.refinanceLtv,
+    rateAnnual: v.refinanceRate ?? d.rateAnnual,
+    termMonths: v.refinanceTermMonths, ioMonths: 0, balloonMonth: null, arm: null, minDscr: null
+  };
+}
+
+/** Inputs after rehab and refinance: stabilized rents, the refinance loan, no further value-add. */
+export function stabilizedInputs(d) {
+  const rents = d.valueAdd.stabilizedRents;
+  return {
+    ...d,
+    valueAdd: null,
+    units: d.units.map((u, i) => (rents[i] == null ? u : { ...u, rent: rents[i] })),
+    loans: [refinanceLoan(d)]
+  };
+}
+
+/**
+ * Rehab timeline and refinance, with the as-is and stabilized stages side by side.
+ * @param d normalized inputs (valueAdd set)
+ * @param asIs underwrite(d): the property as bought, on the report's own financing
+ * @param after underwrite(stabilizedInputs(d))
+ */
+export function valueAddPlan(d, asIs, after) {
+  const v = d.valueAdd;
+  const arv = v.arv ?? d.purchasePrice + d.rehabBudget; // no ARV and no comps: assume value = cost
+  const holdingMonthly = v.holdingCostsMonthly ?? (d.taxesAnnual + d.insuranceAnnual + d.hoaAnnual + d.utilitiesAnnual) / 12;
+
+  // Hard money: its share of the price at closing, its share of the rehab drawn evenly each month
+  const purchaseDraw = d.purchasePrice * v.hardMoneyLtc;
+  const rehabDraw = d.rehabBudget * v.hardMoneyLtc;
+  const hardMoneyLoan = purchaseDraw + rehabDraw;
+  const hardMoneyPoints = hardMoneyLoan * v.hardMoneyPoints;
+  const months = [];
+  let balance = purchaseDraw;
+  for (let m = 1; m <= v.rehabMonths; m++) {
+    balance += rehabDraw / v.rehabMonths;
+    const interest = balance * v.hardMoneyRate / 12;
+    months.push({
+      month: m,
+      rehabSpend: d.rehabBudget / v.rehabMonths,
+      draw: rehabDraw / v.rehabMonths,
+      loanBalance: balance,
+      interest,
+      holdingCosts: holdingMonthly,
+      cashIn: (d.rehabBudget - rehabDraw) / v.rehabMonths + interest + holdingMonthly
+    });
+  }
+  const hardMoneyInterest = months.reduce((s, r) => s + r.interest, 0);
+  const holdingCosts = holdingMonthly * v.rehabMonths;
+  const allInCost = d.purchasePrice + asIs.closing + d.rehabBudget + asIs.furnishing + hardMoneyPoints + hardMoneyInterest + holdingCosts;
+  const cashBeforeRefinance = allInCost - hardMoneyLoan;
+
+  // Refinance at the after-repair value pays off the hard money; the rest comes back as cash
+  const refinance = after.tranches[0];
+  const refinanceClosing = refinance.amount * v.refinanceClosingPct;
+  const cashOut = refinance.amount - refinanceClosing - hardMoneyLoan;
+  const cashLeftInDeal = cashBeforeRefinance - cashOut;
+  const infiniteReturn = cashLeftInDeal <= 0;
+  const hardMoneyDebtService = hardMoneyLoan * v.hardMoneyRate;
+
+  return {
+    arv, arvMethod: v.arv == null ? "cost" : v.arvMethod, saleCompCount: v.saleCompCount, medianPricePerSqft: v.medianPricePerSqft,
+    rehabMonths: v.rehabMonths, months,
+    hardMoneyLoan, hardMoneyPoints, hardMoneyInterest, holdingCosts, allInCost, cashBeforeRefinance,
+    refinanceLoan: refinance.amount, refinanceRate: refinance.rateAnnual, refinanceClosing,
+    cashOut, cashLeftInDeal, infiniteReturn,
+    yieldOnCost: allInCost > 0 ? after.noi / allInCost : null,
+    stages: {
+      before: {
+        value: d.purchasePrice, monthlyRent: asIs.monthlyRent, noi: asIs.noi,
+        loan: hardMoneyLoan, debtService: hardMoneyDebtService,
+        dscr: hardMoneyDebtService ? asIs.noi / hardMoneyDebtService : null,
+        cashFlow: asIs.noi - hardMoneyDebtService,
+        cashInDeal: cashBeforeRefinance, equity: d.purchasePrice - hardMoneyLoan,
+        cashOnCash: cashBeforeRefinance > 0 ? (asIs.noi - hardMoneyDebtService) / cashBeforeRefinance : null
+      },
+      after: {
+        value: arv, monthlyRent: after.monthlyRent, noi: after.noi,
+        loan: refinance.amount, debtService: after.ads,
+        dscr: after.ads ? after.noi / after.ads : null,
+        cashFlow: after.cashFlow,
+        cashInDeal: cashLeftInDeal, equity: arv - refinance.amount,
+        cashOnCash: infiniteReturn ? null : after.cashFlow / cashLeftInDeal // null: infinite
+      }
+    }
+  };
+}
@@ -0,0 +1,94 @@
+// /test/generate.test.mjs — generateReport end to end on the offline fixture provider
+// Run with `npm test` (node:test, no network, no key): reports come from fixtures/reports and are
+// saved to the in-memory store, so every test starts from an empty cache.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { generateReport } from "../api/_lib/pipeline.js";
+import { createFixtureProvider } from "../api/_lib/providers/fixture.js";
+import { createMemoryStore } from "../api/_lib/store/memory.js";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "reports");
+const ADDRESS = "111/113 Cultural Park Blvd S, Cape Coral, FL 33990";
+
+const fixtureProvider = () => createFixtureProvider({ FIXTURES_DIR });
+const run = (request, deps = {}) =>
+  generateReport(request, { provider: fixtureProvider(), store: createMemoryStore(), buyBoxes: null, ...deps });
+
+test("a fixture report is validated, underwritten and saved", async () => {
+  const store = createMemoryStore();
+  const { status, body } = await run({ address: ADDRESS }, { store });
+  assert.equal(status, 200);
+  assert.equal(body.cached, false);
+  assert.equal(body.subject.address, ADDRESS);
+  assert.equal(typeof body.totals.noiAnnual, "number");
+  assert.ok(Array.isArray(body.sensitivityMatrices) && body.sensitivityMatrices.length === 1);
+  assert.ok(Array.isArray(body.risks));
+  assert.equal((await store.get(body.reportId)).report.subject.address, ADDRESS);
+});
+
+test("an unknown address falls back to default.json with the requested address", async () => {
+  const { status, body } = await run({ address: "1 Nowhere Rd, Springfield, IL 62701" });
+  assert.equal(status, 200);
+  assert.equal(body.subject.address, "1 Nowhere Rd, Springfield, IL 62701");
+});
+
+test("model output that fails the schema is retried, then answered with 422 and per-path details", async () => {
+  const fixture = fixtureProvider();
+  let calls = 0;
+  const provider = {
+    ...fixture,
+    async generate(args) {
+      calls++;
+      const result = await fixture.generate(args);
+      const { rents, ...parsed } = result.parsed;
+      return { ...result, parsed: { ...parsed, financing: { ...parsed.financing, rateAnnualPct: 0.077 } } };
+    }
+  };
+  const { status, body } = await run({ address: ADDRESS }, { provider });
+  assert.equal(status, 422);
+  assert.equal(calls, body.attempts);
+  const paths = body.details.map(e => e.path);
+  assert.ok(paths.includes("rents"), `details: ${JSON.stringify(body.details)}`);
+  assert.ok(paths.includes("financing.rateAnnualPct"), `details: ${JSON.stringify(body.details)}`);
+  assert.ok(body.details.every(e => typeof e.message === "string" && e.message));
+});
+
+test("overrides win over the model's values and are marked as user input", async () => {
+  const { status, body } = await run({ address: ADDRESS, purchasePrice: 510000, overrides: { vacancyPct: 3, rateAnnualPct: 6.5 } });
+  assert.equal(status, 200);
+  assert.equal(body.purchase.purchasePrice, 510000);
+  assert.equal(body.operatingAssumptions.vacancyPct, 3);
+  assert.equal(body.financing.rateAnnualPct, 6.5);
+  assert.equal(body.inputSources.vacancyPct, "user");
+  assert.equal(body.inputSources.rateAnnualPct, "user");
+  assert.equal(body.inputSources.maintenancePctOfGrossRent, "model");
+});
+
+test("invalid overrides are rejected before the model is called", async () => {
+  const { status, body } = await run({ address: ADDRESS, overrides: { vacancyPct: "lots" } });
+  assert.equal(status, 400);
+  assert.equal(body.error, "Invalid overrides");
+  assert.ok(body.details.some(e => e.path.includes("vacancyPct")));
+});
+
+test("a cache hit ignores local-only pro forma and tax overrides in the key but applies them", async () => {
+  const store = createMemoryStore();
+  const first = await run({ address: ADDRESS, overrides: { holdYears: 5 } }, { store });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.proForma.years.length, 5);
+
+  const second = await run({ address: ADDRESS, overrides: { holdYears: 10, marginalTaxRatePct: 32 } }, { store });
+  assert.equal(second.status, 200);
+  assert.equal(second.body.cached, true);
+  assert.equal(second.body.reportId, first.body.reportId);
+  assert.equal(second.body.proForma.years.length, 10);
+  assert.ok(second.body.tax, "the after-tax block is computed from the request's marginal rate");
+  assert.equal(second.body.inputSources.holdYears, "user");
+
+  // Model-facing overrides still change the key
+  const third = await run({ address: ADDRESS, overrides: { holdYears: 10, vacancyPct: 3 } }, { store });
+  assert.equal(third.body.cached, false);
+});